@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext, useRef, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, createContext, useContext, useRef, useMemo, useCallback, forwardRef, useImperativeHandle } from 'react';
 
 // Supabase Imports - IMPORTANT: This package MUST be installed in your local project:
 // npm install @supabase/supabase-js
@@ -6,38 +6,112 @@ import React, { useState, useEffect, createContext, useContext, useRef, useMemo,
 // yarn add @supabase/supabase-js
 import { createClient } from '@supabase/supabase-js';
 
+// QR codes for the wallet page's deposit address:
+// npm install qrcode
+import QRCode from 'qrcode';
+
 // Solana Imports - IMPORTANT: These packages MUST be installed in your local project:
 // npm install @solana/web3.js @solana/spl-token @solana/wallet-adapter-react @solana/wallet-adapter-base @solana/wallet-adapter-react-ui
 // AND the individual wallet adapters:
-// npm install @solana/wallet-adapter-phantom @solana/wallet-adapter-solflare @solana/wallet-adapter-backpack
+// npm install @solana/wallet-adapter-phantom @solana/wallet-adapter-solflare
 // or
-// yarn add @solana/web3.js @solana/spl-token @solana/wallet-adapter-react @solana/wallet-adapter-base @solana/wallet-adapter-react-ui @solana/wallet-adapter-phantom @solana/wallet-adapter-solflare @solana/wallet-adapter-backpack
-import { Connection, PublicKey, Transaction, SystemProgram } from '@solana/web3.js';
-import { getAssociatedTokenAddress, createTransferInstruction, TOKEN_PROGRAM_ID } from '@solana/spl-token';
-import { useWallet, WalletProvider, ConnectionProvider } from '@solana/wallet-adapter-react';
+// yarn add @solana/web3.js @solana/spl-token @solana/wallet-adapter-react @solana/wallet-adapter-base @solana/wallet-adapter-react-ui @solana/wallet-adapter-phantom @solana/wallet-adapter-solflare
+import { PublicKey, Transaction, TransactionInstruction, SystemProgram, LAMPORTS_PER_SOL, TransactionExpiredBlockheightExceededError } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync, createTransferCheckedInstruction, createAssociatedTokenAccountIdempotentInstruction, getMint, ACCOUNT_SIZE, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { useWallet, useConnection, WalletProvider, ConnectionProvider } from '@solana/wallet-adapter-react';
 import { WalletModalProvider, WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { PhantomWalletAdapter } from '@solana/wallet-adapter-phantom';
+import { SolflareWalletAdapter } from '@solana/wallet-adapter-solflare';
+
+// Default styles for wallet adapter UI (the connect button and wallet picker)
+import '@solana/wallet-adapter-react-ui/styles.css';
+
+// --- Clusters ---
+// The app can run against any of these clusters. Each one is configured from the environment with
+// variables prefixed by its id, e.g. VITE_DEVNET_RPC_URLS (a comma-separated list, tried in order),
+// VITE_DEVNET_GOR_MINT and VITE_DEVNET_TICKET_TREASURY. Clusters without a GOR mint can't be selected.
+const DEFAULT_CLUSTER_ID = import.meta.env.VITE_DEFAULT_CLUSTER || 'gorbagana';
+const CLUSTER_STORAGE_KEY = 'gortrashsocial:cluster';
+
+const clusterEnv = (clusterId, name) => import.meta.env[`VITE_${clusterId.toUpperCase().replace(/-/g, '_')}_${name}`];
+
+const CLUSTER_DEFAULTS = [
+    { id: 'gorbagana', label: 'Gorbagana', rpcUrls: ['https://rpc.gorbagana.wtf'], gorMint: '3DtKNjWYz3nfrp4GSM7Zx5sH5kDCz24PhuzNg', explorerCluster: 'custom' },
+    { id: 'mainnet-beta', label: 'Solana Mainnet', rpcUrls: ['https://api.mainnet-beta.solana.com'], explorerCluster: null },
+    { id: 'devnet', label: 'Solana Devnet', rpcUrls: ['https://api.devnet.solana.com'], explorerCluster: 'devnet' },
+    { id: 'localnet', label: 'Local validator', rpcUrls: ['http://127.0.0.1:8899'], explorerCluster: 'custom' },
+];
+
+const CLUSTERS = CLUSTER_DEFAULTS.map(defaults => {
+    const rpcUrls = clusterEnv(defaults.id, 'RPC_URLS')?.split(',').map(url => url.trim()).filter(Boolean);
+    const gorMint = clusterEnv(defaults.id, 'GOR_MINT') || defaults.gorMint;
+    return {
+        ...defaults,
+        rpcUrls: rpcUrls?.length ? rpcUrls : defaults.rpcUrls,
+        gorMint: gorMint ? new PublicKey(gorMint) : null,
+        // Ticket purchases are paid into this wallet, and ticket sales are paid out of it by the
+        // ticket-trade edge function (see supabase/functions/ticket-trade). The default cluster also
+        // accepts the older VITE_TICKET_TREASURY_ADDRESS.
+        ticketTreasury: clusterEnv(defaults.id, 'TICKET_TREASURY')
+            || (defaults.id === DEFAULT_CLUSTER_ID ? import.meta.env.VITE_TICKET_TREASURY_ADDRESS : null)
+            || null,
+    };
+}).filter(cluster => cluster.gorMint);
+
+const findCluster = (clusterId) =>
+    CLUSTERS.find(cluster => cluster.id === clusterId)
+    ?? CLUSTERS.find(cluster => cluster.id === DEFAULT_CLUSTER_ID)
+    ?? CLUSTERS[0];
+
+const loadStoredClusterId = () => {
+    try {
+        return window.localStorage.getItem(CLUSTER_STORAGE_KEY);
+    } catch {
+        return null; // Storage can be unavailable, e.g. in some private browsing modes
+    }
+};
 
-// FIX: Using recommended imports from @solana/wallet-adapter-wallets
-import {
-  getBackpackWallet, // Function to get Backpack wallet adapter
-  getPhantomWallet,   // Function to get Phantom wallet adapter
-  getSolflareWallet   // Function to get Solflare wallet adapter
-} from '@solana/wallet-adapter-wallets';
+const explorerTransactionUrl = (cluster, signature) => {
+    const base = `https://explorer.solana.com/tx/${signature}`;
+    if (cluster.explorerCluster === 'custom') {
+        return `${base}?cluster=custom&customUrl=${encodeURIComponent(cluster.rpcUrls[0])}`;
+    }
+    return cluster.explorerCluster ? `${base}?cluster=${cluster.explorerCluster}` : base;
+};
 
+const NATIVE_TOKEN_SYMBOL = 'SOL'; // Network fees are paid in the cluster's native token, not GOR
+
+// --- GOR Amounts ---
+// User-facing amounts are strings of whole GOR ("2.5"); on-chain amounts are bigint base units.
+// Converting through strings keeps fractional amounts exact, which floating point can't.
+const parseGorAmount = (input, decimals) => {
+    const trimmed = String(input).trim();
+    if (!/^\d*\.?\d*$/.test(trimmed) || trimmed === '' || trimmed === '.') {
+        throw new Error("Enter a valid GOR amount.");
+    }
+    const [whole, fraction = ''] = trimmed.split('.');
+    if (fraction.length > decimals) {
+        throw new Error(`GOR supports at most ${decimals} decimal places.`);
+    }
+    const baseUnits = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    if (baseUnits <= 0n) {
+        throw new Error("Amount must be greater than zero.");
+    }
+    return baseUnits;
+};
 
-// Default styles for wallet adapter UI
-// The 'require' statement for CSS styles is causing a compilation error in this environment.
-// Please ensure the necessary styles for the wallet adapter UI are included in your project's
-// global CSS (e.g., in your main App.css or index.css) or through other means.
-// For example, you might add a link tag in your public/index.html:
-// <link rel="stylesheet" href="https://unpkg.com/@solana/wallet-adapter-react-ui@latest/styles.css" />
-// Or import it in your main App.js/index.js if your bundler supports it:
-// import '@solana/wallet-adapter-react-ui/styles.css';
-// The 'require' syntax is not directly compatible with this online compiler's module resolution.
+const formatGorAmount = (baseUnits, decimals) => {
+    const scale = 10n ** BigInt(decimals);
+    const whole = baseUnits / scale;
+    const fraction = (baseUnits % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+};
 
-// --- Solana Testnet Configuration ---
-const GORBAGANA_RPC_URL = "https://rpc.gorbagana.wtf";
-const GOR_TOKEN_MINT_ADDRESS = new PublicKey("3DtKNjWYz3nfrp4GSM7Zx5sH5kDCz24PhuzNg"); // Provided GOR Token Mint Address
+// A ticket payment names the profile it buys for in a memo signed along with it, so nobody who sees
+// the payment on-chain can claim it for another profile. Must match ticketBuyMemo in the ticket-trade
+// edge function.
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const ticketBuyMemo = (subjectAddress) => `Ticket buy: ${subjectAddress}`;
 
 // --- Supabase Configuration (Moved to App.jsx for direct use) ---
 // Note: import.meta.env is a Vite-specific feature for accessing environment variables.
@@ -46,102 +120,2371 @@ const GOR_TOKEN_MINT_ADDRESS = new PublicKey("3DtKNjWYz3nfrp4GSM7Zx5sH5kDCz24Phu
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL; // Access from .env
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY; // Access from .env
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+// The signed-in wallet's JWT (see Wallet Sign-In below); requests fall back to the anon key without one.
+let sessionAccessToken = null;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    accessToken: async () => sessionAccessToken,
+});
+
+// supabase.functions.invoke reports every non-2xx response as the same generic error, so read the
+// function's own message out of the response body.
+const invokeEdgeFunction = async (client, name, body) => {
+    const { data, error } = await client.functions.invoke(name, { body });
+    if (error) {
+        const details = await error.context?.json?.().catch(() => null);
+        throw new Error(details?.error || error.message);
+    }
+    return data;
+};
+
+
+// --- On-chain GOR Balance ---
+// Reads the owner's GOR associated token account straight from the chain and re-reads it whenever
+// that account changes. An account that doesn't exist yet simply holds 0 GOR.
+const useGorBalance = (connection, mint, owner) => {
+    const [balance, setBalance] = useState(null); // Whole GOR as a number; null until the first read
+    const [rawBalance, setRawBalance] = useState(null); // Base units as a bigint, for exact comparisons
+    const [tokenAccount, setTokenAccount] = useState(null);
+
+    useEffect(() => {
+        if (!owner) {
+            setBalance(null);
+            setRawBalance(null);
+            setTokenAccount(null);
+            return;
+        }
+
+        let isCancelled = false;
+        const associatedAccount = getAssociatedTokenAddressSync(mint, owner);
+        // A different owner (e.g. after switching accounts in the wallet) starts from "loading"
+        setBalance(null);
+        setRawBalance(null);
+        setTokenAccount(associatedAccount);
+
+        const fetchBalance = async () => {
+            try {
+                const { value } = await connection.getTokenAccountBalance(associatedAccount, 'confirmed');
+                if (isCancelled) return;
+                setBalance(value.uiAmount ?? 0);
+                setRawBalance(BigInt(value.amount));
+            } catch (error) {
+                // getTokenAccountBalance throws for accounts that were never created
+                const accountInfo = await connection.getAccountInfo(associatedAccount).catch(() => undefined);
+                if (isCancelled) return;
+                if (accountInfo === null) {
+                    setBalance(0);
+                    setRawBalance(0n);
+                } else {
+                    console.error("Error fetching GOR balance:", error);
+                }
+            }
+        };
+
+        fetchBalance();
+        const subscriptionId = connection.onAccountChange(associatedAccount, fetchBalance, 'confirmed');
+
+        return () => {
+            isCancelled = true;
+            connection.removeAccountChangeListener(subscriptionId);
+        };
+    }, [connection, mint, owner]);
+
+    return { balance, rawBalance, tokenAccount };
+};
+
+// Reads the GOR mint's decimals once per connection; every amount conversion depends on it.
+const useGorMintDecimals = (connection, mint) => {
+    const [decimals, setDecimals] = useState(null);
+
+    useEffect(() => {
+        let isCancelled = false;
+        getMint(connection, mint, 'confirmed')
+            .then(mint => {
+                if (!isCancelled) setDecimals(mint.decimals);
+            })
+            .catch(error => console.error("Error fetching GOR mint:", error));
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [connection, mint]);
+
+    return decimals;
+};
+
+// --- Transaction Lifecycle ---
+// Every on-chain action goes through useTrackedTransactions: it simulates first so obvious failures
+// never reach the wallet, signs once, then rebroadcasts the same signed bytes until the transaction
+// confirms or its blockhash expires. Rebroadcasting identical bytes can't double-spend, and an
+// expired blockhash guarantees the transaction can never land, so retrying after that is safe.
+const TRANSACTION_STEPS = {
+    simulating: 'Checking transaction...',
+    signing: 'Waiting for your wallet...',
+    sending: 'Sending...',
+    confirming: 'Confirming on-chain...',
+    confirmed: 'Confirmed',
+    finalized: 'Finalized',
+    failed: 'Failed',
+};
+const REBROADCAST_INTERVAL_MS = 2000;
+
+// `signature` is set when the transaction reached the network, so callers can still record it.
+class TrackedTransactionError extends Error {
+    constructor(message, signature = null) {
+        super(message);
+        this.name = 'TrackedTransactionError';
+        this.signature = signature;
+    }
+}
+
+const describeSimulationFailure = (simulation) => {
+    const logs = (simulation.logs || []).join('\n');
+    if (/insufficient funds/i.test(logs)) return "You don't have enough GOR for this.";
+    if (/insufficient lamports/i.test(logs) || simulation.err === 'InsufficientFundsForFee') {
+        return `You don't have enough ${NATIVE_TOKEN_SYMBOL} to pay the network fee.`;
+    }
+    if (simulation.err === 'AccountNotFound') return `Your wallet needs some ${NATIVE_TOKEN_SYMBOL} to pay the network fee.`;
+    return "This transaction would fail on-chain, so it wasn't sent.";
+};
+
+const describeWalletError = (error) => {
+    if (/reject|cancel|denied|declined/i.test(error.message || '')) {
+        return 'You cancelled the transaction in your wallet.';
+    }
+    return `Your wallet couldn't sign the transaction${error.message ? `: ${error.message}` : '.'}`;
+};
+
+const useTrackedTransactions = (connection, wallet) => {
+    const [trackedTransaction, setTrackedTransaction] = useState(null); // { label, step, signature, error }
+    const inFlightRef = useRef(false);
+    const { publicKey, signTransaction } = wallet;
+
+    const sendTrackedTransaction = useCallback(async (transaction, label) => {
+        const updateTracked = (changes) => setTrackedTransaction(prev => (prev ? { ...prev, ...changes } : prev));
+
+        if (inFlightRef.current) {
+            throw new TrackedTransactionError("Another transaction is still in progress. Please wait for it to finish.");
+        }
+        if (!publicKey || !signTransaction) {
+            throw new TrackedTransactionError("Please connect a wallet that can sign transactions.");
+        }
+
+        inFlightRef.current = true;
+        setTrackedTransaction({ label, step: 'simulating', signature: null, error: null });
+        let signature = null;
+
+        try {
+            const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+            transaction.recentBlockhash = blockhash;
+            transaction.lastValidBlockHeight = lastValidBlockHeight;
+            transaction.feePayer = publicKey;
+
+            const { value: simulation } = await connection.simulateTransaction(transaction);
+            if (simulation.err) {
+                console.error("Simulation failed:", simulation.err, simulation.logs);
+                throw new TrackedTransactionError(describeSimulationFailure(simulation));
+            }
+
+            updateTracked({ step: 'signing' });
+            let signedTransaction;
+            try {
+                signedTransaction = await signTransaction(transaction);
+            } catch (error) {
+                throw new TrackedTransactionError(describeWalletError(error));
+            }
+
+            updateTracked({ step: 'sending' });
+            const rawTransaction = signedTransaction.serialize();
+            try {
+                signature = await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+            } catch (error) {
+                console.error("Error sending transaction:", error);
+                throw new TrackedTransactionError("Couldn't reach the GOR network. Nothing was sent; please try again.");
+            }
+
+            updateTracked({ step: 'confirming', signature });
+            const rebroadcastId = setInterval(() => {
+                connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+            }, REBROADCAST_INTERVAL_MS);
+
+            let confirmation;
+            try {
+                confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+            } catch (error) {
+                if (error instanceof TransactionExpiredBlockheightExceededError) {
+                    throw new TrackedTransactionError("The transaction expired before it confirmed and will not go through; no GOR was moved. Please try again.");
+                }
+                console.error("Error confirming transaction:", error);
+                throw new TrackedTransactionError("We couldn't confirm the transaction. Check your history before trying again.", signature);
+            } finally {
+                clearInterval(rebroadcastId);
+            }
+            if (confirmation.value.err) {
+                throw new TrackedTransactionError("The transaction failed on-chain.", signature);
+            }
+
+            updateTracked({ step: 'confirmed' });
+            connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'finalized')
+                .then(({ value }) => {
+                    if (!value.err) {
+                        setTrackedTransaction(prev => (prev?.signature === signature ? { ...prev, step: 'finalized' } : prev));
+                    }
+                })
+                .catch(error => console.error("Error waiting for finalization:", error));
+            return signature;
+        } catch (error) {
+            const trackedError = error instanceof TrackedTransactionError
+                ? error
+                : new TrackedTransactionError(error.message || "The transaction failed.", signature);
+            updateTracked({ step: 'failed', error: trackedError.message });
+            throw trackedError;
+        } finally {
+            inFlightRef.current = false;
+        }
+    }, [connection, publicKey, signTransaction]);
+
+    const dismissTrackedTransaction = useCallback(() => setTrackedTransaction(null), []);
+    const isTransactionInFlight = !!trackedTransaction && ['simulating', 'signing', 'sending', 'confirming'].includes(trackedTransaction.step);
+
+    return { sendTrackedTransaction, trackedTransaction, isTransactionInFlight, dismissTrackedTransaction };
+};
+
+// --- Cluster Selection ---
+// The chosen cluster is remembered per browser. Its RPC endpoints are probed with getHealth and the
+// first healthy one is used, so a list of fallbacks keeps the app working when the primary is down.
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+const METHOD_NOT_FOUND = -32601;
+
+const checkRpcHealth = async (url) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getHealth' }),
+            signal: controller.signal,
+        });
+        const { result, error } = await response.json();
+        // Some providers don't implement getHealth; answering at all is the best they can tell us
+        return result === 'ok' || error?.code === METHOD_NOT_FOUND;
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+};
+
+const CLUSTER_HEALTH_LABELS = {
+    checking: { text: 'Checking…', className: 'text-gray-500' },
+    healthy: { text: 'Healthy', className: 'text-green-600' },
+    unreachable: { text: 'Unreachable', className: 'text-red-600' },
+};
+
+const ClusterContext = createContext(null);
+
+const ClusterProvider = ({ children }) => {
+    const [cluster, setCluster] = useState(() => findCluster(loadStoredClusterId()));
+    // status is 'checking', 'healthy' or 'unreachable'; endpoint is the RPC URL currently in use
+    const [health, setHealth] = useState(() => ({ status: 'checking', endpoint: cluster.rpcUrls[0], checkedAt: null }));
+    const [healthCheckRequest, setHealthCheckRequest] = useState(0);
+
+    useEffect(() => {
+        let isCancelled = false;
+
+        const checkEndpoints = async () => {
+            for (const url of cluster.rpcUrls) {
+                const isHealthy = await checkRpcHealth(url);
+                if (isCancelled) return;
+                if (isHealthy) {
+                    setHealth({ status: 'healthy', endpoint: url, checkedAt: new Date() });
+                    return;
+                }
+            }
+            // Nothing answered; stay on the current endpoint rather than hopping between dead ones
+            setHealth(previous => ({ ...previous, status: 'unreachable', checkedAt: new Date() }));
+        };
+
+        checkEndpoints();
+        const interval = setInterval(checkEndpoints, HEALTH_CHECK_INTERVAL_MS);
+
+        return () => {
+            isCancelled = true;
+            clearInterval(interval);
+        };
+    }, [cluster, healthCheckRequest]);
+
+    const selectCluster = useCallback((clusterId) => {
+        const nextCluster = findCluster(clusterId);
+        try {
+            window.localStorage.setItem(CLUSTER_STORAGE_KEY, nextCluster.id);
+        } catch {
+            // Not remembered across visits, but still switched for this one
+        }
+        setCluster(nextCluster);
+        setHealth({ status: 'checking', endpoint: nextCluster.rpcUrls[0], checkedAt: null });
+    }, []);
+
+    const recheckHealth = useCallback(() => {
+        setHealth(previous => ({ ...previous, status: 'checking' }));
+        setHealthCheckRequest(count => count + 1);
+    }, []);
 
+    const value = useMemo(() => ({ cluster, clusters: CLUSTERS, selectCluster, health, recheckHealth }), [cluster, selectCluster, health, recheckHealth]);
+
+    return (
+        <ClusterContext.Provider value={value}>
+            {children}
+        </ClusterContext.Provider>
+    );
+};
+
+const useCluster = () => useContext(ClusterContext);
 
 // --- Supabase Context ---
 const SupabaseContext = createContext(null);
 
+// --- Wallet Sign-In ---
+// Supabase only trusts a wallet address that comes from a JWT. The wallet-auth edge function issues one
+// after the wallet signs a Sign-In With Solana message, and row-level security lets its `sub` change
+// only its own rows. Sessions are remembered per browser until they expire.
+const SESSION_STORAGE_KEY = 'gortrashsocial:session';
+const SESSION_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const isSessionUsable = (session) => !!session && Date.parse(session.expiresAt) - SESSION_EXPIRY_MARGIN_MS > Date.now();
+
+const loadStoredSession = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+const storeSession = (session) => {
+    try {
+        if (session) {
+            window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        } else {
+            window.localStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+    } catch {
+        // Storage unavailable: the session just won't outlive the page
+    }
+};
+
+const buildSignInMessage = (walletAddress, nonce) => [
+    `${window.location.host} wants you to sign in with your Solana account:`,
+    walletAddress,
+    '',
+    'Sign in to GORTRASHSOCIAL.',
+    '',
+    `URI: ${window.location.origin}`,
+    'Version: 1',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+].join('\n');
+
 const SupabaseProvider = ({ children }) => {
     const [isSupabaseReady, setIsSupabaseReady] = useState(false);
+    const { wallet, publicKey, signMessage } = useWallet();
+    const walletAddress = publicKey ? publicKey.toBase58() : null;
+    const [session, setSession] = useState(null);
+    const [isSigningIn, setIsSigningIn] = useState(false);
+    const walletAddressRef = useRef(walletAddress);
+    walletAddressRef.current = walletAddress;
+
+    useEffect(() => {
+        if (supabase) {
+            setIsSupabaseReady(true);
+        }
+    }, []);
+
+    const applySession = useCallback((nextSession) => {
+        sessionAccessToken = nextSession?.accessToken ?? null;
+        supabase.realtime.setAuth(sessionAccessToken ?? SUPABASE_ANON_KEY);
+        setSession(nextSession);
+    }, []);
+
+    const signIn = useCallback(async () => {
+        if (!walletAddress) throw new Error("Please connect your wallet first.");
+        if (!signMessage) throw new Error("Your wallet doesn't support message signing, which signing in requires.");
+
+        setIsSigningIn(true);
+        try {
+            const { nonce } = await invokeEdgeFunction(supabase, 'wallet-auth', { action: 'nonce', address: walletAddress });
+            const message = buildSignInMessage(walletAddress, nonce);
+            const signature = await signMessage(new TextEncoder().encode(message));
+            const result = await invokeEdgeFunction(supabase, 'wallet-auth', {
+                action: 'verify',
+                address: walletAddress,
+                nonce,
+                message,
+                signature: btoa(String.fromCharCode(...signature)),
+            });
+
+            // The wallet may have switched accounts while it was signing
+            if (walletAddressRef.current !== walletAddress) return;
+            const nextSession = { walletAddress, accessToken: result.accessToken, expiresAt: result.expiresAt };
+            storeSession(nextSession);
+            applySession(nextSession);
+        } finally {
+            setIsSigningIn(false);
+        }
+    }, [walletAddress, signMessage, applySession]);
+
+    const signOut = useCallback(() => {
+        storeSession(null);
+        applySession(null);
+    }, [applySession]);
+
+    // signIn changes with the wallet, and the effect below should only run when the wallet does
+    const signInRef = useRef(signIn);
+    signInRef.current = signIn;
+    const canSignMessage = Boolean(signMessage);
+
+    // A session only counts for the wallet it was issued to. Wallets connect after the first render, so
+    // the stored session is kept until a different wallet shows up.
+    useEffect(() => {
+        if (!walletAddress) {
+            applySession(null);
+            return;
+        }
+
+        const storedSession = loadStoredSession();
+        if (storedSession?.walletAddress === walletAddress && isSessionUsable(storedSession)) {
+            applySession(storedSession);
+            return;
+        }
+
+        storeSession(null);
+        applySession(null);
+        if (canSignMessage) {
+            signInRef.current().catch(error => console.warn("Wallet sign-in was not completed:", error));
+        }
+    }, [walletAddress, canSignMessage, applySession]);
+
+    // Disconnecting is the way to sign out; switching accounts in the wallet is handled above, since
+    // the new account shows up as a different address.
+    useEffect(() => {
+        const adapter = wallet?.adapter;
+        if (!adapter) return;
+        adapter.on('disconnect', signOut);
+        return () => {
+            adapter.off('disconnect', signOut);
+        };
+    }, [wallet, signOut]);
+
+    // Expired sessions are dropped so writes fail with "sign in" rather than an auth error
+    useEffect(() => {
+        if (!session) return;
+        const timeout = setTimeout(signOut, Math.max(Date.parse(session.expiresAt) - SESSION_EXPIRY_MARGIN_MS - Date.now(), 0));
+        return () => clearTimeout(timeout);
+    }, [session, signOut]);
+
+    const value = useMemo(
+        () => ({ supabase, isSupabaseReady, session, signIn, signOut, isSigningIn }),
+        [isSupabaseReady, session, signIn, signOut, isSigningIn]
+    );
+
+    return (
+        <SupabaseContext.Provider value={value}>
+            {children}
+        </SupabaseContext.Provider>
+    );
+};
+
+// --- Custom Hook for Supabase Operations ---
+const useSupabase = () => {
+    const { supabase, isSupabaseReady, session, signIn, signOut, isSigningIn } = useContext(SupabaseContext);
+
+    // Writes are attributed to the signed-in wallet, which is not necessarily the one connected
+    const getPrimaryId = useCallback(() => {
+        return session?.walletAddress ?? null;
+    }, [session]);
+
+    return { supabase, isSupabaseReady, getPrimaryId, signIn, signOut, isSigningIn };
+};
+
+// --- Mutes ---
+// A muted keyword written as /pattern/flags is treated as a regular expression; anything else
+// is a case-insensitive substring match.
+const parseMutedKeyword = (keyword) => {
+    const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, '')); // Stateful flags would break .test()
+        } catch (error) {
+            return null;
+        }
+    }
+    const needle = keyword.toLowerCase();
+    return { test: (text) => text.toLowerCase().includes(needle) };
+};
+
+const buildMuteMatcher = (mutes) => {
+    const mutedAddresses = new Set(mutes?.muted_addresses || []);
+    const keywordMatchers = (mutes?.muted_keywords || []).map(parseMutedKeyword).filter(Boolean);
+
+    return {
+        isMutedAddress: (address) => !!address && mutedAddresses.has(address),
+        isMutedText: (text) => !!text && keywordMatchers.some(matcher => matcher.test(text)),
+    };
+};
+
+// --- Comments ---
+const COMMENTS_PAGE_SIZE = 20;
+
+// Merges freshly fetched or realtime comment rows into the list, replacing any row with the same id.
+const mergeComments = (existing, incoming) => {
+    const byId = new Map(existing.map(comment => [comment.id, comment]));
+    incoming.forEach(comment => byId.set(comment.id, comment));
+    return Array.from(byId.values());
+};
+
+// Drops a comment together with every reply beneath it, mirroring the ON DELETE CASCADE in the database.
+const removeCommentBranch = (comments, commentId) => {
+    const removed = new Set([commentId]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        comments.forEach(comment => {
+            if (comment.parent_comment_id && removed.has(comment.parent_comment_id) && !removed.has(comment.id)) {
+                removed.add(comment.id);
+                grew = true;
+            }
+        });
+    }
+    return comments.filter(comment => !removed.has(comment.id));
+};
+
+// Turns the flat list into top-level threads, each with its replies nested under `replies`.
+const buildCommentTree = (comments) => {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+    const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+    nodes.forEach(node => {
+        const parent = node.parent_comment_id ? nodes.get(node.parent_comment_id) : null;
+        if (parent) {
+            parent.replies.push(node);
+        } else if (!node.parent_comment_id) {
+            roots.push(node);
+        }
+    });
+    nodes.forEach(node => node.replies.sort(byCreatedAt));
+    return roots.sort(byCreatedAt);
+};
+
+// Removes comments (and the replies under them) that match `isHidden`.
+const pruneCommentTree = (threads, isHidden) => threads
+    .filter(comment => !isHidden(comment))
+    .map(comment => ({ ...comment, replies: pruneCommentTree(comment.replies, isHidden) }));
+
+// Loads a post's comments one page of top-level threads at a time, pulls in every reply
+// beneath the loaded threads, and keeps the list current over the realtime channel.
+const useComments = (postId, enabled) => {
+    const { supabase, isSupabaseReady } = useContext(SupabaseContext);
+    const [comments, setComments] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const nextPageRef = useRef(0);
+
+    const fetchReplies = useCallback(async (parentIds) => {
+        const replies = [];
+        let pending = parentIds;
+        while (pending.length > 0) {
+            const { data, error } = await supabase
+                .from('comments')
+                .select('*')
+                .in('parent_comment_id', pending)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            replies.push(...data);
+            pending = data.map(reply => reply.id);
+        }
+        return replies;
+    }, [supabase]);
+
+    const loadPage = useCallback(async (page) => {
+        if (!supabase || !isSupabaseReady || !postId) return;
+        setIsLoading(true);
+        try {
+            const from = page * COMMENTS_PAGE_SIZE;
+            const { data: threads, error } = await supabase
+                .from('comments')
+                .select('*')
+                .eq('post_id', postId)
+                .is('parent_comment_id', null)
+                .order('created_at', { ascending: true })
+                .range(from, from + COMMENTS_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            const replies = await fetchReplies(threads.map(thread => thread.id));
+            setComments(prev => mergeComments(page === 0 ? [] : prev, [...threads, ...replies]));
+            setHasMore(threads.length === COMMENTS_PAGE_SIZE);
+            nextPageRef.current = page + 1;
+        } catch (error) {
+            console.error("Error fetching comments:", error);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [supabase, isSupabaseReady, postId, fetchReplies]);
+
+    useEffect(() => {
+        if (!enabled || !supabase || !isSupabaseReady || !postId) return;
+
+        loadPage(0);
+
+        // Realtime doesn't apply filters to DELETE events, so deletes come in unfiltered and are
+        // matched on the old row's post_id.
+        const upsertFromPayload = payload => setComments(prev => mergeComments(prev, [payload.new]));
+        const channel = supabase
+            .channel(`comments:${postId}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'comments', filter: `post_id=eq.${postId}` }, upsertFromPayload)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'comments', filter: `post_id=eq.${postId}` }, upsertFromPayload)
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'comments' }, payload => {
+                if (payload.old.post_id === postId) {
+                    setComments(prev => removeCommentBranch(prev, payload.old.id));
+                }
+            })
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [enabled, supabase, isSupabaseReady, postId, loadPage]);
+
+    const loadMore = useCallback(() => {
+        if (!isLoading && hasMore) loadPage(nextPageRef.current);
+    }, [isLoading, hasMore, loadPage]);
+
+    // Lets callers apply their own writes immediately instead of waiting for the realtime echo.
+    const upsertComment = useCallback((comment) => {
+        setComments(prev => mergeComments(prev, [comment]));
+    }, []);
+
+    const removeComment = useCallback((commentId) => {
+        setComments(prev => removeCommentBranch(prev, commentId));
+    }, []);
+
+    const threads = useMemo(() => buildCommentTree(comments), [comments]);
+
+    return { threads, hasMore, isLoading, loadMore, upsertComment, removeComment };
+};
+
+// --- Feed Pagination ---
+const FEED_PAGE_SIZE = 20;
+
+// Quotes a value for use inside a PostgREST or()/and() filter, where commas, dots and colons are syntax.
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Builds the "strictly older than the cursor" condition for a newest-first (timestamp, id) keyset.
+const olderThanCursorFilter = (cursor, timeColumn, idColumn) => {
+    const time = quoteFilterValue(cursor.time);
+    return `${timeColumn}.lt.${time},and(${timeColumn}.eq.${time},${idColumn}.lt.${quoteFilterValue(cursor.id)})`;
+};
+
+// Escapes LIKE wildcards so a search for "100%" matches the literal text.
+const escapeLikePattern = (term) => term.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Posts are read with the post they quote embedded as `quoted` (null once it's gone), so quote cards
+// don't each fetch it. feed_items and liked_post_items carry it inside their post JSON the same way.
+const POST_SELECT = '*, quoted:quoted_post_id(*)';
+
+// Realtime rows come without the embedded quote, so a quote that arrives live fetches it once here.
+const attachQuotedPost = async (supabase, post) => {
+    if (!post.quoted_post_id) return post;
+    const { data, error } = await supabase.from('posts').select('*').eq('id', post.quoted_post_id).maybeSingle();
+    if (error) console.error("Error fetching quoted post:", error);
+    return { ...post, quoted: data };
+};
+
+// Row mappers for the two home timelines. Global reads `posts`; Following reads the `feed_items`
+// view, where a post can appear once as itself and again per repost, so it is keyed by post id
+// and only its most recent appearance is kept.
+const postToFeedItem = (post) => ({ key: post.id, post, repostedBy: null });
+const postFeedCursor = (post) => ({ time: post.created_at, id: post.id });
+const feedRowToFeedItem = (row) => ({ key: row.post_id, post: row.post, repostedBy: row.reposted_by });
+const feedRowCursor = (row) => ({ time: row.activity_at, id: row.item_id });
+const likedRowToFeedItem = (row) => ({ key: row.item_id, post: row.post, repostedBy: null });
+const likedRowCursor = (row) => ({ time: row.liked_at, id: row.item_id });
+const followerRowToItem = (row) => ({ key: row.follower_address, address: row.follower_address });
+const followerRowCursor = (row) => ({ time: row.created_at, id: row.follower_address });
+const followedRowToItem = (row) => ({ key: row.followed_address, address: row.followed_address });
+const followedRowCursor = (row) => ({ time: row.created_at, id: row.followed_address });
+
+// Follow lists, read from `follows` newest-first. "Followers you know" are the profile's followers
+// that you follow yourself, so it only shows on other people's profiles.
+const FOLLOW_LISTS = [
+    { id: 'followers', label: 'Followers', emptyLabel: 'No followers yet.', toItem: followerRowToItem, getCursor: followerRowCursor },
+    { id: 'following', label: 'Following', emptyLabel: 'Not following anyone yet.', toItem: followedRowToItem, getCursor: followedRowCursor },
+    { id: 'known', label: 'Followers you know', emptyLabel: 'None of the people you follow follow them.', toItem: followerRowToItem, getCursor: followerRowCursor },
+];
+
+// Profile tabs. Posts and Media read `posts`; Reposts read `feed_items` and Likes `liked_post_items`,
+// so those two are ordered by when the profile reposted or liked the post.
+const PROFILE_TABS = [
+    { id: 'posts', label: 'Posts', emptyLabel: 'No posts yet.', toItem: postToFeedItem, getCursor: postFeedCursor },
+    { id: 'reposts', label: 'Reposts', emptyLabel: 'No reposts yet.', toItem: feedRowToFeedItem, getCursor: feedRowCursor },
+    { id: 'likes', label: 'Likes', emptyLabel: 'No likes yet.', toItem: likedRowToFeedItem, getCursor: likedRowCursor },
+    { id: 'media', label: 'Media', emptyLabel: 'No photos or videos yet.', toItem: postToFeedItem, getCursor: postFeedCursor },
+];
+
+// Puts new items at the top of a timeline, dropping older copies of the same post further down.
+const prependFeedItems = (items, newItems) => {
+    const newKeys = new Set(newItems.map(item => item.key));
+    return [...newItems, ...items.filter(item => !newKeys.has(item.key))];
+};
+
+// Applies a realtime UPDATE to every timeline item showing that post.
+const patchFeedPost = (items, post) => items.map(item => (item.post.id === post.id ? { ...item, post: { ...item.post, ...post } } : item));
+
+const SEARCH_RESULTS_LIMIT = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Keyset pagination over any newest-first query. `fetchPage(cursor, limit)` returns raw rows,
+// `toItem(row)` maps a row to `{ key, post, ... }` and `getCursor(row)` to `{ time, id }`.
+// Changing `resetKey` starts over from the top.
+const useKeysetFeed = ({ fetchPage, toItem, getCursor, resetKey, enabled = true }) => {
+    const [items, setItems] = useState([]);
+    const [hasMore, setHasMore] = useState(true);
+    const [isLoading, setIsLoading] = useState(false);
+    const cursorRef = useRef(null);
+    const generationRef = useRef(0);
+    const isLoadingRef = useRef(false);
+
+    const appendRows = useCallback((rows, replace) => {
+        setItems(prev => {
+            const seen = new Set(replace ? [] : prev.map(item => item.key));
+            const fresh = rows.map(toItem).filter(item => {
+                if (seen.has(item.key)) return false;
+                seen.add(item.key);
+                return true;
+            });
+            return replace ? fresh : [...prev, ...fresh];
+        });
+        if (rows.length > 0) {
+            cursorRef.current = getCursor(rows[rows.length - 1]);
+        }
+    }, [toItem, getCursor]);
+
+    const loadPage = useCallback(async ({ replace, limit }) => {
+        const generation = generationRef.current;
+        isLoadingRef.current = true;
+        setIsLoading(true);
+        try {
+            const rows = await fetchPage(replace ? null : cursorRef.current, limit);
+            if (generation !== generationRef.current) return; // A reset happened while this page was loading
+            appendRows(rows, replace);
+            setHasMore(rows.length === limit);
+        } catch (error) {
+            console.error("Error fetching feed page:", error);
+        } finally {
+            if (generation === generationRef.current) {
+                isLoadingRef.current = false;
+                setIsLoading(false);
+            }
+        }
+    }, [fetchPage, appendRows]);
+
+    // Callers usually pass fresh functions every render, so only `resetKey` and `enabled` restart the feed
+    const loadPageRef = useRef(loadPage);
+    loadPageRef.current = loadPage;
+
+    useEffect(() => {
+        generationRef.current += 1;
+        cursorRef.current = null;
+        isLoadingRef.current = false;
+        setItems([]);
+        setHasMore(true);
+        if (enabled) {
+            loadPageRef.current({ replace: true, limit: FEED_PAGE_SIZE });
+        }
+    }, [resetKey, enabled]);
+
+    const loadMore = useCallback(() => {
+        if (!enabled || isLoadingRef.current || !hasMore) return;
+        loadPage({ replace: false, limit: FEED_PAGE_SIZE });
+    }, [enabled, hasMore, loadPage]);
+
+    return { items, setItems, hasMore, isLoading, loadMore };
+};
+
+// --- Post Attachments ---
+// A post carries up to four images or one short video, stored in posts.attachments as
+// { type, url, path, mimeType, size, width, height, durationSeconds? }. Images are resized and
+// re-encoded in the browser before upload, which also drops their EXIF data (location, camera, ...).
+const MEDIA_BUCKET = 'web3-social-bucket';
+const MAX_POST_IMAGES = 4;
+const MAX_IMAGE_INPUT_BYTES = 20 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_DIMENSION = 2048;
+const IMAGE_QUALITY = 0.85;
+const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+const MAX_VIDEO_SECONDS = 60;
+const MEDIA_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov',
+};
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const compressImage = async (file) => {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }).catch(() => {
+        throw new Error(`${file.name} couldn't be read as an image.`);
+    });
+
+    // A canvas would keep only the first frame of an animated GIF, so GIFs are uploaded as they are
+    if (file.type === 'image/gif') {
+        const { width, height } = bitmap;
+        bitmap.close();
+        if (file.size > MAX_IMAGE_BYTES) {
+            throw new Error(`${file.name} is larger than ${formatMegabytes(MAX_IMAGE_BYTES)}.`);
+        }
+        return { blob: file, width, height };
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    // Transparent images stay transparent as WebP; browsers that can't encode it hand back a PNG
+    const outputType = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/webp';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, outputType, IMAGE_QUALITY));
+    if (!blob) throw new Error(`${file.name} couldn't be processed.`);
+    if (blob.size > MAX_IMAGE_BYTES) {
+        throw new Error(`${file.name} is still larger than ${formatMegabytes(MAX_IMAGE_BYTES)} after compression.`);
+    }
+    return { blob, width, height };
+};
+
+const readVideoMetadata = (file) => new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(file);
+    video.preload = 'metadata';
+    video.onloadedmetadata = () => {
+        URL.revokeObjectURL(url);
+        resolve({ width: video.videoWidth, height: video.videoHeight, durationSeconds: video.duration });
+    };
+    video.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`${file.name} can't be played in your browser.`));
+    };
+    video.src = url;
+});
+
+// Validates and processes a picked file into a draft attachment for the composer
+const prepareAttachment = async (file) => {
+    const draft = { id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, name: file.name, progress: null };
+
+    if (IMAGE_TYPES.includes(file.type)) {
+        if (file.size > MAX_IMAGE_INPUT_BYTES) {
+            throw new Error(`${file.name} is larger than ${formatMegabytes(MAX_IMAGE_INPUT_BYTES)}.`);
+        }
+        const { blob, width, height } = await compressImage(file);
+        return { ...draft, type: 'image', blob, width, height, previewUrl: URL.createObjectURL(blob) };
+    }
+
+    if (VIDEO_TYPES.includes(file.type)) {
+        if (file.size > MAX_VIDEO_BYTES) {
+            throw new Error(`${file.name} is larger than ${formatMegabytes(MAX_VIDEO_BYTES)}.`);
+        }
+        const { width, height, durationSeconds } = await readVideoMetadata(file);
+        if (durationSeconds > MAX_VIDEO_SECONDS) {
+            throw new Error(`Videos can be at most ${MAX_VIDEO_SECONDS} seconds long.`);
+        }
+        return { ...draft, type: 'video', blob: file, width, height, durationSeconds, previewUrl: URL.createObjectURL(file) };
+    }
+
+    throw new Error(`${file.name} isn't a supported image (JPEG, PNG, WebP, GIF) or video (MP4, WebM, MOV).`);
+};
+
+// supabase-js doesn't report upload progress, so the file goes to a signed upload URL over XHR
+const uploadWithProgress = async (client, path, blob, onProgress) => {
+    const { data, error } = await client.storage.from(MEDIA_BUCKET).createSignedUploadUrl(path);
+    if (error) throw error;
+
+    await new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+        request.open('PUT', data.signedUrl);
+        request.setRequestHeader('apikey', SUPABASE_ANON_KEY);
+        request.setRequestHeader('Content-Type', blob.type);
+        request.setRequestHeader('cache-control', 'max-age=3600');
+        request.setRequestHeader('x-upsert', 'false');
+        request.upload.onprogress = (event) => {
+            if (event.lengthComputable) onProgress(event.loaded / event.total);
+        };
+        request.onload = () => {
+            if (request.status >= 200 && request.status < 300) {
+                resolve();
+                return;
+            }
+            let message = `Upload failed (${request.status}).`;
+            try {
+                message = JSON.parse(request.responseText).message || message;
+            } catch {
+                // Not a JSON error body
+            }
+            reject(new Error(message));
+        };
+        request.onerror = () => reject(new Error("Upload failed. Check your connection and try again."));
+        request.send(blob);
+    });
+
+    return client.storage.from(MEDIA_BUCKET).getPublicUrl(path).data.publicUrl;
+};
+
+const toPostAttachment = (draft, path, url) => ({
+    type: draft.type,
+    url,
+    path,
+    mimeType: draft.blob.type,
+    size: draft.blob.size,
+    width: draft.width,
+    height: draft.height,
+    ...(draft.type === 'video' ? { durationSeconds: Math.round(draft.durationSeconds) } : {}),
+});
+
+// --- Handles ---
+// Usernames are unique handles (3-20 letters, digits or underscores, compared case-insensitively).
+// The database also enforces a reserved-name list and a rename cooldown. Posts and comments only
+// store the author's address, so names are looked up from the loaded profiles when they render.
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;
+const PROFILE_HASH_PATTERN = /^#\/@([A-Za-z0-9_]{3,20})$/;
+
+const profileHash = (username) => `#/@${username}`;
+
+const validateUsername = (username, walletAddress, profiles) => {
+    if (!USERNAME_PATTERN.test(username)) {
+        return "Usernames are 3-20 letters, numbers or underscores.";
+    }
+    const lowered = username.toLowerCase();
+    const taken = Object.values(profiles).some(profile => profile.wallet_address !== walletAddress && profile.username?.toLowerCase() === lowered);
+    return taken ? "That username is taken." : null;
+};
+
+// When the current handle can next be changed, or null if it can be changed now.
+const nextUsernameChangeAt = (profile) => {
+    if (!profile?.username_changed_at) return null;
+    const nextChange = new Date(new Date(profile.username_changed_at).getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    return nextChange > new Date() ? nextChange : null;
+};
+
+// Every loaded profile by wallet address, so posts and comments can show their author's current name.
+const ProfilesContext = createContext({});
+
+const useProfile = (address) => useContext(ProfilesContext)[address];
+
+// --- Mentions and Hashtags ---
+// The database picks @handles and #tags out of post and comment text when it's written and stores
+// mentions as { handle, wallet_address }, so a mention keeps pointing at whoever held the handle then.
+// Rendering finds the same tokens again with TEXT_ENTITY_PATTERN, which must match the SQL patterns.
+const TEXT_ENTITY_PATTERN = /(?<![A-Za-z0-9_])@([A-Za-z0-9_]{3,20})(?![A-Za-z0-9_])|(?<![A-Za-z0-9_])#([A-Za-z][A-Za-z0-9_]{0,49})(?![A-Za-z0-9_])/g;
+const ENTITY_QUERY_PATTERN = /(?<![A-Za-z0-9_])([@#])([A-Za-z0-9_]{0,50})$/;
+const TAG_HASH_PATTERN = /^#\/tag\/([A-Za-z][A-Za-z0-9_]{0,49})$/;
+const MAX_ENTITY_SUGGESTIONS = 5;
+
+const tagHash = (tag) => `#/tag/${tag.toLowerCase()}`;
+
+// Splits text into plain runs, mentions (with the wallet they point at) and hashtags. A handle nobody
+// held when the text was written stays plain text.
+const splitTextEntities = (text, mentions) => {
+    const mentionedAddresses = new Map((mentions || []).map(mention => [mention.handle, mention.wallet_address]));
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(TEXT_ENTITY_PATTERN)) {
+        const [token, handle, tag] = match;
+        const address = handle && mentionedAddresses.get(handle.toLowerCase());
+        if (!address && !tag) continue;
+
+        if (match.index > lastIndex) segments.push({ text: text.slice(lastIndex, match.index) });
+        segments.push(address ? { text: token, address } : { text: token, tag: tag.toLowerCase() });
+        lastIndex = match.index + token.length;
+    }
+    if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex) });
+    return segments;
+};
+
+// --- Profile Media and Badges ---
+// Avatars and banners go to profile_media/<wallet address>/ after the same in-browser compression as
+// post images. An NFT avatar can only be set through the nft-avatar edge function, which checks the
+// wallet holds it; it shows ahead of an uploaded avatar.
+const PROFILE_LINK_FIELDS = [
+    { id: 'website_url', label: 'Website', placeholder: 'https://example.com' },
+    { id: 'github_username', label: 'GitHub username', placeholder: 'octocat' },
+    { id: 'x_username', label: 'X username', placeholder: 'gorbagana' },
+];
+
+const profileLinks = (profile) => [
+    profile?.website_url && { id: 'website', label: profile.website_url.replace(/^https?:\/\//, ''), href: profile.website_url },
+    profile?.github_username && { id: 'github', label: `GitHub: ${profile.github_username}`, href: `https://github.com/${profile.github_username}` },
+    profile?.x_username && { id: 'x', label: `X: @${profile.x_username}`, href: `https://x.com/${profile.x_username}` },
+].filter(Boolean);
+
+// Empty fields are stored as null; usernames may be typed with a leading @.
+const normalizeProfileLinks = (data) => ({
+    website_url: data.website_url.trim() || null,
+    github_username: data.github_username.trim().replace(/^@/, '') || null,
+    x_username: data.x_username.trim().replace(/^@/, '') || null,
+});
+
+const prepareProfileImage = async (file) => {
+    if (!IMAGE_TYPES.includes(file.type)) {
+        throw new Error(`${file.name} isn't a supported image (JPEG, PNG, WebP or GIF).`);
+    }
+    if (file.size > MAX_IMAGE_INPUT_BYTES) {
+        throw new Error(`${file.name} is larger than ${formatMegabytes(MAX_IMAGE_INPUT_BYTES)}.`);
+    }
+    const { blob } = await compressImage(file);
+    return blob;
+};
+
+const uploadProfileImage = async (client, walletAddress, kind, file) => {
+    const blob = await prepareProfileImage(file);
+    const path = `profile_media/${walletAddress}/${kind}-${Date.now()}.${MEDIA_EXTENSIONS[blob.type] || 'bin'}`;
+    const { error } = await client.storage.from(MEDIA_BUCKET).upload(path, blob, { contentType: blob.type });
+    if (error) throw error;
+    return client.storage.from(MEDIA_BUCKET).getPublicUrl(path).data.publicUrl;
+};
+
+// NFTs the wallet holds on this cluster: token accounts holding the only token of a zero-decimal mint.
+// The nft-avatar function checks the supply is one when one of them is picked.
+const fetchWalletNftMints = async (connection, owner) => {
+    const { value: accounts } = await connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID }, 'confirmed');
+    return accounts
+        .map(account => account.account.data.parsed.info)
+        .filter(info => info.tokenAmount.decimals === 0 && info.tokenAmount.amount === '1')
+        .map(info => info.mint);
+};
+
+// Badges worked out from what the wallet holds on the current cluster: its on-chain GOR balance, and
+// the tickets recorded in ticket_holdings once their purchases were verified on-chain.
+const MAX_TICKET_BADGES = 3;
+
+const useProfileBadges = (connection, cluster, address) => {
+    const { supabase, isSupabaseReady } = useContext(SupabaseContext);
+    const [holdsGor, setHoldsGor] = useState(false);
+    const [ticketSubjects, setTicketSubjects] = useState([]);
+
+    useEffect(() => {
+        setHoldsGor(false);
+        if (!address) return;
+
+        let isCancelled = false;
+        const tokenAccount = getAssociatedTokenAddressSync(cluster.gorMint, new PublicKey(address));
+        connection.getTokenAccountBalance(tokenAccount, 'confirmed')
+            .then(({ value }) => {
+                if (!isCancelled) setHoldsGor(BigInt(value.amount) > 0n);
+            })
+            .catch(() => {}); // No token account means no GOR
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [connection, cluster, address]);
+
+    useEffect(() => {
+        setTicketSubjects([]);
+        if (!supabase || !isSupabaseReady || !address) return;
+
+        let isCancelled = false;
+        supabase
+            .from('ticket_holdings')
+            .select('subject_address')
+            .eq('cluster', cluster.id)
+            .eq('holder_address', address)
+            .gt('count', 0)
+            .order('count', { ascending: false })
+            .then(({ data, error }) => {
+                if (isCancelled) return;
+                if (error) {
+                    console.error("Error fetching ticket badges:", error);
+                    return;
+                }
+                setTicketSubjects(data.map(row => row.subject_address));
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [supabase, isSupabaseReady, cluster, address]);
+
+    return { holdsGor, ticketSubjects };
+};
+
+// --- Transaction History ---
+// The wallet page reads the `transactions` ledger, which the database fills from tips, ticket trades,
+// deposits and withdrawals. Amounts are stored in base units and formatted with the mint's decimals.
+const TRANSACTION_KIND_LABELS = {
+    tip_sent: 'Tip sent',
+    tip_received: 'Tip received',
+    ticket_buy: 'Ticket bought',
+    ticket_sell: 'Ticket sold',
+    deposit: 'Deposit',
+    withdrawal: 'Withdrawal',
+};
+const INCOMING_TRANSACTION_KINDS = ['tip_received', 'ticket_sell', 'deposit'];
+
+const TRANSACTION_TYPE_FILTERS = [
+    { id: 'all', label: 'All', kinds: null },
+    { id: 'tips', label: 'Tips', kinds: ['tip_sent', 'tip_received'] },
+    { id: 'tickets', label: 'Tickets', kinds: ['ticket_buy', 'ticket_sell'] },
+    { id: 'transfers', label: 'Deposits & Withdrawals', kinds: ['deposit', 'withdrawal'] },
+];
+const TRANSACTION_STATUSES = ['pending', 'confirmed', 'failed', 'refunded'];
+const CSV_EXPORT_PAGE_SIZE = 1000;
+const DEPOSIT_SCAN_LIMIT = 10; // Recent token-account transactions checked for deposits when the balance rises
+
+const transactionToItem = (transaction) => ({ key: transaction.id, transaction });
+const transactionCursor = (transaction) => ({ time: transaction.created_at, id: transaction.id });
+
+const formatSignedGorAmount = (transaction, decimals) => {
+    const amount = formatGorAmount(BigInt(transaction.amount_base_units), decimals);
+    return INCOMING_TRANSACTION_KINDS.includes(transaction.kind) ? `+${amount}` : `-${amount}`;
+};
+
+const matchesTransactionFilters = (transaction, kinds, status) =>
+    (!kinds || kinds.includes(transaction.kind)) && (!status || transaction.status === status);
+
+const toCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const transactionsToCsv = (transactions, cluster, decimals, usernameFor) => {
+    const header = ['Date', 'Type', 'Status', 'Counterparty', 'Counterparty Address', 'Amount (GOR)', 'Signature', 'Explorer'];
+    const rows = transactions.map(transaction => [
+        new Date(transaction.created_at).toISOString(),
+        TRANSACTION_KIND_LABELS[transaction.kind] || transaction.kind,
+        transaction.status,
+        transaction.counterparty_address ? usernameFor(transaction.counterparty_address) : '',
+        transaction.counterparty_address,
+        formatSignedGorAmount(transaction, decimals),
+        transaction.signature,
+        transaction.signature ? explorerTransactionUrl(cluster, transaction.signature) : '',
+    ]);
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+};
+
+const downloadTextFile = (filename, contents, mimeType) => {
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Paginated ledger for one wallet on the current cluster, kept live: new rows are prepended and
+// status changes patched in.
+const useTransactionHistory = (walletAddress, kinds, status) => {
+    const { supabase, isSupabaseReady } = useContext(SupabaseContext);
+    const { cluster } = useCluster();
+    const enabled = !!supabase && isSupabaseReady && !!walletAddress;
+
+    const buildQuery = useCallback((cursor, limit) => {
+        let query = supabase
+            .from('transactions')
+            .select('*')
+            .eq('cluster', cluster.id)
+            .eq('wallet_address', walletAddress)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit);
+        if (kinds) query = query.in('kind', kinds);
+        if (status) query = query.eq('status', status);
+        if (cursor) query = query.or(olderThanCursorFilter(cursor, 'created_at', 'id'));
+        return query;
+    }, [supabase, cluster, walletAddress, kinds, status]);
+
+    const fetchPage = useCallback(async (cursor, limit) => {
+        const { data, error } = await buildQuery(cursor, limit);
+        if (error) throw error;
+        return data;
+    }, [buildQuery]);
+
+    const history = useKeysetFeed({
+        fetchPage,
+        toItem: transactionToItem,
+        getCursor: transactionCursor,
+        resetKey: `${cluster.id}:${walletAddress}:${kinds ? kinds.join(',') : 'all'}:${status || 'all'}`,
+        enabled,
+    });
+    const { setItems } = history;
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const applyTransaction = ({ new: transaction }) => {
+            if (transaction.cluster !== cluster.id) return;
+            setItems(prev => {
+                if (!matchesTransactionFilters(transaction, kinds, status)) {
+                    return prev.filter(item => item.key !== transaction.id);
+                }
+                const item = transactionToItem(transaction);
+                return prev.some(existing => existing.key === transaction.id)
+                    ? prev.map(existing => (existing.key === transaction.id ? item : existing))
+                    : [item, ...prev];
+            });
+        };
+
+        const channel = supabase
+            .channel(`transactions:${cluster.id}:${walletAddress}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'transactions', filter: `wallet_address=eq.${walletAddress}` }, applyTransaction)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'transactions', filter: `wallet_address=eq.${walletAddress}` }, applyTransaction)
+            // Filtered subscriptions don't receive deletes, e.g. a deposit dropped once the same transfer
+            // is recorded as a tip or ticket trade. Only the id comes through, so match on that.
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'transactions' }, payload => {
+                setItems(prev => prev.filter(item => item.key !== payload.old.id));
+            })
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [supabase, enabled, cluster, walletAddress, kinds, status, setItems]);
+
+    // Every row matching the current filters, for CSV export
+    const fetchAll = useCallback(async () => {
+        const rows = [];
+        let cursor = null;
+        for (;;) {
+            const { data, error } = await buildQuery(cursor, CSV_EXPORT_PAGE_SIZE);
+            if (error) throw error;
+            rows.push(...data);
+            if (data.length < CSV_EXPORT_PAGE_SIZE) return rows;
+            cursor = transactionCursor(data[data.length - 1]);
+        }
+    }, [buildQuery]);
+
+    return { ...history, fetchAll };
+};
+
+// Notification Message Box
+const MessageBox = ({ message, type, onClose }) => {
+    if (!message) return null;
+
+    const bgColor = type === 'error' ? 'bg-red-500' : 'bg-green-500';
+    const textColor = 'text-white';
+
+    return (
+        <div className={`fixed bottom-4 right-4 p-4 rounded-lg shadow-lg ${bgColor} ${textColor} z-50 flex items-center justify-between animate-fade-in-up`}>
+            <span>{message}</span>
+            <button onClick={onClose} className="ml-4 text-white font-bold">&times;</button>
+        </div>
+    );
+};
+
+// Transfer Cost Summary (what the recipient gets and everything the sender pays on top)
+const formatLamports = (lamports) => `${lamports / LAMPORTS_PER_SOL} ${NATIVE_TOKEN_SYMBOL}`;
+
+const TransferCostSummary = ({ recipientLabel, displayAmount, preview, isPreviewLoading }) => (
+    <div className="text-sm text-gray-600 mb-4 space-y-1">
+        <div className="flex justify-between"><span>{recipientLabel} receives</span><span className="font-semibold">{displayAmount} GOR</span></div>
+        <div className="flex justify-between">
+            <span>Network fee</span>
+            <span>{isPreviewLoading ? '...' : preview?.feeLamports != null ? formatLamports(preview.feeLamports) : 'unavailable'}</span>
+        </div>
+        {!isPreviewLoading && preview?.createsRecipientAccount && (
+            <div className="flex justify-between" title={`${recipientLabel} has never held GOR, so your transaction also opens their GOR token account.`}>
+                <span>New GOR account for {recipientLabel}</span>
+                <span>{formatLamports(preview.accountRentLamports)}</span>
+            </div>
+        )}
+        <div className="flex justify-between border-t border-gray-200 pt-1">
+            <span>You pay</span>
+            <span className="font-semibold">{displayAmount} GOR + {preview?.createsRecipientAccount ? 'fee and account rent' : 'fee'}</span>
+        </div>
+    </div>
+);
+
+// Transaction Status Panel (progress of the on-chain action in flight, from simulation to finality)
+const TransactionStatusPanel = ({ transaction, onDismiss }) => {
+    const { cluster } = useCluster();
+    if (!transaction) return null;
+
+    const { label, step, signature, error } = transaction;
+    const isDone = ['confirmed', 'finalized', 'failed'].includes(step);
+    const stepColor = step === 'failed' ? 'text-red-600' : isDone ? 'text-green-700' : 'text-gray-600';
+
+    return (
+        <div className="fixed bottom-4 left-4 w-72 bg-white p-4 rounded-lg shadow-lg border border-gray-200 z-50 text-sm">
+            <div className="flex justify-between items-start">
+                <p className="font-semibold text-gray-800">{label}</p>
+                {isDone && <button onClick={onDismiss} className="ml-2 text-gray-400 hover:text-gray-600 font-bold">&times;</button>}
+            </div>
+            <p className={`mt-1 ${stepColor}`}>
+                {!isDone && <span className="inline-block w-2 h-2 mr-2 rounded-full bg-green-500 animate-pulse" />}
+                {TRANSACTION_STEPS[step]}
+                {step === 'confirmed' && ' · waiting for finality'}
+            </p>
+            {error && <p className="mt-1 text-red-600">{error}</p>}
+            {signature && (
+                <a href={explorerTransactionUrl(cluster, signature)} target="_blank" rel="noopener noreferrer" className="mt-1 inline-block text-green-700 hover:underline">
+                    View on explorer ↗
+                </a>
+            )}
+        </div>
+    );
+};
+
+// Tip Modal Component
+// Amounts are typed in whole GOR (fractions allowed) and converted to base units with the mint's decimals.
+const TipModal = ({ isOpen, onClose, onTipConfirm, onPreview, username, decimals, defaultAmount = '1' }) => {
+    const [amount, setAmount] = useState(defaultAmount);
+    const [preview, setPreview] = useState(null);
+    const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+
+    let baseUnits = null;
+    let amountError = null;
+    if (decimals === null || decimals === undefined) {
+        amountError = 'Loading GOR token details...';
+    } else {
+        try {
+            baseUnits = parseGorAmount(amount, decimals);
+        } catch (error) {
+            amountError = error.message;
+        }
+    }
+
+    useEffect(() => {
+        if (!isOpen || baseUnits === null || !onPreview) {
+            setPreview(null);
+            return;
+        }
+
+        let isCancelled = false;
+        setIsPreviewLoading(true);
+        const timeoutId = setTimeout(async () => {
+            try {
+                const result = await onPreview(baseUnits);
+                if (!isCancelled) setPreview(result);
+            } catch (error) {
+                console.error("Error previewing tip:", error);
+                if (!isCancelled) setPreview(null);
+            } finally {
+                if (!isCancelled) setIsPreviewLoading(false);
+            }
+        }, 300);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timeoutId);
+        };
+        // baseUnits is a bigint, so the effect only reruns when the amount's value changes
+    }, [isOpen, baseUnits, onPreview]);
+
+    if (!isOpen) return null;
+
+    const handleConfirm = () => {
+        if (baseUnits === null) return;
+        onTipConfirm(amount.trim());
+        setAmount(defaultAmount);
+    };
+
+    const displayAmount = baseUnits !== null ? formatGorAmount(baseUnits, decimals) : '0';
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg w-80">
+                <h3 className="text-xl font-bold mb-4">Tip {username}</h3>
+                <p className="mb-4">Enter amount to tip in GOR:</p>
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value.replace(',', '.'))}
+                    className="w-full p-2 border border-gray-300 rounded-md mb-2 focus:outline-none focus:ring-2 focus:ring-green-400"
+                    placeholder="0.5"
+                />
+                {amountError ? (
+                    <p className="text-sm text-red-500 mb-4">{amountError}</p>
+                ) : (
+                    <TransferCostSummary recipientLabel={username} displayAmount={displayAmount} preview={preview} isPreviewLoading={isPreviewLoading} />
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        className="bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={baseUnits === null}
+                    >
+                        Tip {displayAmount} GOR
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Buy Ticket Modal Component (confirmation step with the full cost before signing)
+// The price follows the subject's ticket supply, so it comes from the preview rather than a constant.
+const BuyTicketModal = ({ isOpen, onClose, onConfirm, onPreview, username }) => {
+    const [preview, setPreview] = useState(null);
+    const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setPreview(null);
+            return;
+        }
+
+        let isCancelled = false;
+        setIsPreviewLoading(true);
+        onPreview()
+            .then(result => {
+                if (!isCancelled) setPreview(result);
+            })
+            .catch(error => console.error("Error previewing ticket purchase:", error))
+            .finally(() => {
+                if (!isCancelled) setIsPreviewLoading(false);
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [isOpen, onPreview]);
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg w-80">
+                <h3 className="text-xl font-bold mb-4">Buy a ticket for {username}</h3>
+                {preview && <p className="text-sm text-gray-500 mb-2">{preview.supply} ticket{preview.supply !== 1 ? 's' : ''} held so far. Each ticket costs more than the last.</p>}
+                <TransferCostSummary recipientLabel="Ticket treasury" displayAmount={preview?.priceDisplay ?? '...'} preview={preview} isPreviewLoading={isPreviewLoading} />
+                <p className="text-xs text-gray-500 mb-4">If someone else buys first and the price goes up, your payment is refunded.</p>
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onConfirm(preview.priceBaseUnits)}
+                        className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={!preview}
+                    >
+                        Buy Ticket
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Deposit Modal Component (GOR token account address and QR code; reports incoming transfers)
+// Wallets that send SPL tokens to the owner address derive this same account, so either works.
+const DepositModal = ({ isOpen, onClose, walletAddress, tokenAccountAddress, rawBalance, decimals, onDepositDetected }) => {
+    const [qrCodeUrl, setQrCodeUrl] = useState(null);
+    const [copiedLabel, setCopiedLabel] = useState(null);
+    const [receivedDisplay, setReceivedDisplay] = useState(null);
+    const lastBalanceRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen || !tokenAccountAddress) return;
+        let isCancelled = false;
+        QRCode.toDataURL(tokenAccountAddress, { margin: 1, width: 200 })
+            .then(url => {
+                if (!isCancelled) setQrCodeUrl(url);
+            })
+            .catch(error => console.error("Error generating deposit QR code:", error));
+        return () => {
+            isCancelled = true;
+        };
+    }, [isOpen, tokenAccountAddress]);
+
+    // The balance hook re-reads the token account whenever it changes, so a rise while this is
+    // open is an incoming deposit. Reruns for other inputs see an unchanged balance and do nothing.
+    useEffect(() => {
+        if (!isOpen) {
+            lastBalanceRef.current = null;
+            setReceivedDisplay(null);
+            return;
+        }
+        if (rawBalance === null) return;
+        if (lastBalanceRef.current !== null && rawBalance > lastBalanceRef.current) {
+            const received = rawBalance - lastBalanceRef.current;
+            setReceivedDisplay(decimals === null ? null : formatGorAmount(received, decimals));
+            onDepositDetected(received);
+        }
+        lastBalanceRef.current = rawBalance;
+    }, [isOpen, rawBalance, decimals, onDepositDetected]);
+
+    if (!isOpen) return null;
+
+    const copyToClipboard = async (label, value) => {
+        try {
+            await navigator.clipboard.writeText(value);
+            setCopiedLabel(label);
+            setTimeout(() => setCopiedLabel(null), 2000);
+        } catch (error) {
+            console.error("Error copying to clipboard:", error);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg w-96">
+                <h3 className="text-xl font-bold mb-2">Add GOR</h3>
+                <p className="text-sm text-gray-600 mb-4">Send GOR to your GOR token account. Only send GOR; other tokens sent here can't be recovered through the app.</p>
+                <div className="flex justify-center mb-4">
+                    {qrCodeUrl ? <img src={qrCodeUrl} alt="GOR deposit address QR code" className="w-48 h-48" /> : <div className="w-48 h-48 bg-gray-100 rounded-md" />}
+                </div>
+                <div className="mb-3">
+                    <p className="text-xs font-semibold text-gray-500 uppercase">GOR token account</p>
+                    <div className="flex items-center space-x-2">
+                        <code className="text-xs break-all flex-1">{tokenAccountAddress}</code>
+                        <button onClick={() => copyToClipboard('account', tokenAccountAddress)} className="text-sm text-green-700 hover:underline">
+                            {copiedLabel === 'account' ? 'Copied' : 'Copy'}
+                        </button>
+                    </div>
+                </div>
+                <div className="mb-4">
+                    <p className="text-xs font-semibold text-gray-500 uppercase">Wallet address</p>
+                    <div className="flex items-center space-x-2">
+                        <code className="text-xs break-all flex-1">{walletAddress}</code>
+                        <button onClick={() => copyToClipboard('wallet', walletAddress)} className="text-sm text-green-700 hover:underline">
+                            {copiedLabel === 'wallet' ? 'Copied' : 'Copy'}
+                        </button>
+                    </div>
+                </div>
+                <p className={`text-sm mb-4 ${receivedDisplay ? 'text-green-700 font-semibold' : 'text-gray-500'}`}>
+                    {receivedDisplay ? `Received ${receivedDisplay} GOR!` : 'Waiting for your deposit...'}
+                </p>
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                    >
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Withdrawals only go to wallet addresses. Token account addresses are off the ed25519 curve and
+// can't own a GOR account, so they are rejected here rather than failing on-chain.
+const validateWithdrawalAddress = (input, ownAddress) => {
+    const trimmed = input.trim();
+    if (!trimmed) return { recipient: null, error: null };
+    let recipient;
+    try {
+        recipient = new PublicKey(trimmed);
+    } catch (error) {
+        return { recipient: null, error: 'That is not a valid address.' };
+    }
+    if (!PublicKey.isOnCurve(recipient.toBytes())) {
+        return { recipient: null, error: 'Enter a wallet address, not a token account address.' };
+    }
+    if (recipient.toBase58() === ownAddress) {
+        return { recipient: null, error: 'That is your own wallet.' };
+    }
+    return { recipient, error: null };
+};
+
+// Withdraw Modal Component (address and amount, with the full cost before signing)
+const WithdrawModal = ({ isOpen, onClose, onConfirm, onPreview, ownAddress, rawBalance, decimals }) => {
+    const [addressInput, setAddressInput] = useState('');
+    const [amount, setAmount] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+
+    const { recipient, error: addressError } = validateWithdrawalAddress(addressInput, ownAddress);
+    const recipientAddress = recipient ? recipient.toBase58() : null;
+
+    let baseUnits = null;
+    let amountError = null;
+    if (decimals === null || decimals === undefined) {
+        amountError = 'Loading GOR token details...';
+    } else if (amount.trim()) {
+        try {
+            baseUnits = parseGorAmount(amount, decimals);
+            if (rawBalance !== null && baseUnits > rawBalance) {
+                amountError = 'That is more than your balance.';
+            }
+        } catch (error) {
+            amountError = error.message;
+        }
+    }
+    const canWithdraw = recipient !== null && baseUnits !== null && !amountError;
+
+    useEffect(() => {
+        if (!isOpen || !canWithdraw) {
+            setPreview(null);
+            return;
+        }
+
+        let isCancelled = false;
+        setIsPreviewLoading(true);
+        const timeoutId = setTimeout(async () => {
+            try {
+                const result = await onPreview(recipientAddress, baseUnits);
+                if (!isCancelled) setPreview(result);
+            } catch (error) {
+                console.error("Error previewing withdrawal:", error);
+                if (!isCancelled) setPreview(null);
+            } finally {
+                if (!isCancelled) setIsPreviewLoading(false);
+            }
+        }, 300);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timeoutId);
+        };
+        // The address string and the bigint amount compare by value, unlike the PublicKey
+    }, [isOpen, canWithdraw, recipientAddress, baseUnits, onPreview]);
+
+    if (!isOpen) return null;
+
+    const handleClose = () => {
+        setAddressInput('');
+        setAmount('');
+        onClose();
+    };
+
+    const handleConfirm = () => {
+        if (!canWithdraw) return;
+        onConfirm(recipientAddress, amount.trim());
+        setAddressInput('');
+        setAmount('');
+    };
+
+    const displayAmount = baseUnits !== null ? formatGorAmount(baseUnits, decimals) : '0';
+    const shortRecipient = recipient ? `${recipient.toBase58().substring(0, 4)}...${recipient.toBase58().slice(-4)}` : '';
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg w-96">
+                <h3 className="text-xl font-bold mb-4">Withdraw GOR</h3>
+                <label className="block text-gray-700 text-sm font-bold mb-1" htmlFor="withdraw-address">Recipient wallet address</label>
+                <input
+                    id="withdraw-address"
+                    type="text"
+                    value={addressInput}
+                    onChange={(e) => setAddressInput(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md mb-1 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-green-400"
+                    placeholder="Paste a wallet address"
+                />
+                <p className="text-sm text-red-500 mb-3 min-h-[1.25rem]">{addressError}</p>
+                <label className="block text-gray-700 text-sm font-bold mb-1" htmlFor="withdraw-amount">Amount (GOR)</label>
+                <div className="flex space-x-2 mb-1">
+                    <input
+                        id="withdraw-amount"
+                        type="text"
+                        inputMode="decimal"
+                        value={amount}
+                        onChange={(e) => setAmount(e.target.value.replace(',', '.'))}
+                        className="flex-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                        placeholder="0.5"
+                    />
+                    <button
+                        onClick={() => setAmount(formatGorAmount(rawBalance, decimals))}
+                        className="text-sm text-green-700 border border-green-600 px-3 rounded-md hover:bg-green-50 disabled:opacity-50"
+                        disabled={rawBalance === null || decimals === null}
+                    >
+                        Max
+                    </button>
+                </div>
+                {amountError ? (
+                    <p className="text-sm text-red-500 mb-4">{amountError}</p>
+                ) : canWithdraw ? (
+                    <TransferCostSummary recipientLabel={shortRecipient} displayAmount={displayAmount} preview={preview} isPreviewLoading={isPreviewLoading} />
+                ) : (
+                    <div className="mb-4" />
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={handleClose}
+                        className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={!canWithdraw}
+                    >
+                        Withdraw {displayAmount} GOR
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Infinite Scroll Sentinel (calls onVisible whenever it scrolls into view)
+const InfiniteScrollSentinel = ({ onVisible, hasMore, isLoading, loadingLabel = 'Loading more posts...', endLabel = "You're all caught up." }) => {
+    const sentinelRef = useRef(null);
+
+    useEffect(() => {
+        const node = sentinelRef.current;
+        if (!node || !hasMore) return;
+
+        const observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                onVisible();
+            }
+        }, { rootMargin: '400px' });
+        observer.observe(node);
+
+        return () => observer.disconnect();
+    }, [onVisible, hasMore]);
+
+    return (
+        <div ref={sentinelRef} className="py-4 text-center text-sm text-gray-500">
+            {isLoading ? loadingLabel : !hasMore && endLabel}
+        </div>
+    );
+};
+
+// Avatar Component (verified NFT avatar, then an uploaded one, then the first letter of the username)
+const Avatar = ({ profile, name, className = 'w-10 h-10 text-lg', onClick }) => {
+    const imageUrl = profile?.nft_avatar?.image_url || profile?.avatar_url;
+    const displayName = profile?.username || name;
+
+    return (
+        <div
+            className={`bg-green-200 rounded-full flex items-center justify-center text-green-800 font-bold overflow-hidden flex-shrink-0 ${onClick ? 'cursor-pointer' : ''} ${className}`}
+            onClick={onClick}
+        >
+            {imageUrl ? (
+                <img src={imageUrl} alt={displayName || 'Avatar'} className="w-full h-full object-cover" />
+            ) : (
+                displayName ? displayName[0].toUpperCase() : 'U'
+            )}
+        </div>
+    );
+};
+
+// Rich Text Component (post or comment text with @mentions linked to profiles and #tags linked to tag feeds)
+const RichText = ({ text, mentions, onProfileClick, className }) => {
+    const profiles = useContext(ProfilesContext);
+    const segments = useMemo(() => splitTextEntities(text || '', mentions), [text, mentions]);
+
+    return (
+        <p className={className}>
+            {segments.map((segment, index) => {
+                if (segment.address) {
+                    const username = profiles[segment.address]?.username;
+                    return (
+                        <a
+                            key={index}
+                            href={username ? profileHash(username) : undefined}
+                            onClick={onProfileClick ? (e) => { e.preventDefault(); onProfileClick(segment.address); } : undefined}
+                            className="text-green-600 hover:underline cursor-pointer"
+                        >
+                            {segment.text}
+                        </a>
+                    );
+                }
+                if (segment.tag) {
+                    return <a key={index} href={tagHash(segment.tag)} className="text-green-600 hover:underline">{segment.text}</a>;
+                }
+                return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+            })}
+        </p>
+    );
+};
+
+// Entity Autocomplete Input Component (an input or textarea that suggests @handles and #tags for the word at the caret)
+const EntityAutocompleteInput = forwardRef(({ as: Element = 'input', value, onValueChange, wrapperClassName = '', onKeyDown, ...inputProps }, ref) => {
+    const { supabase } = useContext(SupabaseContext);
+    const profiles = useContext(ProfilesContext);
+    const inputRef = useRef(null);
+    const [query, setQuery] = useState(null); // { trigger: '@' or '#', text, start } for the word being typed
+    const [tagSuggestions, setTagSuggestions] = useState([]);
+    const [highlightedIndex, setHighlightedIndex] = useState(0);
+
+    useImperativeHandle(ref, () => inputRef.current);
+
+    // Sending or clearing the text closes any open suggestions
+    useEffect(() => {
+        if (!value) setQuery(null);
+    }, [value]);
+
+    const queryTrigger = query?.trigger;
+    const queryText = query?.text;
+
+    const mentionSuggestions = useMemo(() => {
+        if (queryTrigger !== '@') return [];
+        return Object.values(profiles)
+            .filter(profile => profile.username?.toLowerCase().startsWith(queryText))
+            .sort((a, b) => (b.followers?.length || 0) - (a.followers?.length || 0))
+            .slice(0, MAX_ENTITY_SUGGESTIONS)
+            .map(profile => ({ key: profile.wallet_address, insert: `@${profile.username}`, profile }));
+    }, [profiles, queryTrigger, queryText]);
+
+    // Tags come from the server, which knows how often each one has been used
+    useEffect(() => {
+        setTagSuggestions([]);
+        if (!supabase || queryTrigger !== '#' || !queryText) return;
+
+        let isCancelled = false;
+        const timeoutId = setTimeout(async () => {
+            const { data, error } = await supabase.rpc('suggest_hashtags', { p_prefix: queryText });
+            if (isCancelled) return;
+            if (error) {
+                console.error("Error loading hashtag suggestions:", error);
+                return;
+            }
+            setTagSuggestions(data.map(row => ({ key: row.tag, insert: `#${row.tag}`, tag: row.tag, postCount: row.post_count })));
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            isCancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [supabase, queryTrigger, queryText]);
+
+    const suggestions = queryTrigger === '@' ? mentionSuggestions : queryTrigger === '#' ? tagSuggestions : [];
+
+    const updateQuery = (element) => {
+        const match = element.value.slice(0, element.selectionStart).match(ENTITY_QUERY_PATTERN);
+        const nextQuery = match ? { trigger: match[1], text: match[2].toLowerCase(), start: match.index } : null;
+        setQuery(prev => (prev?.trigger === nextQuery?.trigger && prev?.text === nextQuery?.text && prev?.start === nextQuery?.start ? prev : nextQuery));
+        setHighlightedIndex(0);
+    };
+
+    const applySuggestion = (suggestion) => {
+        const element = inputRef.current;
+        const before = `${value.slice(0, query.start)}${suggestion.insert} `;
+        onValueChange(before + value.slice(element.selectionStart));
+        setQuery(null);
+        requestAnimationFrame(() => {
+            element.focus();
+            element.setSelectionRange(before.length, before.length);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setHighlightedIndex(index => (index + step + suggestions.length) % suggestions.length);
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                applySuggestion(suggestions[Math.min(highlightedIndex, suggestions.length - 1)]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setQuery(null);
+                return;
+            }
+        }
+        onKeyDown?.(e);
+    };
+
+    return (
+        <div className={`relative ${wrapperClassName}`}>
+            <Element
+                {...inputProps}
+                ref={inputRef}
+                value={value}
+                onChange={(e) => {
+                    onValueChange(e.target.value);
+                    updateQuery(e.target);
+                }}
+                onSelect={(e) => updateQuery(e.target)}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setQuery(null)}
+            />
+            {suggestions.length > 0 && (
+                <ul className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 rounded-md shadow-lg z-20 text-sm">
+                    {suggestions.map((suggestion, index) => (
+                        <li key={suggestion.key}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => {
+                                    e.preventDefault(); // Keep focus in the input
+                                    applySuggestion(suggestion);
+                                }}
+                                className={`flex items-center w-full text-left px-3 py-2 ${index === highlightedIndex ? 'bg-green-50' : 'hover:bg-gray-100'}`}
+                            >
+                                {suggestion.profile ? (
+                                    <>
+                                        <Avatar profile={suggestion.profile} className="w-6 h-6 text-xs mr-2" />
+                                        <span className="font-semibold text-gray-800">@{suggestion.profile.username}</span>
+                                    </>
+                                ) : (
+                                    <>
+                                        <span className="font-semibold text-gray-800">#{suggestion.tag}</span>
+                                        <span className="ml-auto text-gray-500">{suggestion.postCount} post{Number(suggestion.postCount) !== 1 ? 's' : ''}</span>
+                                    </>
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+});
+
+// Follow List Item Component (one row of a Followers/Following list with an inline follow button)
+const FollowListItem = ({ address, profile, currentWalletAddress, currentUserProfile, onProfileClick, onFollowToggle }) => {
+    const isSelf = address === currentWalletAddress;
+    const isFollowing = !!currentUserProfile?.following?.includes(address);
+    const followsYou = !!currentUserProfile?.followers?.includes(address);
+
+    return (
+        <li className="flex items-center py-3 border-b border-gray-100 last:border-b-0">
+            <Avatar profile={profile} className="w-12 h-12 text-lg mr-3" onClick={() => onProfileClick(address)} />
+            <div className="flex-grow min-w-0">
+                <p className="font-semibold text-gray-800">
+                    <span className="cursor-pointer hover:underline" onClick={() => onProfileClick(address)}>{profile?.username || 'Anonymous'}</span>
+                    {!isSelf && followsYou && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-normal bg-gray-100 text-gray-600">
+                            {isFollowing ? 'Mutual' : 'Follows you'}
+                        </span>
+                    )}
+                </p>
+                <p className="text-sm text-gray-600 truncate">{profile?.bio || 'No bio yet.'}</p>
+            </div>
+            {currentWalletAddress && !isSelf && (
+                <button
+                    onClick={() => onFollowToggle(address)}
+                    className={`ml-3 py-1 px-3 rounded-md text-sm transition-colors duration-200 flex-shrink-0 ${isFollowing ? 'bg-gray-300 text-gray-800 hover:bg-gray-400' : 'bg-green-500 text-white hover:bg-green-600'}`}
+                >
+                    {isFollowing ? 'Unfollow' : 'Follow'}
+                </button>
+            )}
+        </li>
+    );
+};
+
+// Comment Component (renders itself and its replies recursively)
+const MAX_COMMENT_INDENT_DEPTH = 4;
+
+const CommentItem = ({ comment, depth = 0, currentWalletAddress, onReply, onEdit, onDelete, onProfileClick }) => {
+    const [isReplying, setIsReplying] = useState(false);
+    const [replyContent, setReplyContent] = useState('');
+    const [isEditing, setIsEditing] = useState(false);
+    const [editContent, setEditContent] = useState(comment.content);
+
+    const isCommentAuthor = comment.author_address === currentWalletAddress;
+    const authorName = useProfile(comment.author_address)?.username || 'Anonymous';
+
+    const handleReplySubmit = async (e) => {
+        e.preventDefault();
+        if (!replyContent.trim()) return;
+        const saved = await onReply(comment.id, replyContent);
+        if (saved) {
+            setReplyContent('');
+            setIsReplying(false);
+        }
+    };
+
+    const handleEditSubmit = async (e) => {
+        e.preventDefault();
+        if (!editContent.trim()) return;
+        const saved = await onEdit(comment.id, editContent);
+        if (saved) {
+            setIsEditing(false);
+        }
+    };
+
+    const handleDeleteClick = () => {
+        const replyNote = comment.replies.length > 0 ? ' Its replies will be removed too.' : '';
+        if (window.confirm(`Delete this comment?${replyNote}`)) {
+            onDelete(comment.id);
+        }
+    };
+
+    return (
+        <div className={depth > 0 && depth <= MAX_COMMENT_INDENT_DEPTH ? 'ml-4 border-l-2 border-green-100 pl-3' : ''}>
+            <div className="bg-gray-50 p-3 rounded-lg mb-2 text-sm border border-gray-100">
+                <p className="font-semibold text-gray-800 cursor-pointer" onClick={() => onProfileClick(comment.author_address)}>{authorName}</p>
+                {isEditing ? (
+                    <form onSubmit={handleEditSubmit} className="mt-1 flex">
+                        <input
+                            type="text"
+                            value={editContent}
+                            onChange={(e) => setEditContent(e.target.value)}
+                            className="flex-grow p-1 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                            autoFocus
+                        />
+                        <button type="submit" className="bg-green-500 text-white px-3 rounded-r-md hover:bg-green-600 transition-colors duration-200">Save</button>
+                        <button type="button" onClick={() => { setIsEditing(false); setEditContent(comment.content); }} className="ml-2 text-gray-500 hover:underline">Cancel</button>
+                    </form>
+                ) : (
+                    <RichText text={comment.content} mentions={comment.mentions} onProfileClick={onProfileClick} className="text-gray-700" />
+                )}
+                <p className="text-xs text-gray-500">
+                    {new Date(comment.created_at).toLocaleString()}
+                    {comment.updated_at && <span className="ml-1">(edited)</span>}
+                </p>
+                {currentWalletAddress && !isEditing && (
+                    <div className="flex space-x-3 mt-1 text-xs">
+                        <button onClick={() => setIsReplying(!isReplying)} className="text-green-600 hover:underline">Reply</button>
+                        {isCommentAuthor && (
+                            <>
+                                <button onClick={() => setIsEditing(true)} className="text-gray-500 hover:underline">Edit</button>
+                                <button onClick={handleDeleteClick} className="text-red-500 hover:underline">Delete</button>
+                            </>
+                        )}
+                    </div>
+                )}
+                {isReplying && (
+                    <form onSubmit={handleReplySubmit} className="mt-2 flex">
+                        <EntityAutocompleteInput
+                            type="text"
+                            value={replyContent}
+                            onValueChange={setReplyContent}
+                            placeholder={`Reply to ${authorName}...`}
+                            wrapperClassName="flex-grow"
+                            className="w-full p-1 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                            autoFocus
+                        />
+                        <button type="submit" className="bg-green-500 text-white px-3 rounded-r-md hover:bg-green-600 transition-colors duration-200">Reply</button>
+                    </form>
+                )}
+            </div>
+            {comment.replies.map(reply => (
+                <CommentItem
+                    key={reply.id}
+                    comment={reply}
+                    depth={depth + 1}
+                    currentWalletAddress={currentWalletAddress}
+                    onReply={onReply}
+                    onEdit={onEdit}
+                    onDelete={onDelete}
+                    onProfileClick={onProfileClick}
+                />
+            ))}
+        </div>
+    );
+};
+
+// Media Lightbox Component (full-screen viewer for a post's attachments; arrow keys move, Escape closes)
+const MediaLightbox = ({ attachments, index, onClose, onNavigate }) => {
+    const hasMultiple = attachments.length > 1;
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') onClose();
+            if (event.key === 'ArrowLeft' && hasMultiple) onNavigate((index - 1 + attachments.length) % attachments.length);
+            if (event.key === 'ArrowRight' && hasMultiple) onNavigate((index + 1) % attachments.length);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [attachments.length, hasMultiple, index, onClose, onNavigate]);
+
+    const attachment = attachments[index];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50" onClick={onClose}>
+            <button onClick={onClose} className="absolute top-4 right-6 text-white text-4xl font-bold hover:text-gray-300">&times;</button>
+            {hasMultiple && (
+                <button
+                    onClick={(e) => { e.stopPropagation(); onNavigate((index - 1 + attachments.length) % attachments.length); }}
+                    className="absolute left-4 text-white text-4xl hover:text-gray-300"
+                >
+                    ‹
+                </button>
+            )}
+            <div onClick={(e) => e.stopPropagation()}>
+                {attachment.type === 'video' ? (
+                    <video src={attachment.url} controls autoPlay className="max-h-[90vh] max-w-[90vw]" />
+                ) : (
+                    <img src={attachment.url} alt={`Attachment ${index + 1}`} className="max-h-[90vh] max-w-[90vw] object-contain" />
+                )}
+            </div>
+            {hasMultiple && (
+                <button
+                    onClick={(e) => { e.stopPropagation(); onNavigate((index + 1) % attachments.length); }}
+                    className="absolute right-4 text-white text-4xl hover:text-gray-300"
+                >
+                    ›
+                </button>
+            )}
+            {hasMultiple && <p className="absolute bottom-4 text-white text-sm">{index + 1} / {attachments.length}</p>}
+        </div>
+    );
+};
+
+// Attachment Gallery Component (a post's images in a grid, or its video; images open in the lightbox)
+const GALLERY_LAYOUTS = {
+    1: { grid: 'grid-cols-1', item: () => 'max-h-96' },
+    2: { grid: 'grid-cols-2', item: () => 'h-64' },
+    3: { grid: 'grid-cols-2 grid-rows-2 h-80', item: (index) => (index === 0 ? 'row-span-2 h-full' : 'h-full') },
+    4: { grid: 'grid-cols-2', item: () => 'h-48' },
+};
+
+const AttachmentGallery = ({ attachments }) => {
+    const [lightboxIndex, setLightboxIndex] = useState(null);
+    const closeLightbox = useCallback(() => setLightboxIndex(null), []);
+
+    if (!attachments?.length) return null;
+
+    if (attachments[0].type === 'video') {
+        return (
+            <div className="mb-4">
+                <video src={attachments[0].url} controls preload="metadata" className="rounded-lg w-full max-h-96 bg-black" />
+            </div>
+        );
+    }
 
-    useEffect(() => {
-        if (supabase) {
-            setIsSupabaseReady(true);
-        }
-    }, []);
+    const layout = GALLERY_LAYOUTS[Math.min(attachments.length, MAX_POST_IMAGES)];
+    return (
+        <div className={`mb-4 grid gap-1 rounded-lg overflow-hidden ${layout.grid}`}>
+            {attachments.map((attachment, index) => (
+                <button key={attachment.path || attachment.url} onClick={() => setLightboxIndex(index)} className={`block w-full ${layout.item(index)}`}>
+                    <img src={attachment.url} alt={`Attachment ${index + 1}`} loading="lazy" className="w-full h-full object-cover" />
+                </button>
+            ))}
+            {lightboxIndex !== null && (
+                <MediaLightbox attachments={attachments} index={lightboxIndex} onClose={closeLightbox} onNavigate={setLightboxIndex} />
+            )}
+        </div>
+    );
+};
+
+// Attachment Drafts Component (composer previews with reordering, removal and upload progress)
+const AttachmentDrafts = ({ drafts, onMove, onRemove, disabled }) => {
+    if (drafts.length === 0) return null;
 
     return (
-        <SupabaseContext.Provider value={{ supabase, isSupabaseReady }}>
-            {children}
-        </SupabaseContext.Provider>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
+            {drafts.map((draft, index) => (
+                <div key={draft.id} className="relative rounded-md overflow-hidden border border-gray-200 bg-gray-50">
+                    {draft.type === 'video' ? (
+                        <video src={draft.previewUrl} muted className="w-full h-28 object-cover" />
+                    ) : (
+                        <img src={draft.previewUrl} alt={draft.name} className="w-full h-28 object-cover" />
+                    )}
+                    {draft.progress !== null ? (
+                        <div className="absolute bottom-0 left-0 right-0 h-1.5 bg-gray-200">
+                            <div className="h-full bg-green-500 transition-all duration-200" style={{ width: `${Math.round(draft.progress * 100)}%` }} />
+                        </div>
+                    ) : (
+                        <div className="absolute top-1 right-1 flex space-x-1">
+                            {drafts.length > 1 && index > 0 && (
+                                <button onClick={() => onMove(index, index - 1)} disabled={disabled} className="bg-black bg-opacity-60 text-white w-6 h-6 rounded-full text-xs" title="Move left">←</button>
+                            )}
+                            {drafts.length > 1 && index < drafts.length - 1 && (
+                                <button onClick={() => onMove(index, index + 1)} disabled={disabled} className="bg-black bg-opacity-60 text-white w-6 h-6 rounded-full text-xs" title="Move right">→</button>
+                            )}
+                            <button onClick={() => onRemove(draft.id)} disabled={disabled} className="bg-black bg-opacity-60 text-white w-6 h-6 rounded-full text-sm font-bold" title="Remove">&times;</button>
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
     );
 };
 
-// --- Custom Hook for Supabase Operations ---
-const useSupabase = (walletAddress) => {
-    const { supabase, isSupabaseReady } = useContext(SupabaseContext);
+// Post History Modal Component (earlier versions of an edited post, newest first)
+const PostHistoryModal = ({ isOpen, onClose, post }) => {
+    const { supabase } = useContext(SupabaseContext);
+    const [revisions, setRevisions] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
 
-    const getPrimaryId = useCallback(() => {
-        return walletAddress;
-    }, [walletAddress]);
+    useEffect(() => {
+        if (!isOpen || !supabase) return;
+
+        let isCancelled = false;
+        setIsLoading(true);
+        supabase
+            .from('post_revisions')
+            .select('id, content, written_at')
+            .eq('post_id', post.id)
+            .order('replaced_at', { ascending: false })
+            .then(({ data, error }) => {
+                if (isCancelled) return;
+                if (error) {
+                    console.error("Error fetching post history:", error);
+                    setRevisions([]);
+                } else {
+                    setRevisions(data);
+                }
+                setIsLoading(false);
+            });
 
-    return { supabase, isSupabaseReady, getPrimaryId };
-};
+        return () => {
+            isCancelled = true;
+        };
+    }, [isOpen, supabase, post.id, post.edited_at]);
 
-// Notification Message Box
-const MessageBox = ({ message, type, onClose }) => {
-    if (!message) return null;
+    if (!isOpen) return null;
 
-    const bgColor = type === 'error' ? 'bg-red-500' : 'bg-green-500';
-    const textColor = 'text-white';
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-lg max-h-[80vh] flex flex-col">
+                <h3 className="text-xl font-bold mb-4">Edit history</h3>
+                <div className="overflow-y-auto space-y-3 mb-4">
+                    <div className="border border-green-200 bg-green-50 rounded-md p-3">
+                        <p className="text-xs text-gray-500 mb-1">Current · edited {new Date(post.edited_at).toLocaleString()}</p>
+                        <p className="text-gray-700 whitespace-pre-wrap">{post.content}</p>
+                    </div>
+                    {isLoading ? (
+                        <p className="text-gray-500 text-sm">Loading history...</p>
+                    ) : (
+                        revisions.map((revision, index) => (
+                            <div key={revision.id} className="border border-gray-200 rounded-md p-3">
+                                <p className="text-xs text-gray-500 mb-1">
+                                    {index === revisions.length - 1 ? 'Original' : 'Edited'} · {new Date(revision.written_at).toLocaleString()}
+                                </p>
+                                <p className="text-gray-700 whitespace-pre-wrap">{revision.content}</p>
+                            </div>
+                        ))
+                    )}
+                </div>
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Quoted Post Preview Component (compact card for a post embedded in a quote)
+const QuotedPostPreview = ({ post, onProfileClick }) => {
+    const authorProfile = useProfile(post.author_address);
 
     return (
-        <div className={`fixed bottom-4 right-4 p-4 rounded-lg shadow-lg ${bgColor} ${textColor} z-50 flex items-center justify-between animate-fade-in-up`}>
-            <span>{message}</span>
-            <button onClick={onClose} className="ml-4 text-white font-bold">&times;</button>
+        <div className="border border-gray-200 rounded-lg p-3 mb-4 bg-gray-50">
+            <p className="text-sm mb-1">
+                <span
+                    className={`font-semibold text-gray-800 ${onProfileClick ? 'cursor-pointer hover:underline' : ''}`}
+                    onClick={onProfileClick ? () => onProfileClick(post.author_address) : undefined}
+                >
+                    {authorProfile?.username || 'Anonymous'}
+                </span>
+                <span className="text-gray-500 ml-2">{new Date(post.created_at).toLocaleString()}</span>
+            </p>
+            {post.content && <RichText text={post.content} mentions={post.mentions} onProfileClick={onProfileClick} className="text-gray-700 text-sm whitespace-pre-wrap line-clamp-6" />}
+            {post.attachments?.length > 0 && (
+                <div className="mt-2">
+                    <AttachmentGallery attachments={post.attachments} />
+                </div>
+            )}
         </div>
     );
 };
 
-// Tip Modal Component
-const TipModal = ({ isOpen, onClose, onTipConfirm, username }) => {
-    const [amount, setAmount] = useState(1);
+// Quoted Post Card Component (the quoted post comes embedded in the feed row; it may have been
+// deleted since, or be from someone the viewer blocked or muted)
+const QuotedPostCard = ({ post, isHidden, onProfileClick }) => {
+    if (!post) {
+        return <p className="border border-gray-200 rounded-lg p-3 mb-4 text-sm text-gray-500 italic">This post is no longer available.</p>;
+    }
+    if (isHidden) {
+        return <p className="border border-gray-200 rounded-lg p-3 mb-4 text-sm text-gray-500 italic">This post is unavailable.</p>;
+    }
+    return <QuotedPostPreview post={post} onProfileClick={onProfileClick} />;
+};
+
+// Quote Post Modal Component (your commentary above the post being quoted)
+const QuotePostModal = ({ isOpen, onClose, onConfirm, post }) => {
+    const [content, setContent] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) setContent('');
+    }, [isOpen]);
 
     if (!isOpen) return null;
 
-    const handleConfirm = () => {
-        onTipConfirm(amount);
-        setAmount(1);
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        const saved = await onConfirm(post, content);
+        setIsSubmitting(false);
+        if (saved) onClose();
     };
 
     return (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-            <div className="bg-white p-6 rounded-lg shadow-lg w-80">
-                <h3 className="text-xl font-bold mb-4">Tip {username}</h3>
-                <p className="mb-4">Enter amount to tip in GOR:</p>
-                <input
-                    type="number"
-                    value={amount}
-                    onChange={(e) => setAmount(Math.max(1, parseInt(e.target.value) || 1))}
-                    className="w-full p-2 border border-gray-300 rounded-md mb-4 focus:outline-none focus:ring-2 focus:ring-green-400"
-                    min="1"
+            <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-lg w-full max-w-lg">
+                <h3 className="text-xl font-bold mb-4">Quote post</h3>
+                <EntityAutocompleteInput
+                    as="textarea"
+                    value={content}
+                    onValueChange={setContent}
+                    placeholder="Add your comment..."
+                    wrapperClassName="mb-3"
+                    className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-400 resize-none"
+                    rows="3"
+                    autoFocus
                 />
+                <QuotedPostPreview post={post} />
                 <div className="flex justify-end space-x-3">
                     <button
+                        type="button"
                         onClick={onClose}
                         className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
                     >
                         Cancel
                     </button>
                     <button
-                        onClick={handleConfirm}
-                        className="bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors duration-200"
+                        type="submit"
+                        className="bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={!content.trim() || isSubmitting}
                     >
-                        Tip {amount} GOR
+                        {isSubmitting ? 'Posting...' : 'Quote'}
                     </button>
                 </div>
-            </div>
+            </form>
         </div>
     );
 };
 
 // Post Component
-const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWalletAddress, onTipPost, isRepostedByCurrentUser = false }) => {
+const Post = ({ post, onLike, onComment, onEditComment, onDeleteComment, onEditPost, onDeletePost, onRepost, onQuotePost, onProfileClick, currentWalletAddress, onTipPost, onPreviewTip, gorDecimals, isHiddenPost, isHiddenComment, isRepostedByCurrentUser = false, repostedByName = null }) => {
+    const authorProfile = useProfile(post.author_address);
+    const authorName = authorProfile?.username || 'Anonymous';
     const [showComments, setShowComments] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [editContent, setEditContent] = useState(post.content || '');
+    const [isSavingEdit, setIsSavingEdit] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showRepostMenu, setShowRepostMenu] = useState(false);
+    const [showQuoteModal, setShowQuoteModal] = useState(false);
     const [newComment, setNewComment] = useState('');
     const commentRef = useRef(null);
     const [showTipModal, setShowTipModal] = useState(false);
+    const { threads: allThreads, hasMore, isLoading: isLoadingComments, loadMore, upsertComment, removeComment } = useComments(post.id, showComments);
+    const threads = useMemo(
+        () => (isHiddenComment ? pruneCommentTree(allThreads, isHiddenComment) : allThreads),
+        [allThreads, isHiddenComment]
+    );
 
     useEffect(() => {
         if (showComments && commentRef.current) {
@@ -149,19 +2492,66 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
         }
     }, [showComments]);
 
-    const handleCommentSubmit = (e) => {
+    const handleCommentSubmit = async (e) => {
         e.preventDefault();
         if (newComment.trim()) {
-            onComment(post.id, newComment);
-            setNewComment('');
-            setShowComments(false);
+            const comment = await onComment(post.id, newComment);
+            if (comment) {
+                upsertComment(comment);
+                setNewComment('');
+            }
         }
     };
 
+    const handleReply = async (parentCommentId, content) => {
+        const reply = await onComment(post.id, content, parentCommentId);
+        if (reply) upsertComment(reply);
+        return !!reply;
+    };
+
+    const handleEdit = async (commentId, content) => {
+        const comment = await onEditComment(commentId, content);
+        if (comment) upsertComment(comment);
+        return !!comment;
+    };
+
+    const handleDelete = async (commentId) => {
+        const deleted = await onDeleteComment(commentId);
+        if (deleted) removeComment(commentId);
+    };
+
     const handleTipClick = () => {
         setShowTipModal(true);
     };
 
+    const startEditing = () => {
+        setEditContent(post.content || '');
+        setIsEditing(true);
+    };
+
+    const handleEditPostSubmit = async (e) => {
+        e.preventDefault();
+        if (editContent === post.content) {
+            setIsEditing(false);
+            return;
+        }
+        setIsSavingEdit(true);
+        const saved = await onEditPost(post.id, editContent);
+        setIsSavingEdit(false);
+        if (saved) setIsEditing(false);
+    };
+
+    const handleDeletePostClick = () => {
+        if (window.confirm("Delete this post? Its comments and attachments will be removed too.")) {
+            onDeletePost(post);
+        }
+    };
+
+    const handleTipPreview = useCallback(
+        (baseUnits) => onPreviewTip(post.author_address, baseUnits),
+        [onPreviewTip, post.author_address]
+    );
+
     const handleTipConfirm = (amount) => {
         onTipPost(post.author_address, amount); // Use author_address for Supabase
         setShowTipModal(false);
@@ -171,6 +2561,7 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
     const likeButtonClass = isLiked ? 'text-red-500' : 'text-gray-500 hover:text-red-400';
 
     const isAuthor = post.author_address === currentWalletAddress; // Use author_address for Supabase
+    const isReposted = !!currentWalletAddress && (post.reposts || []).includes(currentWalletAddress);
 
     return (
         <div className="bg-white p-4 rounded-lg shadow-md mb-4 border border-gray-200 animate-fade-in">
@@ -179,25 +2570,59 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
                     <span className="text-green-600 font-semibold">You </span>reposted this
                 </p>
             )}
+            {!isRepostedByCurrentUser && repostedByName && (
+                <p className="text-sm text-gray-500 mb-2">
+                    <span className="text-green-600 font-semibold">{repostedByName} </span>reposted this
+                </p>
+            )}
             <div className="flex items-center mb-3">
-                <div className="w-10 h-10 bg-green-200 rounded-full flex items-center justify-center text-green-800 font-bold text-lg mr-3 cursor-pointer"
-                     onClick={() => onProfileClick(post.author_address)}> {/* Use author_address */}
-                    {post.username ? post.username[0].toUpperCase() : 'U'}
-                </div>
-                <div>
-                    <p className="font-semibold text-gray-800 cursor-pointer" onClick={() => onProfileClick(post.author_address)}>{post.username || 'Anonymous'}</p> {/* Use author_address */}
-                    <p className="text-sm text-gray-500">{new Date(post.created_at).toLocaleString()}</p> {/* Use created_at */}
+                <Avatar profile={authorProfile} className="w-10 h-10 text-lg mr-3" onClick={() => onProfileClick(post.author_address)} />
+                <div className="flex-grow">
+                    <p className="font-semibold text-gray-800 cursor-pointer" onClick={() => onProfileClick(post.author_address)}>{authorName}</p> {/* Use author_address */}
+                    <p className="text-sm text-gray-500">
+                        {new Date(post.created_at).toLocaleString()} {/* Use created_at */}
+                        {post.edited_at && (
+                            <button onClick={() => setShowHistory(true)} className="ml-1 hover:underline" title="View edit history">(edited)</button>
+                        )}
+                    </p>
                 </div>
+                {isAuthor && !isEditing && (
+                    <div className="flex space-x-3 text-sm">
+                        <button onClick={startEditing} className="text-gray-500 hover:underline">Edit</button>
+                        <button onClick={handleDeletePostClick} className="text-red-500 hover:underline">Delete</button>
+                    </div>
+                )}
             </div>
-            <p className="text-gray-700 mb-4">{post.content}</p>
-            {post.image_url && (
-                <div className="mb-4">
-                    <img src={post.image_url} alt="Post image" className="rounded-lg w-full h-auto max-h-96 object-cover" />
-                </div>
+            {isEditing ? (
+                <form onSubmit={handleEditPostSubmit} className="mb-4">
+                    <textarea
+                        value={editContent}
+                        onChange={(e) => setEditContent(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-400 resize-none"
+                        rows="3"
+                        autoFocus
+                    />
+                    <div className="flex justify-end space-x-3 mt-2">
+                        <button type="button" onClick={() => setIsEditing(false)} className="text-gray-500 hover:underline" disabled={isSavingEdit}>Cancel</button>
+                        <button
+                            type="submit"
+                            className="bg-green-500 text-white px-4 py-1 rounded-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            disabled={isSavingEdit || (!editContent.trim() && !post.attachments?.length)}
+                        >
+                            {isSavingEdit ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <RichText text={post.content} mentions={post.mentions} onProfileClick={onProfileClick} className="text-gray-700 mb-4 whitespace-pre-wrap" />
+            )}
+            <AttachmentGallery attachments={post.attachments} />
+            {post.quoted_post_id && (
+                <QuotedPostCard post={post.quoted} isHidden={!!post.quoted && isHiddenPost(post.quoted)} onProfileClick={onProfileClick} />
             )}
             <div className="flex justify-around items-center text-gray-600 border-t border-b border-gray-200 py-2">
                 <button
-                    onClick={() => onLike(post.id, isLiked)}
+                    onClick={() => onLike(post.id)}
                     className={`flex items-center space-x-1 p-2 rounded-full transition-colors duration-200 ${likeButtonClass}`}
                     disabled={!currentWalletAddress}
                 >
@@ -216,16 +2641,34 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
                     </svg>
                     <span>{post.comments_count || 0}</span> {/* Use comments_count */}
                 </button>
-                <button
-                    onClick={() => onRepost(post.id)}
-                    className="flex items-center space-x-1 p-2 rounded-full text-gray-500 hover:text-green-400 transition-colors duration-200"
-                    disabled={!currentWalletAddress}
-                >
-                    <svg className="w-5 h-5 fill-current" viewBox="0 0 24 24">
-                        <path d="M17 12l-4 4v-3H7V9h6V6l4 4zm-4 7H7V5h6v2h4V5c0-1.1-.9-2-2-2H7c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2v-4h-4v2z"/>
-                    </svg>
-                    <span>{post.reposts_count || 0}</span> {/* Use reposts_count */}
-                </button>
+                <div className="relative">
+                    <button
+                        onClick={() => setShowRepostMenu(!showRepostMenu)}
+                        className={`flex items-center space-x-1 p-2 rounded-full transition-colors duration-200 ${isReposted ? 'text-green-600' : 'text-gray-500 hover:text-green-400'}`}
+                        disabled={!currentWalletAddress}
+                    >
+                        <svg className="w-5 h-5 fill-current" viewBox="0 0 24 24">
+                            <path d="M17 12l-4 4v-3H7V9h6V6l4 4zm-4 7H7V5h6v2h4V5c0-1.1-.9-2-2-2H7c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2v-4h-4v2z"/>
+                        </svg>
+                        <span>{post.reposts_count || 0}</span> {/* Use reposts_count */}
+                    </button>
+                    {showRepostMenu && (
+                        <div className="absolute left-1/2 -translate-x-1/2 mt-1 w-36 bg-white border border-gray-200 rounded-md shadow-lg z-10 text-sm">
+                            <button
+                                onClick={() => { setShowRepostMenu(false); onRepost(post.id); }}
+                                className="block w-full text-left px-3 py-2 hover:bg-gray-100"
+                            >
+                                {isReposted ? 'Undo repost' : 'Repost'}
+                            </button>
+                            <button
+                                onClick={() => { setShowRepostMenu(false); setShowQuoteModal(true); }}
+                                className="block w-full text-left px-3 py-2 hover:bg-gray-100"
+                            >
+                                Quote
+                            </button>
+                        </div>
+                    )}
+                </div>
                 {!isAuthor && currentWalletAddress && (
                     <button
                         onClick={handleTipClick}
@@ -242,25 +2685,39 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
             {showComments && (
                 <div className="mt-4 border-t border-gray-200 pt-4">
                     <h4 className="font-semibold mb-2 text-gray-700">Comments</h4>
-                    {post.comments && post.comments.length > 0 ? (
-                        post.comments.map((comment, index) => (
-                            <div key={index} className="bg-gray-50 p-3 rounded-lg mb-2 text-sm border border-gray-100">
-                                <p className="font-semibold text-gray-800">{comment.username || 'Anonymous'}</p>
-                                <p className="text-gray-700">{comment.content}</p>
-                                <p className="text-xs text-gray-500">{new Date(comment.created_at).toLocaleString()}</p> {/* Use created_at */}
-                            </div>
+                    {threads.length > 0 ? (
+                        threads.map(comment => (
+                            <CommentItem
+                                key={comment.id}
+                                comment={comment}
+                                currentWalletAddress={currentWalletAddress}
+                                onReply={handleReply}
+                                onEdit={handleEdit}
+                                onDelete={handleDelete}
+                                onProfileClick={onProfileClick}
+                            />
                         ))
                     ) : (
-                        <p className="text-gray-500 text-sm">No comments yet. Be the first!</p>
+                        <p className="text-gray-500 text-sm">{isLoadingComments ? 'Loading comments...' : 'No comments yet. Be the first!'}</p>
+                    )}
+                    {hasMore && (
+                        <button
+                            onClick={loadMore}
+                            className="text-green-600 text-sm hover:underline disabled:opacity-50"
+                            disabled={isLoadingComments}
+                        >
+                            {isLoadingComments ? 'Loading...' : 'Load more comments'}
+                        </button>
                     )}
                     <form onSubmit={handleCommentSubmit} className="mt-3 flex">
-                        <input
+                        <EntityAutocompleteInput
                             type="text"
                             ref={commentRef}
                             value={newComment}
-                            onChange={(e) => setNewComment(e.target.value)}
+                            onValueChange={setNewComment}
                             placeholder="Add a comment..."
-                            className="flex-grow p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                            wrapperClassName="flex-grow"
+                            className="w-full p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
                             disabled={!currentWalletAddress}
                         />
                         <button
@@ -276,8 +2733,141 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
             <TipModal
                 isOpen={showTipModal}
                 onClose={() => setShowTipModal(false)}
+                onPreview={handleTipPreview}
+                decimals={gorDecimals}
                 onTipConfirm={handleTipConfirm}
-                username={post.username || 'this user'}
+                username={authorProfile?.username || 'this user'}
+            />
+            <QuotePostModal
+                isOpen={showQuoteModal}
+                onClose={() => setShowQuoteModal(false)}
+                onConfirm={onQuotePost}
+                post={post}
+            />
+            {post.edited_at && (
+                <PostHistoryModal isOpen={showHistory} onClose={() => setShowHistory(false)} post={post} />
+            )}
+        </div>
+    );
+};
+
+// Transaction History Component (wallet page ledger with filters, explorer links and CSV export)
+const TRANSACTION_STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    confirmed: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    refunded: 'bg-gray-100 text-gray-700',
+};
+
+const TransactionHistory = ({ walletAddress, decimals, allUsers, onProfileClick }) => {
+    const [typeFilter, setTypeFilter] = useState('all');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportError, setExportError] = useState(null);
+    const { cluster } = useCluster();
+
+    const { kinds } = TRANSACTION_TYPE_FILTERS.find(filter => filter.id === typeFilter);
+    const { items, hasMore, isLoading, loadMore, fetchAll } = useTransactionHistory(walletAddress, kinds, statusFilter || null);
+
+    const usernameFor = (address) => allUsers[address]?.username || `${address.substring(0, 4)}...${address.substring(address.length - 4)}`;
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        setExportError(null);
+        try {
+            const transactions = await fetchAll();
+            const csv = transactionsToCsv(transactions, cluster, decimals, usernameFor);
+            downloadTextFile(`gor-transactions-${cluster.id}-${walletAddress.substring(0, 7)}-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+        } catch (error) {
+            console.error("Error exporting transactions:", error);
+            setExportError("Export failed. Please try again.");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-lg border border-green-300">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold text-[#0A7740]">🧾 Transaction History</h2>
+                <button
+                    onClick={handleExport}
+                    className="text-sm text-green-700 border border-green-600 px-3 py-1 rounded-md hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={isExporting || decimals === null}
+                >
+                    {isExporting ? 'Exporting...' : 'Export CSV'}
+                </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                {TRANSACTION_TYPE_FILTERS.map(filter => (
+                    <button
+                        key={filter.id}
+                        onClick={() => setTypeFilter(filter.id)}
+                        className={`text-sm px-3 py-1 rounded-full ${typeFilter === filter.id ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {filter.label}
+                    </button>
+                ))}
+                <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="ml-auto text-sm border border-gray-300 rounded-md px-2 py-1"
+                >
+                    <option value="">Any status</option>
+                    {TRANSACTION_STATUSES.map(status => (
+                        <option key={status} value={status}>{status[0].toUpperCase() + status.slice(1)}</option>
+                    ))}
+                </select>
+            </div>
+            {exportError && <p className="text-sm text-red-500 mb-2">{exportError}</p>}
+            {items.length > 0 ? (
+                <ul className="divide-y divide-gray-100">
+                    {items.map(({ key, transaction }) => (
+                        <li key={key} className="py-3 flex items-center justify-between text-sm">
+                            <div>
+                                <p className="font-medium text-gray-800">
+                                    {TRANSACTION_KIND_LABELS[transaction.kind] || transaction.kind}
+                                    {transaction.counterparty_address && (
+                                        <>
+                                            {' · '}
+                                            <button onClick={() => onProfileClick(transaction.counterparty_address)} className="text-green-700 hover:underline">
+                                                {usernameFor(transaction.counterparty_address)}
+                                            </button>
+                                        </>
+                                    )}
+                                </p>
+                                <p className="text-gray-400">
+                                    {new Date(transaction.created_at).toLocaleString()}
+                                    {transaction.signature && (
+                                        <>
+                                            {' · '}
+                                            <a href={explorerTransactionUrl(cluster, transaction.signature)} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                                View on explorer ↗
+                                            </a>
+                                        </>
+                                    )}
+                                </p>
+                            </div>
+                            <div className="text-right">
+                                <p className={`font-semibold ${INCOMING_TRANSACTION_KINDS.includes(transaction.kind) ? 'text-green-700' : 'text-gray-800'}`}>
+                                    {decimals === null ? '...' : formatSignedGorAmount(transaction, decimals)} GOR
+                                </p>
+                                <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs ${TRANSACTION_STATUS_STYLES[transaction.status] || ''}`}>
+                                    {transaction.status}
+                                </span>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                !isLoading && <p className="text-center text-gray-500">No transactions yet.</p>
+            )}
+            <InfiniteScrollSentinel
+                onVisible={loadMore}
+                hasMore={hasMore}
+                isLoading={isLoading}
+                loadingLabel="Loading transactions..."
+                endLabel={items.length > 0 ? 'No older transactions.' : null}
             />
         </div>
     );
@@ -286,27 +2876,46 @@ const Post = ({ post, onLike, onComment, onRepost, onProfileClick, currentWallet
 // Main App Component
 const App = () => {
     const wallet = useWallet(); // Solana wallet hook
-    const { publicKey, connected, sendTransaction } = wallet;
-    const connection = useMemo(() => new Connection(GORBAGANA_RPC_URL, 'confirmed'), []);
+    const { publicKey, connected, signMessage } = wallet;
+    const { connection } = useConnection(); // Follows the cluster's healthy RPC endpoint
+    const { cluster, clusters, selectCluster, health: clusterHealth, recheckHealth } = useCluster();
 
-    const currentWalletAddress = publicKey ? publicKey.toBase58() : null; // Connected wallet address
-    const { supabase, isSupabaseReady, getPrimaryId } = useSupabase(currentWalletAddress); // Use Supabase hook
+    const { supabase, isSupabaseReady, getPrimaryId, signIn, isSigningIn } = useSupabase(); // Use Supabase hook
+    const currentWalletAddress = getPrimaryId(); // Signed-in wallet address; null until the wallet has signed in
+    const { balance: gorBalance, rawBalance: rawGorBalance, tokenAccount: gorTokenAccount } = useGorBalance(connection, cluster.gorMint, publicKey); // On-chain GOR balance, the only one we trust
+    const gorDecimals = useGorMintDecimals(connection, cluster.gorMint);
+    const { sendTrackedTransaction, trackedTransaction, isTransactionInFlight, dismissTrackedTransaction } = useTrackedTransactions(connection, wallet);
 
     const [currentPage, setCurrentPage] = useState('home');
-    const [posts, setPosts] = useState([]);
+    const [homeFeedTab, setHomeFeedTab] = useState('global');
+    const [searchResults, setSearchResults] = useState([]);
     const [allUsers, setAllUsers] = useState({});
     const [currentUserProfile, setCurrentUserProfile] = useState(null);
-    const [walletData, setWalletData] = useState({ gor_balance: 0, tickets_holding: [] }); // Renamed for Supabase
+    const [ticketHoldings, setTicketHoldings] = useState([]); // Tickets the current user holds on this cluster
+    const [ticketSupply, setTicketSupply] = useState({}); // Tickets issued per profile on this cluster
     const [notifications, setNotifications] = useState([]);
     const [searchTerm, setSearchTerm] = useState('');
     const [newPostContent, setNewPostContent] = useState('');
-    const [newPostImage, setNewPostImage] = useState(null); // State for image file
-    const [profileEditData, setProfileEditData] = useState({ username: '', bio: '' });
+    const [attachmentDrafts, setAttachmentDrafts] = useState([]); // Processed files waiting to be posted
+    const [isPreparingAttachments, setIsPreparingAttachments] = useState(false);
+    const [isPosting, setIsPosting] = useState(false);
+    const [profileEditData, setProfileEditData] = useState({ username: '', bio: '', website_url: '', github_username: '', x_username: '' });
+    const [profileImageFiles, setProfileImageFiles] = useState({ avatar: null, banner: null }); // Picked in the edit modal, uploaded on save
+    const [isSavingProfile, setIsSavingProfile] = useState(false);
+    const [walletNftMints, setWalletNftMints] = useState(null); // null until the NFT picker has been opened
+    const [isUpdatingNftAvatar, setIsUpdatingNftAvatar] = useState(false);
     const [message, setMessage] = useState('');
     const [messageType, setMessageType] = useState('success');
     const [showProfileEditModal, setShowProfileEditModal] = useState(false);
     const [profileViewAddress, setProfileViewAddress] = useState(null);
     const [profileActiveTab, setProfileActiveTab] = useState('posts');
+    const [followListTab, setFollowListTab] = useState('followers');
+    const [activeHashtag, setActiveHashtag] = useState(null);
+    const [newMutedKeyword, setNewMutedKeyword] = useState('');
+    const [showProfileTipModal, setShowProfileTipModal] = useState(false);
+    const [showBuyTicketModal, setShowBuyTicketModal] = useState(false);
+    const [showDepositModal, setShowDepositModal] = useState(false);
+    const [showWithdrawModal, setShowWithdrawModal] = useState(false);
 
     // --- Message Handling ---
     const showMessage = (msg, type = 'success') => {
@@ -315,100 +2924,471 @@ const App = () => {
         setTimeout(() => setMessage(''), 3000);
     };
 
-    // --- Dummy Data Initialization ---
+    const handleSignIn = async () => {
+        try {
+            await signIn();
+        } catch (error) {
+            console.error("Error signing in:", error);
+            showMessage(`Sign-in failed: ${error.message || error.toString()}`, "error");
+        }
+    };
+
+    // --- Wallet Changes ---
+    // Disconnecting or switching accounts in the wallet changes who the user is. Nothing that belonged to
+    // the previous account is kept; the effects below reload the profile, notifications and tickets for
+    // the new one, and useGorBalance re-reads the balance.
+    const connectedAddress = publicKey ? publicKey.toBase58() : null;
+    const previousConnectedAddressRef = useRef(connectedAddress);
+
     useEffect(() => {
-        const initializeDummyData = async () => {
-            if (!supabase || !isSupabaseReady) return;
+        const previousAddress = previousConnectedAddressRef.current;
+        previousConnectedAddressRef.current = connectedAddress;
+        if (!previousAddress || previousAddress === connectedAddress) return;
 
-            // Check if profiles table is empty
-            const { count: profilesCount, error: profilesError } = await supabase
-                .from('profiles')
-                .select('wallet_address', { count: 'exact', head: true });
+        if (connectedAddress) {
+            showMessage(`Switched to wallet ${connectedAddress.substring(0, 4)}...${connectedAddress.substring(connectedAddress.length - 4)}.`, "info");
+        } else {
+            showMessage("Wallet disconnected.", "info");
+        }
+        setShowProfileEditModal(false);
+        setShowProfileTipModal(false);
+        setShowBuyTicketModal(false);
+        setShowDepositModal(false);
+        setShowWithdrawModal(false);
+        dismissTrackedTransaction();
+    }, [connectedAddress, dismissTrackedTransaction]);
+
+    useEffect(() => {
+        setCurrentUserProfile(null);
+        setNotifications([]);
+        setTicketHoldings([]);
+        setWalletNftMints(null);
+    }, [currentWalletAddress]);
+
+    // --- Blocking (applies in both directions: people you blocked and people who blocked you) ---
+    const blockedAddresses = useMemo(() => currentUserProfile?.blocked_users || [], [currentUserProfile?.blocked_users]);
+
+    const isBlockedAddress = useCallback((address) => {
+        if (!address || address === currentWalletAddress) return false;
+        return blockedAddresses.includes(address) || !!allUsers[address]?.blocked_users?.includes(currentWalletAddress);
+    }, [blockedAddresses, allUsers, currentWalletAddress]);
+
+    // --- Muting (only hides things from you; nobody is told and nothing changes for them) ---
+    // Mutes are kept in their own table that only you can read, not on your public profile
+    const [mutes, setMutes] = useState(null);
+
+    useEffect(() => {
+        setMutes(null);
+        if (!supabase || !isSupabaseReady || !currentWalletAddress) return;
+
+        let isCancelled = false;
+        supabase
+            .from('mutes')
+            .select('muted_addresses, muted_keywords')
+            .eq('wallet_address', currentWalletAddress)
+            .maybeSingle()
+            .then(({ data, error }) => {
+                if (isCancelled) return;
+                if (error) console.error("Error fetching mutes:", error);
+                setMutes(data);
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [supabase, isSupabaseReady, currentWalletAddress]);
+
+    const muteMatcher = useMemo(() => buildMuteMatcher(mutes), [mutes]);
+    const mutedAddresses = mutes?.muted_addresses || [];
+    const mutedKeywords = mutes?.muted_keywords || [];
+
+    const isHiddenPost = useCallback((post) => (
+        isBlockedAddress(post.author_address) ||
+        muteMatcher.isMutedAddress(post.author_address) ||
+        muteMatcher.isMutedText(post.content)
+    ), [isBlockedAddress, muteMatcher]);
+
+    const isHiddenFeedItem = useCallback(
+        (item) => isHiddenPost(item.post) || isBlockedAddress(item.repostedBy) || muteMatcher.isMutedAddress(item.repostedBy),
+        [isHiddenPost, isBlockedAddress, muteMatcher]
+    );
+
+    const isHiddenComment = useCallback((comment) => (
+        isBlockedAddress(comment.author_address) ||
+        muteMatcher.isMutedAddress(comment.author_address) ||
+        muteMatcher.isMutedText(comment.content)
+    ), [isBlockedAddress, muteMatcher]);
+
+    // --- Tag Feed (posts carrying a #tag, newest first; kept current by the home feed's realtime channel) ---
+    const fetchTagPage = useCallback(async (cursor, limit) => {
+        let query = supabase
+            .from('posts')
+            .select(POST_SELECT)
+            .contains('hashtags', [activeHashtag])
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false });
+        if (cursor) query = query.or(olderThanCursorFilter(cursor, 'created_at', 'id'));
+
+        const { data, error } = await query.limit(limit);
+        if (error) {
+            showMessage(`Failed to load posts tagged #${activeHashtag}.`, "error");
+            throw error;
+        }
+        return data;
+    }, [supabase, activeHashtag]);
+
+    const tagFeed = useKeysetFeed({
+        fetchPage: fetchTagPage,
+        toItem: postToFeedItem,
+        getCursor: postFeedCursor,
+        resetKey: activeHashtag,
+        enabled: !!supabase && isSupabaseReady && !!activeHashtag && currentPage === 'tag',
+    });
+
+    // --- Home Timelines (keyset paginated) ---
+    const followingAddresses = useMemo(() => currentUserProfile?.following || [], [currentUserProfile?.following]);
+
+    const fetchGlobalPage = useCallback(async (cursor, limit) => {
+        let query = supabase
+            .from('posts')
+            .select(POST_SELECT)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit);
+        if (cursor) query = query.or(olderThanCursorFilter(cursor, 'created_at', 'id'));
+
+        const { data, error } = await query;
+        if (error) {
+            showMessage("Failed to load posts.", "error");
+            throw error;
+        }
+        return data;
+    }, [supabase]);
+
+    const fetchFollowingPage = useCallback(async (cursor, limit) => {
+        // Your own posts and reposts are part of your Following timeline too
+        let query = supabase
+            .from('feed_items')
+            .select('*')
+            .in('actor_address', [...followingAddresses, currentWalletAddress])
+            .order('activity_at', { ascending: false })
+            .order('item_id', { ascending: false })
+            .limit(limit);
+        if (cursor) query = query.or(olderThanCursorFilter(cursor, 'activity_at', 'item_id'));
+
+        const { data, error } = await query;
+        if (error) {
+            showMessage("Failed to load your timeline.", "error");
+            throw error;
+        }
+        return data;
+    }, [supabase, followingAddresses, currentWalletAddress]);
+
+    const globalFeed = useKeysetFeed({
+        fetchPage: fetchGlobalPage,
+        toItem: postToFeedItem,
+        getCursor: postFeedCursor,
+        resetKey: 'global',
+        enabled: !!supabase && isSupabaseReady && homeFeedTab === 'global',
+    });
+
+    const followingFeed = useKeysetFeed({
+        fetchPage: fetchFollowingPage,
+        toItem: feedRowToFeedItem,
+        getCursor: feedRowCursor,
+        resetKey: `following:${currentWalletAddress}:${followingAddresses.join(',')}`,
+        enabled: !!supabase && isSupabaseReady && !!currentWalletAddress && homeFeedTab === 'following',
+    });
+
+    const activeHomeFeed = homeFeedTab === 'following' ? followingFeed : globalFeed;
+
+    // New posts from others wait behind a "N new posts" banner instead of shifting the timeline under the reader
+    const [pendingHomeItems, setPendingHomeItems] = useState([]);
+    useEffect(() => {
+        setPendingHomeItems([]);
+    }, [homeFeedTab, currentWalletAddress]);
+
+    // Realtime callbacks are registered once, so they read the current tab and follow list from here
+    const homeFeedStateRef = useRef({});
+    homeFeedStateRef.current = { homeFeedTab, followingAddresses, currentWalletAddress, setActiveItems: activeHomeFeed.setItems };
+
+    // The feeds' setItems are state setters, so the realtime channel below is never resubscribed for them
+    const { setItems: setGlobalItems } = globalFeed;
+    const { setItems: setFollowingItems } = followingFeed;
+    const { setItems: setTagItems } = tagFeed;
+
+    const showPendingHomeItems = () => {
+        activeHomeFeed.setItems(prev => prependFeedItems(prev, pendingHomeItems));
+        setPendingHomeItems([]);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    useEffect(() => {
+        if (!supabase || !isSupabaseReady) return;
+
+        // Routes a post or repost that just appeared to the visible timeline: your own go straight in, others queue up
+        const receiveHomeItem = (item, actorAddress) => {
+            const { homeFeedTab, followingAddresses, currentWalletAddress, setActiveItems } = homeFeedStateRef.current;
+            const isOwn = actorAddress === currentWalletAddress;
+            if (homeFeedTab === 'following' && !isOwn && !followingAddresses.includes(actorAddress)) return;
+            if (homeFeedTab === 'global' && item.repostedBy) return; // Global only lists original posts
+
+            if (isOwn) {
+                setActiveItems(prev => prependFeedItems(prev, [item]));
+            } else {
+                setPendingHomeItems(prev => prependFeedItems(prev, [item]));
+            }
+        };
+
+        const applyPostChange = (update) => {
+            setGlobalItems(update);
+            setFollowingItems(update);
+            setTagItems(update);
+            setPendingHomeItems(update);
+        };
+
+        const postsChannel = supabase
+            .channel('home-feed')
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'posts' }, async payload => {
+                const post = await attachQuotedPost(supabase, payload.new);
+                receiveHomeItem(postToFeedItem(post), post.author_address);
+            })
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'posts' }, payload => {
+                applyPostChange(items => patchFeedPost(items, payload.new));
+                setSearchResults(prev => prev.map(post => (post.id === payload.new.id ? { ...post, ...payload.new } : post)));
+            })
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'posts' }, payload => {
+                applyPostChange(items => items.filter(item => item.post.id !== payload.old.id));
+                setSearchResults(prev => prev.filter(post => post.id !== payload.old.id));
+            })
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'post_reposts' }, async payload => {
+                const { homeFeedTab, followingAddresses, currentWalletAddress } = homeFeedStateRef.current;
+                const reposter = payload.new.wallet_address;
+                if (homeFeedTab !== 'following' || (reposter !== currentWalletAddress && !followingAddresses.includes(reposter))) return;
+
+                const { data: post, error } = await supabase.from('posts').select(POST_SELECT).eq('id', payload.new.post_id).single();
+                if (error) {
+                    console.error("Error fetching reposted post:", error);
+                    return;
+                }
+                receiveHomeItem({ key: post.id, post, repostedBy: reposter }, reposter);
+            })
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'post_reposts' }, payload => {
+                const isUndoneRepost = item => item.post.id === payload.old.post_id && item.repostedBy === payload.old.wallet_address;
+                setFollowingItems(items => items.filter(item => !isUndoneRepost(item)));
+                setPendingHomeItems(items => items.filter(item => !isUndoneRepost(item)));
+            })
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(postsChannel);
+        };
+    }, [supabase, isSupabaseReady, setGlobalItems, setFollowingItems, setTagItems]);
+
+    // --- Profile Tabs ---
+    const activeProfileTab = PROFILE_TABS.find(tab => tab.id === profileActiveTab) || PROFILE_TABS[0];
+
+    const fetchProfilePage = useCallback(async (cursor, limit) => {
+        let query;
+        if (profileActiveTab === 'reposts') {
+            query = supabase
+                .from('feed_items')
+                .select('*')
+                .eq('reposted_by', profileViewAddress)
+                .order('activity_at', { ascending: false })
+                .order('item_id', { ascending: false });
+            if (cursor) query = query.or(olderThanCursorFilter(cursor, 'activity_at', 'item_id'));
+        } else if (profileActiveTab === 'likes') {
+            query = supabase
+                .from('liked_post_items')
+                .select('*')
+                .eq('liked_by', profileViewAddress)
+                .order('liked_at', { ascending: false })
+                .order('item_id', { ascending: false });
+            if (cursor) query = query.or(olderThanCursorFilter(cursor, 'liked_at', 'item_id'));
+        } else {
+            query = supabase
+                .from('posts')
+                .select(POST_SELECT)
+                .eq('author_address', profileViewAddress)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false });
+            if (profileActiveTab === 'media') query = query.eq('has_media', true);
+            if (cursor) query = query.or(olderThanCursorFilter(cursor, 'created_at', 'id'));
+        }
+
+        const { data, error } = await query.limit(limit);
+        if (error) {
+            showMessage("Failed to load this profile's posts.", "error");
+            throw error;
+        }
+        return data;
+    }, [supabase, profileViewAddress, profileActiveTab]);
+
+    const profileFeed = useKeysetFeed({
+        fetchPage: fetchProfilePage,
+        toItem: activeProfileTab.toItem,
+        getCursor: activeProfileTab.getCursor,
+        resetKey: `${profileViewAddress}:${activeProfileTab.id}`,
+        enabled: !!supabase && isSupabaseReady && !!profileViewAddress && currentPage === 'profile',
+    });
+
+    // Realtime callbacks are registered per profile, so they read the current tab from here. The
+    // feed's setItems is a state setter, so it never resubscribes them.
+    const { setItems: setProfileItems } = profileFeed;
+    const profileTabRef = useRef(activeProfileTab.id);
+    profileTabRef.current = activeProfileTab.id;
+
+    useEffect(() => {
+        if (!supabase || !isSupabaseReady || !profileViewAddress || currentPage !== 'profile') return;
 
-            if (profilesError) {
-                console.error("Error checking profiles count:", profilesError);
+        // Reposts and likes only carry the post id, so the post is fetched before it's shown
+        const receivePostById = async (postId, tab, toItem) => {
+            const { data: post, error } = await supabase.from('posts').select(POST_SELECT).eq('id', postId).single();
+            if (error) {
+                console.error("Error fetching post for profile:", error);
                 return;
             }
+            if (profileTabRef.current === tab) setProfileItems(prev => prependFeedItems(prev, [toItem(post)]));
+        };
 
-            if (profilesCount === 0) {
-                console.log("Initializing dummy data...");
-                const dummyUsers = [
-                    { wallet_address: '68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', username: 'Alice_W3', bio: 'Exploring the decentralized web!', followers: [], following: [], tickets_earned: 0, blocked_users: [] },
-                    { wallet_address: '89LMNjWYz3nfrp4GSM7Zx5uFE8SC5sH5kDCz24PhuzNgQWERTyuiopasdfghjklzxcvbnm', username: 'Bob_Chain', bio: 'Blockchain enthusiast.', followers: [], following: [], tickets_earned: 0, blocked_users: [] },
-                    { wallet_address: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkLMNOPQRSTUVWXYZ1234567890', username: 'CryptoCat', bio: 'Meow! DeFi and NFTs.', followers: [], following: [], tickets_earned: 0, blocked_users: [] },
-                ];
-
-                const { error: usersInsertError } = await supabase.from('profiles').insert(dummyUsers);
-                if (usersInsertError) {
-                    console.error("Error inserting dummy users:", usersInsertError);
-                    showMessage("Failed to insert dummy users.", "error");
-                    return;
+        // DELETE events can't be filtered, so those check the old row's address here. The topic differs
+        // from the current user's profile channel: supabase.channel() hands back an existing channel for
+        // a topic, so sharing one would drop these bindings on your own profile.
+        const profileChannel = supabase
+            .channel(`profile-feed:${profileViewAddress}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'posts', filter: `author_address=eq.${profileViewAddress}` }, async payload => {
+                const post = await attachQuotedPost(supabase, payload.new);
+                const tab = profileTabRef.current;
+                if (tab === 'posts' || (tab === 'media' && post.has_media)) {
+                    setProfileItems(prev => prependFeedItems(prev, [postToFeedItem(post)]));
                 }
+            })
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'posts' }, payload => {
+                setProfileItems(items => patchFeedPost(items, payload.new));
+            })
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'posts' }, payload => {
+                setProfileItems(items => items.filter(item => item.post.id !== payload.old.id));
+            })
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'post_reposts', filter: `wallet_address=eq.${profileViewAddress}` }, payload => {
+                if (profileTabRef.current !== 'reposts') return;
+                receivePostById(payload.new.post_id, 'reposts', post => ({ key: post.id, post, repostedBy: profileViewAddress }));
+            })
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'post_reposts' }, payload => {
+                if (payload.old.wallet_address !== profileViewAddress || profileTabRef.current !== 'reposts') return;
+                setProfileItems(items => items.filter(item => item.post.id !== payload.old.post_id));
+            })
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'post_likes', filter: `wallet_address=eq.${profileViewAddress}` }, payload => {
+                if (profileTabRef.current !== 'likes') return;
+                receivePostById(payload.new.post_id, 'likes', post => ({ key: `${post.id}:${profileViewAddress}`, post, repostedBy: null }));
+            })
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'post_likes' }, payload => {
+                if (payload.old.wallet_address !== profileViewAddress || profileTabRef.current !== 'likes') return;
+                setProfileItems(items => items.filter(item => item.post.id !== payload.old.post_id));
+            })
+            .subscribe();
 
-                const dummyPosts = [
-                    { author_address: '68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', username: 'Alice_W3', content: 'Just joined this amazing Web3 social app! Loving the green theme.', likes: [], reposts: [], likes_count: 0, reposts_count: 0, comments_count: 0 },
-                    { author_address: '89LMNjWYz3nfrp4GSM7Zx5uFE8SC5sH5kDCz24PhuzNgQWERTyuiopasdfghjklzxcvbnm', username: 'Bob_Chain', content: 'Decentralization is the future. Excited to connect with fellow builders here!', likes: [], reposts: [], likes_count: 0, reposts_count: 0, comments_count: 0 },
-                    { author_address: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkLMNOPQRSTUVWXYZ1234567890', username: 'CryptoCat', content: 'Anyone building on Layer 2 solutions? Share your projects!', likes: [], reposts: [], likes_count: 0, reposts_count: 0, comments_count: 0 },
-                    { author_address: '68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', username: 'Alice_W3', content: 'GM Web3 fam! What are your thoughts on soulbound tokens?', likes: [], reposts: [], likes_count: 0, reposts_count: 0, comments_count: 0 },
-                ];
-
-                const { error: postsInsertError } = await supabase.from('posts').insert(dummyPosts);
-                if (postsInsertError) {
-                    console.error("Error inserting dummy posts:", postsInsertError);
-                    showMessage("Failed to insert dummy posts.", "error");
-                    return;
-                }
-                showMessage("Dummy data initialized!");
-            }
+        return () => {
+            supabase.removeChannel(profileChannel);
         };
+    }, [supabase, isSupabaseReady, profileViewAddress, currentPage, setProfileItems]);
+
+    // --- Follow Lists ---
+    const activeFollowList = FOLLOW_LISTS.find(list => list.id === followListTab) || FOLLOW_LISTS[0];
+    const myFollowingAddresses = useMemo(() => currentUserProfile?.following || [], [currentUserProfile?.following]);
+
+    const fetchFollowListPage = useCallback(async (cursor, limit) => {
+        const listsFollowers = followListTab !== 'following';
+        const idColumn = listsFollowers ? 'follower_address' : 'followed_address';
+        let query = supabase
+            .from('follows')
+            .select('follower_address, followed_address, created_at')
+            .eq(listsFollowers ? 'followed_address' : 'follower_address', profileViewAddress)
+            .order('created_at', { ascending: false })
+            .order(idColumn, { ascending: false })
+            .limit(limit);
+        if (followListTab === 'known') query = query.in('follower_address', myFollowingAddresses);
+        if (cursor) query = query.or(olderThanCursorFilter(cursor, 'created_at', idColumn));
+
+        const { data, error } = await query;
+        if (error) {
+            showMessage("Failed to load this list.", "error");
+            throw error;
+        }
+        return data;
+    }, [supabase, profileViewAddress, followListTab, myFollowingAddresses]);
+
+    const followListFeed = useKeysetFeed({
+        fetchPage: fetchFollowListPage,
+        toItem: activeFollowList.toItem,
+        getCursor: activeFollowList.getCursor,
+        resetKey: `${profileViewAddress}:${activeFollowList.id}:${activeFollowList.id === 'known' ? myFollowingAddresses.join(',') : ''}`,
+        enabled: !!supabase && isSupabaseReady && !!profileViewAddress && currentPage === 'follows',
+    });
+
+    // Followers of the viewed profile that you follow too, for the "Followed by ..." line on their profile
+    const knownFollowers = useMemo(() => {
+        if (!profileViewAddress || profileViewAddress === currentWalletAddress) return [];
+        const profileFollowers = allUsers[profileViewAddress]?.followers || [];
+        return profileFollowers.filter(address => myFollowingAddresses.includes(address) && !isBlockedAddress(address));
+    }, [profileViewAddress, currentWalletAddress, allUsers, myFollowingAddresses, isBlockedAddress]);
+
+    const openFollowList = (listId) => {
+        setFollowListTab(listId);
+        setCurrentPage('follows');
+    };
 
-        initializeDummyData();
-    }, [supabase, isSupabaseReady]);
-
+    const profileBadges = useProfileBadges(connection, cluster, currentPage === 'profile' ? profileViewAddress : null);
 
-    // --- Data Fetching and Real-time Listeners (Adapted for Supabase) ---
+    // --- Search (server-side, so it covers posts that aren't loaded in a timeline) ---
     useEffect(() => {
-        if (!supabase || !isSupabaseReady) return;
-
-        const postsSubscription = supabase
-            .from('posts')
-            .on('*', payload => { // Listen to all changes
-                // Re-fetch all posts on any change for simplicity, or implement more granular updates
-                fetchPosts();
-            })
-            .subscribe();
+        const term = searchTerm.trim();
+        if (!supabase || !isSupabaseReady || !term) {
+            setSearchResults([]);
+            return;
+        }
 
-        const fetchPosts = async () => {
+        let isCancelled = false;
+        const timeoutId = setTimeout(async () => {
+            const likePattern = `%${escapeLikePattern(term)}%`;
+            // Posts don't carry their author's name, so matching authors are looked up first
+            const { data: authors, error: authorsError } = await supabase
+                .from('profiles')
+                .select('wallet_address')
+                .ilike('username', likePattern)
+                .limit(SEARCH_RESULTS_LIMIT);
+            if (authorsError) console.error("Error searching usernames:", authorsError);
+
+            const filters = [`content.ilike.${quoteFilterValue(likePattern)}`];
+            if (authors?.length) {
+                filters.push(`author_address.in.(${authors.map(author => quoteFilterValue(author.wallet_address)).join(',')})`);
+            }
             const { data, error } = await supabase
                 .from('posts')
-                .select('*')
-                .order('created_at', { ascending: false });
+                .select(POST_SELECT)
+                .or(filters.join(','))
+                .order('created_at', { ascending: false })
+                .limit(SEARCH_RESULTS_LIMIT);
 
+            if (isCancelled) return;
             if (error) {
-                console.error("Error fetching posts:", error);
-                showMessage("Failed to load posts.", "error");
+                console.error("Error searching posts:", error);
+                showMessage("Search failed.", "error");
             } else {
-                setPosts(data);
+                setSearchResults(data);
             }
-        };
-
-        fetchPosts();
+        }, SEARCH_DEBOUNCE_MS);
 
         return () => {
-            supabase.removeSubscription(postsSubscription);
+            isCancelled = true;
+            clearTimeout(timeoutId);
         };
-    }, [supabase, isSupabaseReady]);
+    }, [supabase, isSupabaseReady, searchTerm]);
 
+    // --- Data Fetching and Real-time Listeners (Adapted for Supabase) ---
     useEffect(() => {
         if (!supabase || !isSupabaseReady) return;
 
-        const profilesSubscription = supabase
-            .from('profiles')
-            .on('*', payload => {
-                fetchAllUsers();
-            })
-            .subscribe();
-
         const fetchAllUsers = async () => {
             const { data, error } = await supabase
                 .from('profiles')
@@ -427,8 +3407,23 @@ const App = () => {
 
         fetchAllUsers();
 
+        const profilesChannel = supabase
+            .channel('profiles')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'profiles' }, payload => {
+                if (payload.eventType === 'DELETE') {
+                    setAllUsers(prev => {
+                        const next = { ...prev };
+                        delete next[payload.old.wallet_address];
+                        return next;
+                    });
+                } else {
+                    setAllUsers(prev => ({ ...prev, [payload.new.wallet_address]: payload.new }));
+                }
+            })
+            .subscribe();
+
         return () => {
-            supabase.removeSubscription(profilesSubscription);
+            supabase.removeChannel(profilesChannel);
         };
     }, [supabase, isSupabaseReady]);
 
@@ -436,15 +3431,18 @@ const App = () => {
     useEffect(() => {
         if (!supabase || !isSupabaseReady || !currentWalletAddress) return;
 
-        // Fetch and listen for current user's profile
-        const profileSubscription = supabase
-            .from('profiles')
-            .on('*', payload => {
-                fetchCurrentUserProfile();
-            })
-            .eq('wallet_address', currentWalletAddress)
-            .subscribe();
+        const applyCurrentUserProfile = (data) => {
+            setCurrentUserProfile(data);
+            setProfileEditData({
+                username: data.username || '',
+                bio: data.bio || '',
+                website_url: data.website_url || '',
+                github_username: data.github_username || '',
+                x_username: data.x_username || ''
+            });
+        };
 
+        // Fetch and listen for current user's profile
         const fetchCurrentUserProfile = async () => {
             const { data, error } = await supabase
                 .from('profiles')
@@ -456,98 +3454,129 @@ const App = () => {
                 console.error("Error fetching current user profile:", error);
                 showMessage("Failed to load your profile.", "error");
             } else if (data) {
-                setCurrentUserProfile(data);
-                setProfileEditData({
-                    username: data.username || '',
-                    bio: data.bio || ''
-                });
+                applyCurrentUserProfile(data);
             } else {
                 // Create a basic profile if it doesn't exist
                 const defaultUsername = `User_${currentWalletAddress.substring(0, 8)}`;
-                const { error: insertError } = await supabase.from('profiles').insert({
-                    wallet_address: currentWalletAddress,
-                    username: defaultUsername,
-                    bio: 'Hello, I am new here!',
-                    followers: [],
-                    following: [],
-                    tickets_earned: 0,
-                    blocked_users: []
-                });
+                // Everything else (followers, counters, ...) starts from the database defaults
+                const { data: createdProfile, error: insertError } = await supabase
+                    .from('profiles')
+                    .insert({
+                        wallet_address: currentWalletAddress,
+                        username: defaultUsername,
+                        bio: 'Hello, I am new here!'
+                    })
+                    .select()
+                    .single();
                 if (insertError) {
                     console.error("Error creating default profile:", insertError);
                     showMessage("Failed to create default profile.", "error");
                 } else {
-                    setCurrentUserProfile({ wallet_address: currentWalletAddress, username: defaultUsername, bio: 'Hello, I am new here!', followers: [], following: [], tickets_earned: 0, blocked_users: [] });
+                    applyCurrentUserProfile(createdProfile);
                 }
             }
         };
 
         fetchCurrentUserProfile();
 
+        const profileChannel = supabase
+            .channel(`profile:${currentWalletAddress}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'profiles', filter: `wallet_address=eq.${currentWalletAddress}` }, payload => {
+                if (payload.eventType !== 'DELETE') {
+                    applyCurrentUserProfile(payload.new);
+                }
+            })
+            .subscribe();
+
         return () => {
-            supabase.removeSubscription(profileSubscription);
+            supabase.removeChannel(profileChannel);
         };
     }, [supabase, isSupabaseReady, currentWalletAddress]);
 
     useEffect(() => {
         if (!supabase || !isSupabaseReady || !currentWalletAddress) return;
 
-        // Fetch and listen for current user's wallet data
-        const walletSubscription = supabase
-            .from('wallets')
-            .on('*', payload => {
-                fetchWalletData();
-            })
-            .eq('wallet_address', currentWalletAddress)
+        // Fetch and listen for the tickets the current user holds on this cluster
+        const fetchTicketHoldings = async () => {
+            const { data, error } = await supabase
+                .from('ticket_holdings')
+                .select('subject_address, count')
+                .eq('cluster', cluster.id)
+                .eq('holder_address', currentWalletAddress)
+                .order('count', { ascending: false });
+
+            if (error) {
+                console.error("Error fetching ticket holdings:", error);
+                showMessage("Failed to load your tickets.", "error");
+            } else {
+                setTicketHoldings(data);
+            }
+        };
+
+        fetchTicketHoldings();
+
+        // settle_ticket_sale deletes a holding when its count reaches zero, and Realtime doesn't apply
+        // filters to DELETE events, so deletes come in unfiltered and are matched on the old row.
+        const applyHoldingChange = payload => {
+            const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+            if (row.cluster !== cluster.id || row.holder_address !== currentWalletAddress) return;
+            setTicketHoldings(prev => {
+                const others = prev.filter(holding => holding.subject_address !== row.subject_address);
+                return payload.eventType === 'DELETE' ? others : [...others, { subject_address: row.subject_address, count: row.count }];
+            });
+        };
+
+        const holdingsChannel = supabase
+            .channel(`ticket_holdings:${cluster.id}:${currentWalletAddress}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'ticket_holdings', filter: `holder_address=eq.${currentWalletAddress}` }, applyHoldingChange)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'ticket_holdings', filter: `holder_address=eq.${currentWalletAddress}` }, applyHoldingChange)
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'ticket_holdings' }, applyHoldingChange)
             .subscribe();
 
-        const fetchWalletData = async () => {
+        return () => {
+            supabase.removeChannel(holdingsChannel);
+        };
+    }, [supabase, isSupabaseReady, cluster, currentWalletAddress]);
+
+    useEffect(() => {
+        if (!supabase || !isSupabaseReady) return;
+
+        // Tickets issued per profile on this cluster, for profile pages and trending users. Holdings
+        // changes arrive with their old row, so the totals are adjusted rather than refetched.
+        const fetchTicketSupply = async () => {
             const { data, error } = await supabase
-                .from('wallets')
-                .select('*')
-                .eq('wallet_address', currentWalletAddress)
-                .single();
+                .from('ticket_supply')
+                .select('subject_address, supply')
+                .eq('cluster', cluster.id);
 
-            if (error && error.code !== 'PGRST116') {
-                console.error("Error fetching wallet data:", error);
-                showMessage("Failed to load wallet data.", "error");
-            } else if (data) {
-                setWalletData(data);
+            if (error) {
+                console.error("Error fetching ticket supply:", error);
             } else {
-                // Create a default wallet entry
-                const { error: insertError } = await supabase.from('wallets').insert({
-                    wallet_address: currentWalletAddress,
-                    gor_balance: 0, // Start with 0 as it's on-chain
-                    tickets_holding: []
-                });
-                if (insertError) {
-                    console.error("Error creating default wallet:", insertError);
-                    showMessage("Failed to create default wallet.", "error");
-                } else {
-                    setWalletData({ wallet_address: currentWalletAddress, gor_balance: 0, tickets_holding: [] });
-                }
+                setTicketSupply(Object.fromEntries(data.map(row => [row.subject_address, row.supply])));
             }
         };
 
-        fetchWalletData();
+        fetchTicketSupply();
+
+        const supplyChannel = supabase
+            .channel(`ticket_supply:${cluster.id}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'ticket_holdings' }, payload => {
+                const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+                if (row.cluster !== cluster.id) return;
+                const change = (payload.new?.count || 0) - (payload.old?.count || 0);
+                setTicketSupply(prev => ({ ...prev, [row.subject_address]: (prev[row.subject_address] || 0) + change }));
+            })
+            .subscribe();
 
         return () => {
-            supabase.removeSubscription(walletSubscription);
+            supabase.removeChannel(supplyChannel);
         };
-    }, [supabase, isSupabaseReady, currentWalletAddress]);
+    }, [supabase, isSupabaseReady, cluster]);
 
     useEffect(() => {
         if (!supabase || !isSupabaseReady || !currentWalletAddress) return;
 
         // Fetch and listen for notifications
-        const notificationsSubscription = supabase
-            .from('notifications')
-            .on('*', payload => {
-                fetchNotifications();
-            })
-            .eq('recipient_address', currentWalletAddress)
-            .subscribe();
-
         const fetchNotifications = async () => {
             const { data, error } = await supabase
                 .from('notifications')
@@ -565,200 +3594,349 @@ const App = () => {
 
         fetchNotifications();
 
+        const notificationsChannel = supabase
+            .channel(`notifications:${currentWalletAddress}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'notifications', filter: `recipient_address=eq.${currentWalletAddress}` }, payload => {
+                setNotifications(prev => [payload.new, ...prev.filter(n => n.id !== payload.new.id)]);
+            })
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'notifications', filter: `recipient_address=eq.${currentWalletAddress}` }, payload => {
+                setNotifications(prev => prev.map(n => (n.id === payload.new.id ? payload.new : n)));
+            })
+            // Filters don't apply to DELETE events, so deletes are matched on the old row's recipient.
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'notifications' }, payload => {
+                if (payload.old.recipient_address === currentWalletAddress) {
+                    setNotifications(prev => prev.filter(n => n.id !== payload.old.id));
+                }
+            })
+            .subscribe();
+
         return () => {
-            supabase.removeSubscription(notificationsSubscription);
+            supabase.removeChannel(notificationsChannel);
         };
     }, [supabase, isSupabaseReady, currentWalletAddress]);
 
     // --- Actions ---
 
-    const uploadImage = async (file) => {
-        if (!file) return null;
+    // Either up to four images or a single video; mixing the two isn't allowed
+    const handleAttachmentFiles = async (fileList) => {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        const hasVideo = attachmentDrafts.some(draft => draft.type === 'video') || files.some(file => file.type.startsWith('video/'));
+        const total = attachmentDrafts.length + files.length;
+        if (hasVideo && total > 1) {
+            showMessage("A post can have one video, or up to four images.", "error");
+            return;
+        }
+        if (total > MAX_POST_IMAGES) {
+            showMessage(`A post can have at most ${MAX_POST_IMAGES} images.`, "error");
+            return;
+        }
 
-        const fileExt = file.name.split('.').pop();
-        const fileName = `${Date.now()}.${fileExt}`;
-        const filePath = `post_images/${currentWalletAddress}/${fileName}`;
+        setIsPreparingAttachments(true);
+        try {
+            const results = await Promise.allSettled(files.map(prepareAttachment));
+            const prepared = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+            const failure = results.find(result => result.status === 'rejected');
+            if (failure) showMessage(failure.reason.message, "error");
+            setAttachmentDrafts(prev => [...prev, ...prepared]);
+        } finally {
+            setIsPreparingAttachments(false);
+        }
+    };
 
-        const { data, error } = await supabase.storage.from('web3-social-bucket').upload(filePath, file, {
-            cacheControl: '3600',
-            upsert: false,
+    const handleMoveAttachment = (fromIndex, toIndex) => {
+        setAttachmentDrafts(prev => {
+            const next = [...prev];
+            const [moved] = next.splice(fromIndex, 1);
+            next.splice(toIndex, 0, moved);
+            return next;
         });
+    };
 
-        if (error) {
-            console.error("Error uploading image:", error);
-            showMessage(`Image upload failed: ${error.message}`, "error");
-            return null;
-        }
+    const handleRemoveAttachment = (draftId) => {
+        setAttachmentDrafts(prev => {
+            const removed = prev.find(draft => draft.id === draftId);
+            if (removed) URL.revokeObjectURL(removed.previewUrl);
+            return prev.filter(draft => draft.id !== draftId);
+        });
+    };
 
-        // Supabase returns 'path' in data, not 'publicURL' directly from upload
-        // We need to get the public URL separately
-        const { data: publicUrlData } = supabase.storage.from('web3-social-bucket').getPublicUrl(filePath);
-        
-        if (publicUrlData && publicUrlData.publicUrl) {
-            return publicUrlData.publicUrl;
-        } else {
-            console.error("Error getting public URL from Supabase storage:", publicUrlData);
-            showMessage("Failed to get public URL for image.", "error");
-            return null;
-        }
+    const setAttachmentProgress = (draftId, progress) => {
+        setAttachmentDrafts(prev => prev.map(draft => (draft.id === draftId ? { ...draft, progress } : draft)));
     };
 
+    // Uploads the drafts in order; returns the posts.attachments array, or null if any upload failed
+    const uploadAttachments = async (drafts) => {
+        const uploaded = [];
+        for (const draft of drafts) {
+            const path = `post_media/${currentWalletAddress}/${draft.id}.${MEDIA_EXTENSIONS[draft.blob.type] || 'bin'}`;
+            setAttachmentProgress(draft.id, 0);
+            try {
+                const url = await uploadWithProgress(supabase, path, draft.blob, progress => setAttachmentProgress(draft.id, progress));
+                uploaded.push(toPostAttachment(draft, path, url));
+            } catch (error) {
+                console.error("Error uploading attachment:", error);
+                showMessage(`Upload of ${draft.name} failed: ${error.message}`, "error");
+                setAttachmentDrafts(prev => prev.map(item => ({ ...item, progress: null })));
+                return null;
+            }
+        }
+        return uploaded;
+    };
 
     const handlePost = async () => {
-        if (!newPostContent.trim() && !newPostImage) {
-            showMessage("Post content or image cannot be empty.", "error");
+        if (!newPostContent.trim() && attachmentDrafts.length === 0) {
+            showMessage("Post content or attachments cannot be empty.", "error");
             return;
         }
         if (!supabase || !currentWalletAddress || !currentUserProfile || !connected) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
 
-        let imageUrl = null;
-        if (newPostImage) {
-            showMessage("Uploading image...", "info");
-            imageUrl = await uploadImage(newPostImage);
-            if (!imageUrl) {
-                return; // Stop if image upload failed
+        setIsPosting(true);
+        try {
+            const attachments = await uploadAttachments(attachmentDrafts);
+            if (!attachments) {
+                return; // Stop if an upload failed; the drafts stay in the composer
             }
-        }
 
-        try {
             const { error } = await supabase.from('posts').insert({
                 author_address: currentWalletAddress,
-                username: currentUserProfile.username || `User_${currentWalletAddress.substring(0, 8)}`,
                 content: newPostContent,
-                image_url: imageUrl, // Store image URL
-                likes: [],
-                reposts: [],
-                likes_count: 0,
-                reposts_count: 0,
-                comments_count: 0
+                attachments
             });
 
             if (error) {
                 console.error("Error adding post:", error);
                 showMessage("Failed to create post.", "error");
+                setAttachmentDrafts(prev => prev.map(draft => ({ ...draft, progress: null })));
             } else {
+                attachmentDrafts.forEach(draft => URL.revokeObjectURL(draft.previewUrl));
                 setNewPostContent('');
-                setNewPostImage(null);
+                setAttachmentDrafts([]);
                 showMessage("Post created successfully!");
             }
         } catch (error) {
             console.error("Error adding post:", error);
             showMessage("Failed to create post.", "error");
+        } finally {
+            setIsPosting(false);
         }
     };
 
-    const handleLike = async (postId, isCurrentlyLiked) => {
+    const handleLike = async (postId) => {
         if (!supabase || !currentWalletAddress) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
         try {
-            const { data: postData, error: fetchError } = await supabase
-                .from('posts')
-                .select('likes, likes_count')
-                .eq('id', postId)
+            // Toggles the post_likes row and likes_count in one transaction on the server
+            const { data, error } = await supabase
+                .rpc('toggle_post_like', { p_post_id: postId })
                 .single();
 
-            if (fetchError) {
-                console.error("Error fetching post for like:", fetchError);
-                showMessage("Failed to like/unlike post.", "error");
-                return;
-            }
-
-            let updatedLikes = postData.likes || [];
-            let newLikesCount = postData.likes_count || 0;
-
-            if (isCurrentlyLiked) {
-                updatedLikes = updatedLikes.filter(addr => addr !== currentWalletAddress);
-                newLikesCount = Math.max(0, newLikesCount - 1);
-            } else {
-                updatedLikes.push(currentWalletAddress);
-                newLikesCount++;
-            }
-
-            const { error: updateError } = await supabase
-                .from('posts')
-                .update({ likes: updatedLikes, likes_count: newLikesCount })
-                .eq('id', postId);
-
-            if (updateError) {
-                console.error("Error updating post likes:", updateError);
-                showMessage("Failed to like/unlike post.", "error");
-            } else {
-                showMessage(isCurrentlyLiked ? "Post unliked!" : "Post liked!");
-            }
+            if (error) throw error;
+            showMessage(data.liked ? "Post liked!" : "Post unliked!");
         } catch (error) {
             console.error("Error liking post:", error);
             showMessage("Failed to like/unlike post.", "error");
         }
     };
 
-    const handleComment = async (postId, commentContent) => {
+    const handleComment = async (postId, commentContent, parentCommentId = null) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile) {
-            showMessage("Please connect your wallet first.", "error");
-            return;
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return null;
         }
         try {
             const { data: postData, error: fetchError } = await supabase
                 .from('posts')
-                .select('author_address, comments_count')
+                .select('author_address')
                 .eq('id', postId)
                 .single();
 
             if (fetchError) {
                 console.error("Error fetching post for comment:", fetchError);
                 showMessage("Failed to add comment.", "error");
-                return;
+                return null;
+            }
+            if (isBlockedAddress(postData.author_address)) {
+                showMessage("You can't comment on this post.", "error");
+                return null;
             }
 
-            const { error: commentInsertError } = await supabase.from('comments').insert({
-                post_id: postId,
-                author_address: currentWalletAddress,
-                username: currentUserProfile.username || `User_${currentWalletAddress.substring(0, 8)}`,
-                content: commentContent
-            });
+            if (parentCommentId) {
+                const { data: parentData, error: parentFetchError } = await supabase
+                    .from('comments')
+                    .select('author_address')
+                    .eq('id', parentCommentId)
+                    .single();
+
+                if (parentFetchError) {
+                    console.error("Error fetching parent comment:", parentFetchError);
+                    showMessage("The comment you replied to no longer exists.", "error");
+                    return null;
+                }
+                if (isBlockedAddress(parentData.author_address)) {
+                    showMessage("You can't reply to this comment.", "error");
+                    return null;
+                }
+            }
+
+            // comments_count on the post is kept in sync by a database trigger
+            const { data: comment, error: commentInsertError } = await supabase
+                .from('comments')
+                .insert({
+                    post_id: postId,
+                    parent_comment_id: parentCommentId,
+                    author_address: currentWalletAddress,
+                    content: commentContent
+                })
+                .select()
+                .single();
 
             if (commentInsertError) {
                 console.error("Error adding comment:", commentInsertError);
                 showMessage("Failed to add comment.", "error");
-                return;
+                return null;
             }
 
-            // Increment comments_count on the post
-            const newCommentsCount = (postData.comments_count || 0) + 1;
-            await supabase.from('posts').update({ comments_count: newCommentsCount }).eq('id', postId);
+            // The post's author and the replied-to comment's author are notified by a database trigger
+            showMessage(parentCommentId ? "Reply added!" : "Comment added!");
+            return comment;
+        } catch (error) {
+            console.error("Error commenting on post:", error);
+            showMessage("Failed to add comment.", "error");
+            return null;
+        }
+    };
+
+    const handleEditComment = async (commentId, commentContent) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return null;
+        }
+        try {
+            const { data: comment, error } = await supabase
+                .from('comments')
+                .update({ content: commentContent, updated_at: new Date().toISOString() })
+                .eq('id', commentId)
+                .eq('author_address', currentWalletAddress) // Ensure user owns comment
+                .select()
+                .single();
+
+            if (error) throw error;
+            showMessage("Comment updated!");
+            return comment;
+        } catch (error) {
+            console.error("Error editing comment:", error);
+            showMessage(`Failed to edit comment: ${error.message}`, "error");
+            return null;
+        }
+    };
+
+    const handleDeleteComment = async (commentId) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return false;
+        }
+        try {
+            // Replies go with it through ON DELETE CASCADE; the trigger adjusts comments_count for each row
+            const { error } = await supabase
+                .from('comments')
+                .delete()
+                .eq('id', commentId)
+                .eq('author_address', currentWalletAddress); // Ensure user owns comment
+
+            if (error) throw error;
+            showMessage("Comment deleted.");
+            return true;
+        } catch (error) {
+            console.error("Error deleting comment:", error);
+            showMessage(`Failed to delete comment: ${error.message}`, "error");
+            return false;
+        }
+    };
 
+    // Apply your own edits and deletions right away; the realtime handlers above do the same for everyone else's
+    const patchLoadedPost = (post) => {
+        globalFeed.setItems(items => patchFeedPost(items, post));
+        followingFeed.setItems(items => patchFeedPost(items, post));
+        profileFeed.setItems(items => patchFeedPost(items, post));
+        tagFeed.setItems(items => patchFeedPost(items, post));
+        setSearchResults(prev => prev.map(result => (result.id === post.id ? { ...result, ...post } : result)));
+    };
 
-            showMessage("Comment added!");
-            // Add notification to post owner
-            if (postData.author_address !== currentWalletAddress) {
-                await supabase.from('notifications').insert({
-                    recipient_address: postData.author_address,
-                    type: 'comment',
-                    message: `${currentUserProfile.username || 'Someone'} commented on your post: "${commentContent.substring(0, 30)}..."`,
-                    post_id: postId,
-                    sender_address: currentWalletAddress,
-                    read: false
-                });
+    const removeLoadedPost = (postId) => {
+        globalFeed.setItems(items => items.filter(item => item.post.id !== postId));
+        followingFeed.setItems(items => items.filter(item => item.post.id !== postId));
+        profileFeed.setItems(items => items.filter(item => item.post.id !== postId));
+        tagFeed.setItems(items => items.filter(item => item.post.id !== postId));
+        setPendingHomeItems(items => items.filter(item => item.post.id !== postId));
+        setSearchResults(prev => prev.filter(result => result.id !== postId));
+    };
+
+    const handleEditPost = async (postId, postContent) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return false;
+        }
+        try {
+            // The database keeps the previous version in post_revisions and sets edited_at
+            const { data: post, error } = await supabase
+                .from('posts')
+                .update({ content: postContent })
+                .eq('id', postId)
+                .eq('author_address', currentWalletAddress) // Ensure user owns post
+                .select()
+                .single();
+
+            if (error) throw error;
+            patchLoadedPost(post);
+            showMessage("Post updated!");
+            return true;
+        } catch (error) {
+            console.error("Error editing post:", error);
+            showMessage(`Failed to edit post: ${error.message}`, "error");
+            return false;
+        }
+    };
+
+    const handleDeletePost = async (post) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        try {
+            // Comments and notifications go with the post; the files are removed here once the post is gone
+            const { data, error } = await supabase.rpc('delete_post', { p_post_id: post.id });
+            if (error) throw error;
+
+            removeLoadedPost(post.id);
+            showMessage("Post deleted.");
+
+            const attachmentPaths = data?.[0]?.attachment_paths ?? [];
+            if (attachmentPaths.length > 0) {
+                const { error: storageError } = await supabase.storage.from(MEDIA_BUCKET).remove(attachmentPaths);
+                if (storageError) console.error("Error removing post attachments:", storageError);
             }
         } catch (error) {
-            console.error("Error commenting on post:", error);
-            showMessage("Failed to add comment.", "error");
+            console.error("Error deleting post:", error);
+            showMessage(`Failed to delete post: ${error.message}`, "error");
         }
     };
 
     const handleRepost = async (postId) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
         try {
             const { data: postData, error: fetchError } = await supabase
                 .from('posts')
-                .select('author_address, reposts, reposts_count')
+                .select('author_address, reposts')
                 .eq('id', postId)
                 .single();
 
@@ -767,43 +3945,66 @@ const App = () => {
                 showMessage("Failed to repost post.", "error");
                 return;
             }
+            // Undoing an earlier repost is still allowed after a block
+            const isUndo = (postData.reposts || []).includes(currentWalletAddress);
+            if (!isUndo && isBlockedAddress(postData.author_address)) {
+                showMessage("You can't interact with this user.", "error");
+                return;
+            }
 
-            let updatedReposts = postData.reposts || [];
-            let newRepostsCount = postData.reposts_count || 0;
+            // Reposting again undoes the repost
+            const { data, error: repostError } = await supabase
+                .rpc('toggle_post_repost', { p_post_id: postId })
+                .single();
 
-            if (!updatedReposts.includes(currentWalletAddress)) {
-                updatedReposts.push(currentWalletAddress);
-                newRepostsCount++;
+            if (repostError) {
+                console.error("Error updating post reposts:", repostError);
+                showMessage("Failed to update repost.", "error");
+                return;
+            }
+            if (!data.reposted) {
+                showMessage("Repost removed.");
+                return;
+            }
 
-                const { error: updateError } = await supabase
-                    .from('posts')
-                    .update({ reposts: updatedReposts, reposts_count: newRepostsCount })
-                    .eq('id', postId);
+            // The post's author is notified by a database trigger
+            showMessage("Post reposted!");
+        } catch (error) {
+            console.error("Error reposting post:", error);
+            showMessage("Failed to update repost.", "error");
+        }
+    };
 
-                if (updateError) {
-                    console.error("Error updating post reposts:", updateError);
-                    showMessage("Failed to repost post.", "error");
-                    return;
-                }
+    const handleQuotePost = async (quotedPost, quoteContent) => {
+        if (!supabase || !currentWalletAddress || !currentUserProfile || !connected) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return false;
+        }
+        if (!quoteContent.trim()) {
+            showMessage("Add some text to your quote.", "error");
+            return false;
+        }
+        if (isBlockedAddress(quotedPost.author_address)) {
+            showMessage("You can't interact with this user.", "error");
+            return false;
+        }
+        try {
+            // The quoted post's author is notified by a database trigger
+            const { error } = await supabase
+                .from('posts')
+                .insert({
+                    author_address: currentWalletAddress,
+                    content: quoteContent,
+                    quoted_post_id: quotedPost.id
+                });
 
-                showMessage("Post reposted!");
-                // Add notification to post owner
-                if (postData.author_address !== currentWalletAddress) {
-                    await supabase.from('notifications').insert({
-                        recipient_address: postData.author_address,
-                        type: 'repost',
-                        message: `${currentUserProfile.username || 'Someone'} reposted your post!`,
-                        post_id: postId,
-                        sender_address: currentWalletAddress,
-                        read: false
-                    });
-                }
-            } else {
-                showMessage("You've already reposted this.", "error");
-            }
+            if (error) throw error;
+            showMessage("Quote posted!");
+            return true;
         } catch (error) {
-            console.error("Error reposting post:", error);
-            showMessage("Failed to repost post.", "error");
+            console.error("Error quoting post:", error);
+            showMessage(`Failed to quote post: ${error.message}`, "error");
+            return false;
         }
     };
 
@@ -814,64 +4015,80 @@ const App = () => {
         setCurrentPage('profile');
     };
 
-    const handleFollowToggle = async (targetAddress, isFollowing) => {
+    // --- Hash Routing ---
+    // Profiles can be linked as #/@handle and tag feeds as #/tag/name. Opening either puts it in the URL,
+    // and a link in the URL (on load, after the back button, or from a mention or hashtag) opens it; handles
+    // wait until profiles have loaded.
+    const viewedUsername = allUsers[profileViewAddress]?.username;
+    useEffect(() => {
+        const pageHash = currentPage === 'profile' && viewedUsername ? profileHash(viewedUsername)
+            : currentPage === 'tag' && activeHashtag ? tagHash(activeHashtag)
+            : null;
+        if (pageHash) {
+            if (window.location.hash !== pageHash) window.location.hash = pageHash;
+        } else if (currentPage !== 'follows' && window.location.hash) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }, [currentPage, viewedUsername, activeHashtag]);
+
+    const allUsersRef = useRef(allUsers);
+    allUsersRef.current = allUsers;
+    const profileViewAddressRef = useRef(profileViewAddress);
+    profileViewAddressRef.current = profileViewAddress;
+    const hasLoadedProfiles = Object.keys(allUsers).length > 0;
+
+    useEffect(() => {
+        const openFromHash = () => {
+            const tag = window.location.hash.match(TAG_HASH_PATTERN)?.[1]?.toLowerCase();
+            if (tag) {
+                setActiveHashtag(tag);
+                setCurrentPage('tag');
+                return;
+            }
+
+            const handle = window.location.hash.match(PROFILE_HASH_PATTERN)?.[1]?.toLowerCase();
+            if (!handle || !hasLoadedProfiles) return;
+            const profile = Object.values(allUsersRef.current).find(user => user.username?.toLowerCase() === handle);
+            if (!profile) {
+                showMessage(`There's no one called @${handle}.`, "error");
+                return;
+            }
+            if (profile.wallet_address !== profileViewAddressRef.current) {
+                setProfileViewAddress(profile.wallet_address);
+                setProfileActiveTab('posts');
+            }
+            setCurrentPage('profile');
+        };
+
+        openFromHash();
+        window.addEventListener('hashchange', openFromHash);
+        return () => window.removeEventListener('hashchange', openFromHash);
+    }, [hasLoadedProfiles]);
+
+    const handleFollowToggle = async (targetAddress) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
         if (currentWalletAddress === targetAddress) {
             showMessage("You cannot follow/unfollow yourself.", "error");
             return;
         }
+        if (isBlockedAddress(targetAddress)) {
+            showMessage("You can't interact with this user.", "error");
+            return;
+        }
 
         try {
-            // Update current user's following list
-            let currentUserFollowing = currentUserProfile.following || [];
-            if (isFollowing) {
-                currentUserFollowing = currentUserFollowing.filter(addr => addr !== targetAddress);
-            } else {
-                currentUserFollowing.push(targetAddress);
-            }
-            const { error: currentUserUpdateError } = await supabase
-                .from('profiles')
-                .update({ following: currentUserFollowing })
-                .eq('wallet_address', currentWalletAddress);
-
-            if (currentUserUpdateError) throw currentUserUpdateError;
-
-            // Update target user's followers list
-            const { data: targetUserProfile, error: targetFetchError } = await supabase
-                .from('profiles')
-                .select('followers')
-                .eq('wallet_address', targetAddress)
+            // Updates the follows row and both profiles' follower/following lists in one transaction
+            const { data, error } = await supabase
+                .rpc('toggle_follow', { p_followed_address: targetAddress })
                 .single();
 
-            if (targetFetchError) throw targetFetchError;
-
-            let targetUserFollowers = targetUserProfile.followers || [];
-            if (isFollowing) {
-                targetUserFollowers = targetUserFollowers.filter(addr => addr !== currentWalletAddress);
-            } else {
-                targetUserFollowers.push(currentWalletAddress);
-            }
-            const { error: targetUserUpdateError } = await supabase
-                .from('profiles')
-                .update({ followers: targetUserFollowers })
-                .eq('wallet_address', targetAddress);
-
-            if (targetUserUpdateError) throw targetUserUpdateError;
-
-            showMessage(isFollowing ? "Unfollowed user." : "Followed user!");
+            if (error) throw error;
 
-            if (!isFollowing && targetAddress !== currentWalletAddress) { // Only notify on follow, not unfollow or self-follow
-                await supabase.from('notifications').insert({
-                    recipient_address: targetAddress,
-                    type: 'follow',
-                    message: `${currentUserProfile.username || 'Someone'} started following you!`,
-                    sender_address: currentWalletAddress,
-                    read: false
-                });
-            }
+            // Following notifies the followed user through a database trigger
+            showMessage(data.following ? "Followed user!" : "Unfollowed user.");
         } catch (error) {
             console.error("Error follow/unfollow:", error);
             showMessage(`Failed to follow/unfollow: ${error.message}`, "error");
@@ -880,190 +4097,317 @@ const App = () => {
 
     const handleBlock = async (targetAddress) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
         if (currentWalletAddress === targetAddress) {
             showMessage("You cannot block yourself.", "error");
             return;
         }
+        if (blockedAddresses.includes(targetAddress)) {
+            showMessage("User is already blocked.", "error");
+            return;
+        }
         try {
-            let updatedBlocked = currentUserProfile.blocked_users || [];
-            if (!updatedBlocked.includes(targetAddress)) {
-                updatedBlocked.push(targetAddress);
-                const { error } = await supabase
-                    .from('profiles')
-                    .update({ blocked_users: updatedBlocked })
-                    .eq('wallet_address', currentWalletAddress);
+            // Records the block and removes follows in both directions in one transaction
+            const { error } = await supabase.rpc('block_user', {
+                p_blocked_address: targetAddress
+            });
 
-                if (error) throw error;
-                showMessage("User blocked successfully.");
-            } else {
-                showMessage("User is already blocked.", "error");
-            }
+            if (error) throw error;
+            showMessage("User blocked successfully.");
         } catch (error) {
             console.error("Error blocking user:", error);
             showMessage(`Failed to block user: ${error.message}`, "error");
         }
     };
 
-    const handleBuyTicket = async (targetAddress) => {
-        if (!supabase || !currentWalletAddress || !currentUserProfile || !connected || !publicKey) {
-            showMessage("Please connect your wallet first.", "error");
-            return;
-        }
-        if (currentWalletAddress === targetAddress) {
-            showMessage("You cannot buy a ticket for yourself.", "error");
-            return;
-        }
-        if (walletData.gor_balance < 1) { // Check Supabase balance first
-            showMessage("Insufficient GOR balance to buy a ticket. Please fund your wallet.", "error");
+    const handleUnblock = async (targetAddress) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
-
         try {
-            showMessage("Initiating ticket purchase transaction...", "info");
-
-            const buyerTokenAccount = await getAssociatedTokenAddress(GOR_TOKEN_MINT_ADDRESS, publicKey);
-            const receiverTokenAccount = await getAssociatedTokenAddress(GOR_TOKEN_MINT_ADDRESS, new PublicKey(targetAddress));
-
-            const transaction = new Transaction().add(
-                createTransferInstruction(
-                    buyerTokenAccount, // source
-                    receiverTokenAccount, // destination
-                    publicKey, // owner
-                    1, // amount (1 GOR)
-                    [], // multiSigners
-                    TOKEN_PROGRAM_ID
-                )
-            );
-
-            const { blockhash } = await connection.getLatestBlockhash();
-            transaction.recentBlockhash = blockhash;
-            transaction.feePayer = publicKey;
-
-            const signature = await sendTransaction(transaction, connection);
-            await connection.confirmTransaction(signature, 'processed');
-
-            showMessage("Ticket purchase transaction confirmed on-chain!", "success");
+            const { error } = await supabase.rpc('unblock_user', {
+                p_blocked_address: targetAddress
+            });
 
-            // --- Update Supabase AFTER successful on-chain transaction ---
-            // Update buyer's wallet data
-            let updatedTicketsHolding = [...walletData.tickets_holding];
-            const existingTicketIndex = updatedTicketsHolding.findIndex(ticket => ticket.wallet_address === targetAddress);
+            if (error) throw error;
+            showMessage("User unblocked.");
+        } catch (error) {
+            console.error("Error unblocking user:", error);
+            showMessage(`Failed to unblock user: ${error.message}`, "error");
+        }
+    };
 
-            if (existingTicketIndex > -1) {
-                updatedTicketsHolding[existingTicketIndex] = {
-                    ...updatedTicketsHolding[existingTicketIndex],
-                    count: updatedTicketsHolding[existingTicketIndex].count + 1
-                };
-            } else {
-                // Fetch target username for tickets_holding array
-                const { data: targetProfile, error: targetProfileError } = await supabase
-                    .from('profiles')
-                    .select('username')
-                    .eq('wallet_address', targetAddress)
-                    .single();
+    // Mutes only touch the current user's own mutes row, which is created on first use
+    const updateMutes = async (changes, successMessage) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return false;
+        }
+        try {
+            const { data, error } = await supabase
+                .from('mutes')
+                .upsert({ wallet_address: currentWalletAddress, muted_addresses: mutedAddresses, muted_keywords: mutedKeywords, ...changes })
+                .select('muted_addresses, muted_keywords')
+                .single();
 
-                if (targetProfileError) throw targetProfileError;
+            if (error) throw error;
+            setMutes(data);
+            showMessage(successMessage);
+            return true;
+        } catch (error) {
+            console.error("Error updating mutes:", error);
+            showMessage(`Failed to update mutes: ${error.message}`, "error");
+            return false;
+        }
+    };
 
-                updatedTicketsHolding.push({ wallet_address: targetAddress, count: 1, username: targetProfile.username });
-            }
+    const handleMute = (targetAddress) => {
+        if (targetAddress === currentWalletAddress) {
+            showMessage("You cannot mute yourself.", "error");
+            return;
+        }
+        if (mutedAddresses.includes(targetAddress)) return;
+        updateMutes({ muted_addresses: [...mutedAddresses, targetAddress] }, "User muted. You won't see their posts or notifications.");
+    };
 
-            const { error: walletUpdateError } = await supabase
-                .from('wallets')
-                .update({
-                    gor_balance: walletData.gor_balance - 1, // Decrement Supabase balance
-                    tickets_holding: updatedTicketsHolding
-                })
-                .eq('wallet_address', currentWalletAddress);
+    const handleUnmute = (targetAddress) => {
+        updateMutes({ muted_addresses: mutedAddresses.filter(addr => addr !== targetAddress) }, "User unmuted.");
+    };
 
-            if (walletUpdateError) throw walletUpdateError;
+    const handleAddMutedKeyword = async (keyword) => {
+        const trimmed = keyword.trim();
+        if (!trimmed) return false;
+        if (!parseMutedKeyword(trimmed)) {
+            showMessage("That regular expression is not valid.", "error");
+            return false;
+        }
+        if (mutedKeywords.includes(trimmed)) {
+            showMessage("That word is already muted.", "error");
+            return false;
+        }
+        return updateMutes({ muted_keywords: [...mutedKeywords, trimmed] }, `Muted "${trimmed}".`);
+    };
 
-            // Update target user's total tickets earned
-            const { data: targetUser, error: targetUserError } = await supabase
-                .from('profiles')
-                .select('tickets_earned')
-                .eq('wallet_address', targetAddress)
-                .single();
+    const handleRemoveMutedKeyword = (keyword) => {
+        updateMutes({ muted_keywords: mutedKeywords.filter(existing => existing !== keyword) }, `Unmuted "${keyword}".`);
+    };
 
-            if (targetUserError) throw targetUserError;
+    // Builds a GOR transfer from the connected wallet. transferChecked makes the token program reject
+    // the transaction if the amount was scaled with the wrong number of decimals. A recipient who has
+    // never held GOR has no token account yet, so one is created in the same transaction at the
+    // sender's expense; the idempotent variant can't fail if someone else creates it first. A `memo`
+    // is added as a memo instruction signed by the sender.
+    const buildGorTransfer = useCallback(async (recipientAddress, baseUnits, memo = null) => {
+        const recipient = new PublicKey(recipientAddress);
+        const sourceAccount = getAssociatedTokenAddressSync(cluster.gorMint, publicKey);
+        const destinationAccount = getAssociatedTokenAddressSync(cluster.gorMint, recipient);
+
+        const destinationInfo = await connection.getAccountInfo(destinationAccount, 'confirmed');
+        const createsRecipientAccount = destinationInfo === null;
+
+        const transaction = new Transaction();
+        if (createsRecipientAccount) {
+            transaction.add(
+                createAssociatedTokenAccountIdempotentInstruction(
+                    publicKey, // payer
+                    destinationAccount, // associated token account
+                    recipient, // owner
+                    cluster.gorMint,
+                    TOKEN_PROGRAM_ID,
+                    ASSOCIATED_TOKEN_PROGRAM_ID
+                )
+            );
+        }
+        transaction.add(
+            createTransferCheckedInstruction(
+                sourceAccount, // source
+                cluster.gorMint, // mint
+                destinationAccount, // destination
+                publicKey, // owner
+                baseUnits, // amount in base units
+                gorDecimals, // decimals
+                [], // multiSigners
+                TOKEN_PROGRAM_ID
+            )
+        );
+        if (memo) {
+            transaction.add(new TransactionInstruction({
+                programId: MEMO_PROGRAM_ID,
+                keys: [{ pubkey: publicKey, isSigner: true, isWritable: false }],
+                data: new TextEncoder().encode(memo),
+            }));
+        }
 
-            const { error: profileUpdateError } = await supabase
-                .from('profiles')
-                .update({ tickets_earned: (targetUser.tickets_earned || 0) + 1 })
-                .eq('wallet_address', targetAddress);
+        const { blockhash } = await connection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = publicKey;
+        return { transaction, createsRecipientAccount };
+    }, [connection, cluster, publicKey, gorDecimals]);
+
+    // What a transfer will cost before the wallet is asked to sign it
+    const previewGorTransfer = useCallback(async (recipientAddress, baseUnits) => {
+        if (!publicKey || gorDecimals === null) return null;
+        const { transaction, createsRecipientAccount } = await buildGorTransfer(recipientAddress, baseUnits);
+        const [{ value: feeLamports }, accountRentLamports] = await Promise.all([
+            connection.getFeeForMessage(transaction.compileMessage(), 'confirmed'),
+            createsRecipientAccount ? connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE) : Promise.resolve(0),
+        ]);
+        return { feeLamports, createsRecipientAccount, accountRentLamports };
+    }, [connection, publicKey, gorDecimals, buildGorTransfer]);
+
+    const handleProfileTipPreview = useCallback(
+        (baseUnits) => previewGorTransfer(profileViewAddress, baseUnits),
+        [previewGorTransfer, profileViewAddress]
+    );
 
-            if (profileUpdateError) throw profileUpdateError;
+    // Current bonding-curve prices for a subject, straight from the same SQL the edge function settles with
+    const fetchTicketQuote = useCallback(async (subjectAddress) => {
+        const { data, error } = await supabase.rpc('ticket_quote', { p_subject_address: subjectAddress, p_decimals: gorDecimals, p_cluster: cluster.id });
+        if (error) throw error;
+        const [quote] = data;
+        return {
+            supply: quote.supply,
+            buyPrice: BigInt(quote.buy_price_base_units),
+            sellPrice: quote.sell_price_base_units === null ? null : BigInt(quote.sell_price_base_units),
+        };
+    }, [supabase, gorDecimals, cluster]);
+
+    const handleBuyTicketPreview = useCallback(async () => {
+        if (gorDecimals === null || !cluster.ticketTreasury) return null;
+        const quote = await fetchTicketQuote(profileViewAddress);
+        const preview = await previewGorTransfer(cluster.ticketTreasury, quote.buyPrice);
+        return preview && {
+            ...preview,
+            supply: quote.supply,
+            priceBaseUnits: quote.buyPrice,
+            priceDisplay: formatGorAmount(quote.buyPrice, gorDecimals),
+        };
+    }, [fetchTicketQuote, previewGorTransfer, profileViewAddress, gorDecimals, cluster]);
 
+    // Pays the quoted price into the ticket treasury, then has the ticket-trade function verify the
+    // payment on-chain and record the ticket. Holdings are only written server-side.
+    const handleBuyTicket = async (targetAddress, ticketPrice) => {
+        if (!supabase || !currentWalletAddress || !currentUserProfile || !connected || !publicKey) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        if (currentWalletAddress === targetAddress) {
+            showMessage("You cannot buy a ticket for yourself.", "error");
+            return;
+        }
+        if (!cluster.ticketTreasury) {
+            showMessage(`Tickets aren't available on ${cluster.label}.`, "error");
+            return;
+        }
+        if (isBlockedAddress(targetAddress)) {
+            showMessage("You can't interact with this user.", "error");
+            return;
+        }
+        if (gorDecimals === null) {
+            showMessage("GOR token details are still loading. Please try again.", "error");
+            return;
+        }
+        if (rawGorBalance === null || rawGorBalance < ticketPrice) { // Check the on-chain balance first
+            showMessage("Insufficient GOR balance to buy a ticket. Please fund your wallet.", "error");
+            return;
+        }
 
-            showMessage("Ticket purchase successful and Supabase updated!", "success");
-            await supabase.from('notifications').insert({
-                recipient_address: targetAddress,
-                type: 'ticket_buy',
-                message: `${currentUserProfile.username || 'Someone'} bought a ticket for you!`,
-                sender_address: currentWalletAddress,
-                read: false
-            });
+        let signature;
+        try {
+            const { transaction } = await buildGorTransfer(cluster.ticketTreasury, ticketPrice, ticketBuyMemo(targetAddress));
+            signature = await sendTrackedTransaction(transaction, 'Buying a ticket');
         } catch (error) {
             console.error("Error buying ticket:", error);
             showMessage(`Failed to buy ticket: ${error.message || error.toString()}`, "error");
+            return;
+        }
+
+        try {
+            showMessage("Payment confirmed on-chain. Recording your ticket...", "info");
+            const result = await invokeEdgeFunction(supabase, 'ticket-trade', {
+                action: 'buy',
+                cluster: cluster.id,
+                signature,
+                subjectAddress: targetAddress,
+            });
+
+            if (result.status === 'refunded') {
+                showMessage("Someone bought first and the price went up, so your payment was refunded. Please try again.", "error");
+                return;
+            }
+            if (result.status === 'pending') {
+                showMessage("Someone bought first and the price went up. Your payment is being refunded.", "error");
+                return;
+            }
+            showMessage("Ticket purchase successful!", "success");
+        } catch (error) {
+            console.error("Error recording ticket:", error);
+            showMessage(`Your payment was sent, but recording the ticket failed: ${error.message}`, "error");
         }
     };
 
+    // Sells one ticket back to the treasury at the current curve price. The wallet signs a short
+    // request so nobody else can sell tickets on the holder's behalf; the function pays out and only
+    // then removes the ticket.
     const handleSellTicket = async (targetAddress) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile || !connected || !publicKey) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        if (!signMessage) {
+            showMessage("Your wallet doesn't support message signing, which selling tickets requires.", "error");
+            return;
+        }
+        if (gorDecimals === null) {
+            showMessage("GOR token details are still loading. Please try again.", "error");
+            return;
+        }
+
+        const heldTicket = ticketHoldings.find(holding => holding.subject_address === targetAddress);
+        if (!heldTicket || heldTicket.count === 0) {
+            showMessage("You don't hold any tickets for this user.", "error");
             return;
         }
 
         try {
-            const existingTicketIndex = walletData.tickets_holding.findIndex(ticket => ticket.wallet_address === targetAddress);
-            if (existingTicketIndex === -1 || walletData.tickets_holding[existingTicketIndex].count === 0) {
-                showMessage("You don't hold any tickets for this user.", "error");
+            const quote = await fetchTicketQuote(targetAddress);
+            if (quote.sellPrice === null) {
+                showMessage("There are no tickets to sell for this user.", "error");
                 return;
             }
-            showMessage("Initiating ticket sale transaction...", "info");
-
-            // For selling, you'd typically transfer the GOR back to yourself or a specific market address
-            // For simplicity, we'll simulate receiving GOR and updating Supabase
-            // In a real scenario, this would involve a smart contract or a peer-to-peer exchange.
-
-            // --- Update Supabase AFTER successful (simulated) on-chain transaction ---
-            let updatedTicketsHolding = [...walletData.tickets_holding];
-            updatedTicketsHolding[existingTicketIndex].count -= 1;
-
-            if (updatedTicketsHolding[existingTicketIndex].count === 0) {
-                updatedTicketsHolding.splice(existingTicketIndex, 1);
+            const priceDisplay = formatGorAmount(quote.sellPrice, gorDecimals);
+            if (!window.confirm(`Sell 1 ticket of @${allUsers[targetAddress]?.username || 'this user'} for about ${priceDisplay} GOR?`)) {
+                return;
             }
 
-            const { error: walletUpdateError } = await supabase
-                .from('wallets')
-                .update({
-                    gor_balance: walletData.gor_balance + 1, // Get 1 GOR back
-                    tickets_holding: updatedTicketsHolding
-                })
-                .eq('wallet_address', currentWalletAddress);
-
-            if (walletUpdateError) throw walletUpdateError;
-
-            // Decrement target user's total tickets earned
-            const { data: targetUser, error: targetUserError } = await supabase
-                .from('profiles')
-                .select('tickets_earned')
-                .eq('wallet_address', targetAddress)
-                .single();
-
-            if (targetUserError) throw targetUserError;
-
-            const { error: profileUpdateError } = await supabase
-                .from('profiles')
-                .update({ tickets_earned: Math.max(0, (targetUser.tickets_earned || 0) - 1) })
-                .eq('wallet_address', targetAddress);
-
-            if (profileUpdateError) throw profileUpdateError;
+            const message = [
+                'GORTRASHSOCIAL ticket sale',
+                'Action: Sell ticket',
+                `Cluster: ${cluster.id}`,
+                `Seller: ${currentWalletAddress}`,
+                `Subject: ${targetAddress}`,
+                `Issued At: ${new Date().toISOString()}`,
+            ].join('\n');
+            const messageSignature = await signMessage(new TextEncoder().encode(message));
+
+            showMessage("Selling ticket...", "info");
+            const result = await invokeEdgeFunction(supabase, 'ticket-trade', {
+                action: 'sell',
+                cluster: cluster.id,
+                subjectAddress: targetAddress,
+                sellerAddress: currentWalletAddress,
+                message,
+                messageSignature: btoa(String.fromCharCode(...messageSignature)),
+            });
 
-            showMessage("Ticket sold successfully! 1 GOR received.", "success");
+            if (result.status === 'pending') {
+                showMessage("Your payout was sent and is waiting for confirmation. Your ticket stays reserved until it lands.", "info");
+                return;
+            }
+            showMessage(`Ticket sold for ${formatGorAmount(BigInt(result.payoutBaseUnits), gorDecimals)} GOR.`, "success");
         } catch (error) {
             console.error("Error selling ticket:", error);
             showMessage(`Failed to sell ticket: ${error.message || error.toString()}`, "error");
@@ -1071,89 +4415,142 @@ const App = () => {
     };
 
 
-    const handleTip = async (targetAddress, amount) => {
+    const handleTip = async (targetAddress, amountInput) => {
         if (!supabase || !currentWalletAddress || !currentUserProfile || !connected || !publicKey) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
             return;
         }
         if (currentWalletAddress === targetAddress) {
             showMessage("You cannot tip yourself.", "error");
             return;
         }
-        if (walletData.gor_balance < amount) { // Check Supabase balance first
-            showMessage("Insufficient GOR balance to tip. Please fund your wallet.", "error");
+        if (isBlockedAddress(targetAddress)) {
+            showMessage("You can't interact with this user.", "error");
             return;
         }
-        if (amount <= 0) {
-            showMessage("Tip amount must be positive.", "error");
+        if (gorDecimals === null) {
+            showMessage("GOR token details are still loading. Please try again.", "error");
             return;
         }
 
+        let baseUnits;
         try {
-            showMessage(`Initiating tip of ${amount} GOR to ${targetAddress.substring(0, 7)}...`, "info");
-
-            const senderTokenAccount = await getAssociatedTokenAddress(GOR_TOKEN_MINT_ADDRESS, publicKey);
-            const receiverTokenAccount = await getAssociatedTokenAddress(GOR_TOKEN_MINT_ADDRESS, new PublicKey(targetAddress));
-
-            const transaction = new Transaction().add(
-                createTransferInstruction(
-                    senderTokenAccount, // source
-                    receiverTokenAccount, // destination
-                    publicKey, // owner
-                    amount, // amount
-                    [], // multiSigners
-                    TOKEN_PROGRAM_ID
-                )
-            );
-
-            const { blockhash } = await connection.getLatestBlockhash();
-            transaction.recentBlockhash = blockhash;
-            transaction.feePayer = publicKey;
+            baseUnits = parseGorAmount(amountInput, gorDecimals);
+        } catch (error) {
+            showMessage(error.message, "error");
+            return;
+        }
+        const amount = formatGorAmount(baseUnits, gorDecimals);
 
-            const signature = await sendTransaction(transaction, connection);
-            await connection.confirmTransaction(signature, 'processed');
+        if (rawGorBalance === null || rawGorBalance < baseUnits) { // Check the on-chain balance first
+            showMessage("Insufficient GOR balance to tip. Please fund your wallet.", "error");
+            return;
+        }
 
-            showMessage("Tip transaction confirmed on-chain!", "success");
+        try {
+            const { transaction } = await buildGorTransfer(targetAddress, baseUnits);
+            const signature = await sendTrackedTransaction(transaction, `Tipping ${amount} GOR`);
+
+            // The verify-tip function checks the transfer on-chain before it records the tip and
+            // notifies the recipient.
+            try {
+                await invokeEdgeFunction(supabase, 'verify-tip', {
+                    cluster: cluster.id,
+                    signature,
+                    recipientAddress: targetAddress,
+                    amountBaseUnits: baseUnits.toString(),
+                });
+            } catch (error) {
+                console.error("Error recording tip:", error);
+                showMessage(`Your tip was sent, but recording it failed: ${error.message}`, "error");
+                return;
+            }
 
-            // --- Update Supabase AFTER successful on-chain transaction ---
-            const { error: senderUpdateError } = await supabase
-                .from('wallets')
-                .update({ gor_balance: walletData.gor_balance - amount })
-                .eq('wallet_address', currentWalletAddress);
+            showMessage(`Tipped ${amount} GOR to user successfully!`, "success");
+        } catch (error) {
+            console.error("Error tipping user:", error);
+            showMessage(`Failed to tip: ${error.message || error.toString()}`, "error");
+        }
+    };
 
-            if (senderUpdateError) throw senderUpdateError;
+    // Ledger rows for deposits and withdrawals are written by the record-transfer function from the
+    // transaction itself. A failure here only affects the history, never the transfer.
+    const recordTransfer = async (body) => {
+        try {
+            await invokeEdgeFunction(supabase, 'record-transfer', { ...body, cluster: cluster.id, walletAddress: currentWalletAddress });
+        } catch (error) {
+            console.error("Error recording transfer:", error);
+        }
+    };
 
-            // Fetch receiver's current balance to update it
-            const { data: receiverWallet, error: receiverFetchError } = await supabase
-                .from('wallets')
-                .select('gor_balance')
-                .eq('wallet_address', targetAddress)
-                .single();
+    // The latest transaction on the token account may be your own tip or withdrawal, and several
+    // deposits can land together, so every recent transaction the ledger doesn't have yet is offered to
+    // record-transfer, which only records the ones that pay into this wallet.
+    const handleDepositDetected = async (receivedBaseUnits) => {
+        if (gorDecimals !== null) {
+            showMessage(`Received ${formatGorAmount(receivedBaseUnits, gorDecimals)} GOR.`, "success");
+        }
+        try {
+            const recent = await connection.getSignaturesForAddress(gorTokenAccount, { limit: DEPOSIT_SCAN_LIMIT }, 'confirmed');
+            const signatures = recent.filter(entry => !entry.err).map(entry => entry.signature);
+            if (signatures.length === 0) return;
+
+            const { data: ledgered, error } = await supabase
+                .from('transactions')
+                .select('signature')
+                .eq('cluster', cluster.id)
+                .eq('wallet_address', currentWalletAddress)
+                .in('signature', signatures);
+            if (error) throw error;
 
-            if (receiverFetchError && receiverFetchError.code !== 'PGRST116') { // PGRST116 means no rows found
-                throw receiverFetchError;
+            const ledgeredSignatures = new Set(ledgered.map(row => row.signature));
+            for (const signature of signatures.filter(signature => !ledgeredSignatures.has(signature))) {
+                await recordTransfer({ kind: 'deposit', signature });
             }
+        } catch (error) {
+            console.error("Error finding deposit transactions:", error);
+        }
+    };
 
-            let receiverCurrentBalance = receiverWallet ? receiverWallet.gor_balance : 0;
+    const handleWithdraw = async (recipientAddress, amountInput) => {
+        if (!supabase || !currentWalletAddress || !connected || !publicKey) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        if (gorDecimals === null) {
+            showMessage("GOR token details are still loading. Please try again.", "error");
+            return;
+        }
 
-            const { error: receiverUpdateError } = await supabase
-                .from('wallets')
-                .upsert({ wallet_address: targetAddress, gor_balance: receiverCurrentBalance + amount }, { onConflict: 'wallet_address' });
+        let baseUnits;
+        try {
+            baseUnits = parseGorAmount(amountInput, gorDecimals);
+        } catch (error) {
+            showMessage(error.message, "error");
+            return;
+        }
+        const amount = formatGorAmount(baseUnits, gorDecimals);
 
-            if (receiverUpdateError) throw receiverUpdateError;
+        if (rawGorBalance === null || rawGorBalance < baseUnits) {
+            showMessage("Insufficient GOR balance to withdraw.", "error");
+            return;
+        }
 
+        let signature = null;
+        try {
+            const { transaction } = await buildGorTransfer(recipientAddress, baseUnits);
+            signature = await sendTrackedTransaction(transaction, `Withdrawing ${amount} GOR`);
 
-            showMessage(`Tipped ${amount} GOR to user successfully and Supabase updated!`, "success");
-            await supabase.from('notifications').insert({
-                recipient_address: targetAddress,
-                type: 'tip',
-                message: `${currentUserProfile.username || 'Someone'} tipped you ${amount} GOR!`,
-                sender_address: currentWalletAddress,
-                read: false
-            });
+            showMessage(`Withdrew ${amount} GOR.`, "success");
         } catch (error) {
-            console.error("Error tipping user:", error);
-            showMessage(`Failed to tip: ${error.message || error.toString()}`, "error");
+            signature = error.signature ?? null;
+            console.error("Error withdrawing GOR:", error);
+            showMessage(`Failed to withdraw: ${error.message || error.toString()}`, "error");
+        }
+
+        // Failed withdrawals are recorded too, as long as they made it on-chain
+        if (signature) {
+            await recordTransfer({ kind: 'withdrawal', signature, recipientAddress });
         }
     };
 
@@ -1174,63 +4571,106 @@ const App = () => {
 
     const handleSaveProfile = async () => {
         if (!supabase || !currentWalletAddress) {
-            showMessage("Please connect your wallet first.", "error");
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        const username = profileEditData.username.trim();
+        const usernameError = validateUsername(username, currentWalletAddress, allUsers);
+        if (usernameError) {
+            showMessage(usernameError, "error");
             return;
         }
-        if (!profileEditData.username.trim()) {
-            showMessage("Username cannot be empty.", "error");
+        const nextChangeAt = nextUsernameChangeAt(currentUserProfile);
+        if (nextChangeAt && username.toLowerCase() !== currentUserProfile.username?.toLowerCase()) {
+            showMessage(`You can change your username again on ${nextChangeAt.toLocaleDateString()}.`, "error");
             return;
         }
+        setIsSavingProfile(true);
         try {
+            const imageUpdates = {};
+            if (profileImageFiles.avatar) {
+                imageUpdates.avatar_url = await uploadProfileImage(supabase, currentWalletAddress, 'avatar', profileImageFiles.avatar);
+            }
+            if (profileImageFiles.banner) {
+                imageUpdates.banner_url = await uploadProfileImage(supabase, currentWalletAddress, 'banner', profileImageFiles.banner);
+            }
+
             const { error: profileUpdateError } = await supabase
                 .from('profiles')
                 .update({
-                    username: profileEditData.username,
-                    bio: profileEditData.bio
+                    username,
+                    bio: profileEditData.bio,
+                    ...normalizeProfileLinks(profileEditData),
+                    ...imageUpdates
                 })
                 .eq('wallet_address', currentWalletAddress);
 
+            if (profileUpdateError?.code === '23505') throw new Error("That username is taken.");
             if (profileUpdateError) throw profileUpdateError;
 
-            // Update username in existing posts by this user (denormalized data)
-            const { error: postsUpdateError } = await supabase
-                .from('posts')
-                .update({ username: profileEditData.username })
-                .eq('author_address', currentWalletAddress);
-
-            if (postsUpdateError) console.error("Error updating username in posts:", postsUpdateError);
-
-            // Update username in existing comments by this user (denormalized data)
-            const { error: commentsUpdateError } = await supabase
-                .from('comments')
-                .update({ username: profileEditData.username })
-                .eq('author_address', currentWalletAddress);
-
-            if (commentsUpdateError) console.error("Error updating username in comments:", commentsUpdateError);
-
-
             showMessage("Profile updated successfully!");
+            setProfileImageFiles({ avatar: null, banner: null });
             setShowProfileEditModal(false);
         } catch (error) {
             console.error("Error updating profile:", error);
             showMessage(`Failed to update profile: ${error.message}`, "error");
+        } finally {
+            setIsSavingProfile(false);
         }
-        
     };
 
-    const filteredPosts = posts.filter(post =>
-        post.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        post.username.toLowerCase().includes(searchTerm.toLowerCase())
-    );
+    const handleLoadWalletNfts = async () => {
+        if (!publicKey) return;
+        try {
+            setWalletNftMints(await fetchWalletNftMints(connection, publicKey));
+        } catch (error) {
+            console.error("Error loading wallet NFTs:", error);
+            showMessage("Couldn't load the NFTs in your wallet.", "error");
+        }
+    };
+
+    // The edge function checks the wallet holds the NFT and reads its image from the NFT's metadata
+    const handleSetNftAvatar = async (mint) => {
+        if (!supabase || !currentWalletAddress) {
+            showMessage("Please connect your wallet and sign in first.", "error");
+            return;
+        }
+        setIsUpdatingNftAvatar(true);
+        try {
+            if (mint) {
+                await invokeEdgeFunction(supabase, 'nft-avatar', { action: 'set', cluster: cluster.id, mint });
+                showMessage("NFT avatar verified and set!");
+            } else {
+                await invokeEdgeFunction(supabase, 'nft-avatar', { action: 'clear' });
+                showMessage("NFT avatar removed.");
+            }
+        } catch (error) {
+            console.error("Error updating NFT avatar:", error);
+            showMessage(error.message, "error");
+        } finally {
+            setIsUpdatingNftAvatar(false);
+        }
+    };
+
+    const filteredPosts = searchResults.filter(post => !isHiddenPost(post));
+    const visibleHomeItems = activeHomeFeed.items.filter(item => !isHiddenFeedItem(item));
+    const visiblePendingHomeItems = pendingHomeItems.filter(item => !isHiddenFeedItem(item));
+    const visibleProfileItems = profileFeed.items.filter(item => !isHiddenPost(item.post));
+    const visibleTagItems = tagFeed.items.filter(item => !isHiddenPost(item.post));
+    const visibleNotifications = notifications.filter(notification => (
+        !isBlockedAddress(notification.sender_address) &&
+        !muteMatcher.isMutedAddress(notification.sender_address) &&
+        !muteMatcher.isMutedText(notification.message)
+    ));
 
     const getTrendingUsers = () => {
         const usersArray = Object.values(allUsers);
-        const otherUsers = usersArray.filter(user => user.wallet_address !== currentWalletAddress);
+        const otherUsers = usersArray.filter(user => user.wallet_address !== currentWalletAddress && !isBlockedAddress(user.wallet_address));
 
         return otherUsers
             .map(user => ({
                 ...user,
-                trendingScore: (user.tickets_earned || 0) + (user.followers?.length || 0)
+                trendingScore: (ticketSupply[user.wallet_address] || 0) + (user.followers?.length || 0)
             }))
             .sort((a, b) => b.trendingScore - a.trendingScore)
             .slice(0, 5);
@@ -1238,509 +4678,1012 @@ const App = () => {
 
     // --- Render Logic ---
     return (
-        <div className="min-h-screen bg-gray-100 font-sans text-gray-900 flex flex-col md:flex-row">
-            {/* Sidebar Navigation */}
-            <nav className="bg-white shadow-md md:w-64 p-4 md:p-6 flex flex-row md:flex-col justify-around md:justify-start items-center md:items-start border-b md:border-r border-gray-200 fixed bottom-0 md:static w-full z-40">
-                <div className="hidden md:block mb-8 text-2xl font-bold text-green-700">Web3 Social</div>
-                <ul className="flex flex-row md:flex-col space-x-4 md:space-x-0 md:space-y-4 w-full justify-around md:justify-start">
-                    <li>
-                        <button
-                            onClick={() => setCurrentPage('home')}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'home' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>
-                            <span className="hidden md:inline">Home</span>
-                        </button>
-                    </li>
-                    <li>
-                        <button
-                            onClick={() => handleProfileClick(currentWalletAddress)}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'profile' && profileViewAddress === currentWalletAddress ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/></svg>
-                            <span className="hidden md:inline">Profile</span>
-                        </button>
-                    </li>
-                    <li>
-                        <button
-                            onClick={() => setCurrentPage('wallet')}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'wallet' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M21 18v1c0 1.1-.9 2-2 2H5c-1.11 0-2-.9-2-2V5c0-1.1.89-2 2-2h14c1.1 0 2 .9 2 2v1h-9c-1.11 0-2 .9-2 2v8c0 1.1.89 2 2 2h9zm-9-2h10V8H12v8zm4-2.5c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5z"/></svg>
-                            <span className="hidden md:inline">Wallet</span>
-                        </button>
-                    </li>
-                    <li>
-                        <button
-                            onClick={() => setCurrentPage('notifications')}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'notifications' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6V9c0-3.07-1.63-5.64-4.5-6.32V2.5c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.18C7.63 3.36 6 5.93 6 9v7l-2 2v1h16v-1l-2-2z"/></svg>
-                            <span className="hidden md:inline">Notifications</span>
-                            {notifications.filter(n => !n.read).length > 0 && (
-                                <span className="ml-auto bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full animate-bounce-fade-in">
-                                    {notifications.filter(n => !n.read).length}
-                                </span>
-                            )}
-                        </button>
-                    </li>
-                    <li>
-                        <button
-                            onClick={() => setCurrentPage('search')}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'search' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>
-                            <span className="hidden md:inline">Search</span>
-                        </button>
-                    </li>
-                    <li>
-                        <button
-                            onClick={() => setCurrentPage('settings')}
-                            className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'settings' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
-                        >
-                            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M19.43 12.98c.04-.32.07-.64.07-.98s-.03-.66-.07-.98l2.11-1.65c.19-.15.24-.42.12-.64l-2-3.46c-.12-.22-.39-.3-.61-.22l-2.49 1c-.52-.4-1.09-.75-1.71-1.02L14.3 2.5c-.05-.24-.27-.42-.5-.42h-4c-.23 0-.45.18-.5.42L8.03 5.09c-.62.27-1.19.62-1.71 1.02l-2.49-1c-.22-.08-.49 0-.61.22l-2 3.46c-.12.22-.07.49.12.64l2.11 1.65c-.04.32-.07.64-.07.98s.03.66.07.98l-2.11 1.65c-.19.15-.24.42-.12.64l2 3.46c.12.22.39.3.61.22l2.49-1c.52.4 1.09.75 1.71 1.02l.34 2.59c.05.24.27.42.5.42h4c.23 0 .45-.18.5-.42l.34-2.59c.62-.27 1.19-.62 1.71-1.02l2.49 1c.22.08.49 0 .61-.22l2-3.46c.12-.22.07-.49-.12-.64l-2.11-1.65zM12 15.5c-1.93 0-3.5-1.57-3.5-3.5s1.57-3.5 3.5-3.5 3.5 1.57 3.5 3.5-1.57 3.5-3.5 3.5z"/></svg>
-                            <span className="hidden md:inline">Settings</span>
-                        </button>
-                    </li>
-                </ul>
-            </nav>
-
-            {/* Main Content Area */}
-            <main className="flex-grow md:ml-64 pb-20 md:pb-0">
-                {currentPage === 'home' && (
-                    <div className="p-6">
-                         {!connected && (
-                            <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-6 rounded-lg shadow-md" role="alert">
-                                <p className="font-bold">Connect Your Wallet!</p>
-                                <p>To post, like, comment, and interact fully, please connect your Web3 wallet (e.g., Backpack, Phantom).</p>
-                                <div className="mt-3">
-                                    <WalletMultiButton />
-                                </div>
-                            </div>
-                        )}
-                        <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200">
-                            <textarea
-                                className="w-full p-3 border border-gray-300 rounded-md mb-3 focus:outline-none focus:ring-2 focus:ring-green-400 resize-none"
-                                rows="3"
-                                placeholder="What's happening?"
-                                value={newPostContent}
-                                onChange={(e) => setNewPostContent(e.target.value)}
-                                disabled={!connected}
-                            ></textarea>
-                            <input
-                                type="file"
-                                accept="image/*"
-                                onChange={(e) => setNewPostImage(e.target.files[0])}
-                                className="mb-3 p-2 border border-gray-300 rounded-md w-full"
-                                disabled={!connected}
-                            />
-                            {newPostImage && <p className="text-sm text-gray-500 mb-2">Selected: {newPostImage.name}</p>}
+        <ProfilesContext.Provider value={allUsers}>
+            <div className="min-h-screen bg-gray-100 font-sans text-gray-900 flex flex-col md:flex-row">
+                {/* Sidebar Navigation */}
+                <nav className="bg-white shadow-md md:w-64 p-4 md:p-6 flex flex-row md:flex-col justify-around md:justify-start items-center md:items-start border-b md:border-r border-gray-200 fixed bottom-0 md:static w-full z-40">
+                    <div className="hidden md:block mb-8 text-2xl font-bold text-green-700">Web3 Social</div>
+                    <ul className="flex flex-row md:flex-col space-x-4 md:space-x-0 md:space-y-4 w-full justify-around md:justify-start">
+                        <li>
+                            <button
+                                onClick={() => setCurrentPage('home')}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'home' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>
+                                <span className="hidden md:inline">Home</span>
+                            </button>
+                        </li>
+                        <li>
+                            <button
+                                onClick={() => handleProfileClick(currentWalletAddress)}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'profile' && profileViewAddress === currentWalletAddress ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/></svg>
+                                <span className="hidden md:inline">Profile</span>
+                            </button>
+                        </li>
+                        <li>
+                            <button
+                                onClick={() => setCurrentPage('wallet')}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'wallet' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M21 18v1c0 1.1-.9 2-2 2H5c-1.11 0-2-.9-2-2V5c0-1.1.89-2 2-2h14c1.1 0 2 .9 2 2v1h-9c-1.11 0-2 .9-2 2v8c0 1.1.89 2 2 2h9zm-9-2h10V8H12v8zm4-2.5c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5z"/></svg>
+                                <span className="hidden md:inline">Wallet</span>
+                            </button>
+                        </li>
+                        <li>
+                            <button
+                                onClick={() => setCurrentPage('notifications')}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'notifications' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6V9c0-3.07-1.63-5.64-4.5-6.32V2.5c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.18C7.63 3.36 6 5.93 6 9v7l-2 2v1h16v-1l-2-2z"/></svg>
+                                <span className="hidden md:inline">Notifications</span>
+                                {visibleNotifications.filter(n => !n.read).length > 0 && (
+                                    <span className="ml-auto bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full animate-bounce-fade-in">
+                                        {visibleNotifications.filter(n => !n.read).length}
+                                    </span>
+                                )}
+                            </button>
+                        </li>
+                        <li>
                             <button
-                                onClick={handlePost}
-                                className="w-full bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-                                disabled={!connected}
+                                onClick={() => setCurrentPage('search')}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'search' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
                             >
-                                Post
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>
+                                <span className="hidden md:inline">Search</span>
                             </button>
-                        </div>
-                        {filteredPosts.length > 0 ? (
-                            filteredPosts.map(post => (
-                                <Post
-                                    key={post.id}
-                                    post={post}
-                                    onLike={handleLike}
-                                    onComment={handleComment}
-                                    onRepost={handleRepost}
-                                    onProfileClick={handleProfileClick}
-                                    currentWalletAddress={currentWalletAddress}
-                                    onTipPost={handleTip}
-                                />
-                            ))
-                        ) : (
-                            <p className="text-center text-gray-500">No posts yet. Be the first to share something!</p>
-                        )}
-                    </div>
-                )}
-                {currentPage === 'profile' && (
-                    <div className="p-6">
-                        <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
-                            <div className="flex flex-col md:flex-row items-center md:items-start mb-4">
-                                <div className="w-28 h-28 bg-green-200 rounded-full flex items-center justify-center text-green-800 font-bold text-5xl mr-0 md:mr-6 mb-4 md:mb-0 border-4 border-green-400 flex-shrink-0">
-                                    {allUsers[profileViewAddress]?.username ? allUsers[profileViewAddress].username[0].toUpperCase() : 'U'}
-                                </div>
-                                <div className="text-center md:text-left flex-grow">
-                                    <h2 className="text-3xl font-bold text-gray-800 mb-1">{allUsers[profileViewAddress]?.username || 'Anonymous'}</h2>
-                                    <p className="text-gray-600 text-md mb-3">{allUsers[profileViewAddress]?.bio || 'No bio yet.'}</p>
-                                    <p className="text-sm text-gray-500 mb-4">Wallet Address: <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded inline-block">{profileViewAddress?.substring(0, 7)}...{profileViewAddress?.substring(profileViewAddress.length - 4)}</span></p>
-
-                                    <div className="flex flex-wrap justify-center md:justify-start space-x-6 text-lg mb-4">
-                                        <p className="text-gray-700">Followers: <span className="font-semibold text-green-600">{allUsers[profileViewAddress]?.followers?.length || 0}</span></p>
-                                        <p className="text-gray-700">Following: <span className="font-semibold text-blue-600">{allUsers[profileViewAddress]?.following?.length || 0}</span></p>
-                                        <p className="text-gray-700">Tickets: <span className="font-semibold text-purple-600">{allUsers[profileViewAddress]?.tickets_earned || 0}</span></p>
-                                    </div>
-
-                                    <div className="flex flex-wrap justify-center md:justify-start space-x-3 mt-4 gap-2">
-                                        {profileViewAddress === currentWalletAddress ? (
-                                            <button
-                                                onClick={() => setShowProfileEditModal(true)}
-                                                className="bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-colors duration-200 shadow-md"
-                                            >
-                                                Edit Profile
-                                            </button>
-                                        ) : (
-                                            <>
-                                                <button
-                                                    onClick={() => handleFollowToggle(profileViewAddress, currentUserProfile?.following?.includes(profileViewAddress))}
-                                                    className={`py-2 px-4 rounded-md transition-colors duration-200 shadow-md ${currentUserProfile?.following?.includes(profileViewAddress) ? 'bg-gray-300 text-gray-800 hover:bg-gray-400' : 'bg-green-500 text-white hover:bg-green-600'}`}
-                                                    disabled={!connected}
-                                                >
-                                                    {currentUserProfile?.following?.includes(profileViewAddress) ? 'Unfollow' : 'Follow'}
-                                                </button>
-                                                <button
-                                                    onClick={() => handleBlock(profileViewAddress)}
-                                                    className="bg-red-500 text-white py-2 px-4 rounded-md hover:bg-red-600 transition-colors duration-200 shadow-md"
-                                                    disabled={!connected}
-                                                >
-                                                    Block
-                                                </button>
-                                                <button
-                                                    onClick={() => handleBuyTicket(profileViewAddress)}
-                                                    className="bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600 transition-colors duration-200 shadow-md"
-                                                    disabled={!connected}
-                                                >
-                                                    Buy Ticket (1 GOR)
-                                                </button>
-                                                <button
-                                                    onClick={() => handleTip(profileViewAddress, 10)}
-                                                    className="bg-yellow-500 text-white py-2 px-4 rounded-md hover:bg-yellow-600 transition-colors duration-200 shadow-md"
-                                                    disabled={!connected}
-                                                >
-                                                    Tip 10 GOR
-                                                </button>
-                                            </>
-                                        )}
+                        </li>
+                        <li>
+                            <button
+                                onClick={() => setCurrentPage('settings')}
+                                className={`flex items-center space-x-3 p-3 rounded-lg w-full text-left transition-colors duration-200 ${currentPage === 'settings' ? 'bg-green-100 text-green-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24"><path d="M19.43 12.98c.04-.32.07-.64.07-.98s-.03-.66-.07-.98l2.11-1.65c.19-.15.24-.42.12-.64l-2-3.46c-.12-.22-.39-.3-.61-.22l-2.49 1c-.52-.4-1.09-.75-1.71-1.02L14.3 2.5c-.05-.24-.27-.42-.5-.42h-4c-.23 0-.45.18-.5.42L8.03 5.09c-.62.27-1.19.62-1.71 1.02l-2.49-1c-.22-.08-.49 0-.61.22l-2 3.46c-.12.22-.07.49.12.64l2.11 1.65c-.04.32-.07.64-.07.98s.03.66.07.98l-2.11 1.65c-.19.15-.24.42-.12.64l2 3.46c.12.22.39.3.61.22l2.49-1c.52.4 1.09.75 1.71 1.02l.34 2.59c.05.24.27.42.5.42h4c.23 0 .45-.18.5-.42l.34-2.59c.62-.27 1.19-.62 1.71-1.02l2.49 1c.22.08.49 0 .61-.22l2-3.46c.12-.22.07-.49-.12-.64l-2.11-1.65zM12 15.5c-1.93 0-3.5-1.57-3.5-3.5s1.57-3.5 3.5-3.5 3.5 1.57 3.5 3.5-1.57 3.5-3.5 3.5z"/></svg>
+                                <span className="hidden md:inline">Settings</span>
+                            </button>
+                        </li>
+                    </ul>
+                </nav>
+
+                {/* Main Content Area */}
+                <main className="flex-grow md:ml-64 pb-20 md:pb-0">
+                    {currentPage === 'home' && (
+                        <div className="p-6">
+                             {!connected && (
+                                <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-6 rounded-lg shadow-md" role="alert">
+                                    <p className="font-bold">Connect Your Wallet!</p>
+                                    <p>To post, like, comment, and interact fully, please connect your Web3 wallet (e.g., Backpack, Phantom).</p>
+                                    <div className="mt-3">
+                                        <WalletMultiButton />
                                     </div>
                                 </div>
-                            </div>
-                        </div>
-
-                        <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200">
-                            <div className="flex border-b border-gray-200 mb-4">
+                            )}
+                             {connected && !currentWalletAddress && (
+                                <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-6 rounded-lg shadow-md" role="alert">
+                                    <p className="font-bold">Sign In With Your Wallet</p>
+                                    <p>Sign a message with your wallet to prove it's yours. It's free and doesn't send a transaction.</p>
+                                    <button
+                                        onClick={handleSignIn}
+                                        className="mt-3 bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        disabled={isSigningIn}
+                                    >
+                                        {isSigningIn ? 'Waiting for your wallet...' : '✍️ Sign In'}
+                                    </button>
+                                </div>
+                            )}
+                            <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <EntityAutocompleteInput
+                                    as="textarea"
+                                    wrapperClassName="mb-3"
+                                    className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-400 resize-none"
+                                    rows="3"
+                                    placeholder="What's happening?"
+                                    value={newPostContent}
+                                    onValueChange={setNewPostContent}
+                                    disabled={!connected}
+                                />
+                                <AttachmentDrafts
+                                    drafts={attachmentDrafts}
+                                    onMove={handleMoveAttachment}
+                                    onRemove={handleRemoveAttachment}
+                                    disabled={isPosting}
+                                />
+                                <div className="flex items-center justify-between mb-3">
+                                    <label className={`text-green-700 font-semibold ${!connected || isPosting || isPreparingAttachments ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:text-green-800'}`}>
+                                        🖼️ Add photos or video
+                                        <input
+                                            type="file"
+                                            accept={[...IMAGE_TYPES, ...VIDEO_TYPES].join(',')}
+                                            multiple
+                                            onChange={(e) => {
+                                                handleAttachmentFiles(e.target.files);
+                                                e.target.value = ''; // Allow picking the same file again after removing it
+                                            }}
+                                            className="hidden"
+                                            disabled={!connected || isPosting || isPreparingAttachments}
+                                        />
+                                    </label>
+                                    <span className="text-sm text-gray-500">
+                                        {isPreparingAttachments ? 'Processing...' : `Up to ${MAX_POST_IMAGES} images or one video (${MAX_VIDEO_SECONDS}s)`}
+                                    </span>
+                                </div>
                                 <button
-                                    onClick={() => setProfileActiveTab('posts')}
-                                    className={`flex-1 py-3 text-lg font-semibold transition-colors duration-200 ${profileActiveTab === 'posts' ? 'text-green-700 border-b-2 border-green-700' : 'text-gray-500 hover:text-gray-700'}`}
+                                    onClick={handlePost}
+                                    className="w-full bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    disabled={!connected || isPosting || isPreparingAttachments}
                                 >
-                                    Posts ({userPosts.length})
+                                    {isPosting ? 'Posting...' : 'Post'}
                                 </button>
+                            </div>
+                            <div className="flex bg-white rounded-lg shadow-md mb-6 border border-gray-200">
+                                {['following', 'global'].map(tab => (
+                                    <button
+                                        key={tab}
+                                        onClick={() => setHomeFeedTab(tab)}
+                                        className={`flex-1 py-3 text-lg font-semibold transition-colors duration-200 ${homeFeedTab === tab ? 'text-green-700 border-b-2 border-green-700' : 'text-gray-500 hover:text-gray-700'}`}
+                                    >
+                                        {tab === 'following' ? 'Following' : 'Global'}
+                                    </button>
+                                ))}
+                            </div>
+                            {visiblePendingHomeItems.length > 0 && (
                                 <button
-                                    onClick={() => setProfileActiveTab('reposts')}
-                                    className={`flex-1 py-3 text-lg font-semibold transition-colors duration-200 ${profileActiveTab === 'reposts' ? 'text-green-700 border-b-2 border-green-700' : 'text-gray-500 hover:text-gray-700'}`}
+                                    onClick={showPendingHomeItems}
+                                    className="sticky top-4 z-30 block mx-auto mb-4 bg-green-500 text-white px-4 py-2 rounded-full shadow-lg hover:bg-green-600 transition-colors duration-200"
                                 >
-                                    Reposts ({userReposts.length})
+                                    Show {visiblePendingHomeItems.length} new post{visiblePendingHomeItems.length !== 1 ? 's' : ''}
                                 </button>
-                            </div>
-
-                            {contentToDisplay.length > 0 ? (
-                                contentToDisplay.map(post => (
-                                    <Post
-                                        key={post.id + (post.type === 'repost' ? '-repost' : '')}
-                                        post={post}
-                                        onLike={handleLike}
-                                        onComment={handleComment}
-                                        onRepost={handleRepost}
-                                        onProfileClick={handleProfileClick}
-                                        currentWalletAddress={currentWalletAddress}
-                                        onTipPost={handleTip}
-                                        isRepostedByCurrentUser={post.type === 'repost' && profileViewAddress === currentWalletAddress}
+                            )}
+                            {homeFeedTab === 'following' && !currentWalletAddress ? (
+                                <p className="text-center text-gray-500">Connect your wallet to see posts from people you follow.</p>
+                            ) : visibleHomeItems.length > 0 ? (
+                                <>
+                                    {visibleHomeItems.map(item => (
+                                        <Post
+                                            key={item.key}
+                                            post={item.post}
+                                            onLike={handleLike}
+                                            onComment={handleComment}
+                                            onEditComment={handleEditComment}
+                                            onDeleteComment={handleDeleteComment}
+                                            onEditPost={handleEditPost}
+                                            onDeletePost={handleDeletePost}
+                                            onRepost={handleRepost}
+                                            onQuotePost={handleQuotePost}
+                                            onProfileClick={handleProfileClick}
+                                            currentWalletAddress={currentWalletAddress}
+                                            onTipPost={handleTip}
+                                            onPreviewTip={previewGorTransfer}
+                                            gorDecimals={gorDecimals}
+                                            isHiddenPost={isHiddenPost}
+                                            isHiddenComment={isHiddenComment}
+                                            isRepostedByCurrentUser={!!item.repostedBy && item.repostedBy === currentWalletAddress}
+                                            repostedByName={item.repostedBy ? allUsers[item.repostedBy]?.username || 'Someone' : null}
+                                        />
+                                    ))}
+                                    <InfiniteScrollSentinel
+                                        onVisible={activeHomeFeed.loadMore}
+                                        hasMore={activeHomeFeed.hasMore}
+                                        isLoading={activeHomeFeed.isLoading}
                                     />
-                                ))
+                                </>
+                            ) : activeHomeFeed.isLoading ? (
+                                <p className="text-center text-gray-500">Loading posts...</p>
+                            ) : homeFeedTab === 'following' ? (
+                                <p className="text-center text-gray-500">Nothing here yet. Follow some builders to fill your timeline!</p>
                             ) : (
-                                <p className="text-center text-gray-500 py-4">
-                                    {profileActiveTab === 'posts' ? 'No posts yet.' : 'No reposts yet.'}
-                                </p>
+                                <p className="text-center text-gray-500">No posts yet. Be the first to share something!</p>
                             )}
                         </div>
-                        {showProfileEditModal && (
-                            <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-                                <div className="bg-white p-6 rounded-lg shadow-lg w-96">
-                                    <h3 className="text-xl font-bold mb-4">Edit Profile</h3>
-                                    <div className="mb-4">
-                                        <label htmlFor="username" className="block text-gray-700 text-sm font-bold mb-2">Username:</label>
-                                        <input
-                                            type="text"
-                                            id="username"
-                                            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:ring-2 focus:ring-green-400"
-                                            value={profileEditData.username}
-                                            onChange={(e) => setProfileEditData({ ...profileEditData, username: e.target.value })}
-                                        />
-                                    </div>
-                                    <div className="mb-4">
-                                        <label htmlFor="bio" className="block text-gray-700 text-sm font-bold mb-2">Bio:</label>
-                                        <textarea
-                                            id="bio"
-                                            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:ring-2 focus:ring-green-400 resize-none"
-                                            rows="3"
-                                            value={profileEditData.bio}
-                                            onChange={(e) => setProfileEditData({ ...profileEditData, bio: e.target.value })}
-                                        ></textarea>
+                    )}
+                    {currentPage === 'profile' && (
+                        <div className="p-6">
+                            <div className="bg-white rounded-lg shadow-md mb-6 border border-gray-200 overflow-hidden">
+                                {allUsers[profileViewAddress]?.banner_url ? (
+                                    <img src={allUsers[profileViewAddress].banner_url} alt="" className="w-full h-40 object-cover" />
+                                ) : (
+                                    <div className="w-full h-24 bg-gradient-to-r from-green-200 to-green-400" />
+                                )}
+                                <div className="flex flex-col md:flex-row items-center md:items-start p-6 pb-2">
+                                    <Avatar profile={allUsers[profileViewAddress]} className="w-28 h-28 text-5xl mr-0 md:mr-6 mb-4 md:mb-0 border-4 border-green-400 -mt-16" />
+                                    <div className="text-center md:text-left flex-grow">
+                                        <h2 className="text-3xl font-bold text-gray-800 mb-1">{allUsers[profileViewAddress]?.username || 'Anonymous'}</h2>
+                                        {viewedUsername && <a href={profileHash(viewedUsername)} className="block text-sm text-gray-500 mb-2 hover:underline">@{viewedUsername}</a>}
+                                        <p className="text-gray-600 text-md mb-3">{allUsers[profileViewAddress]?.bio || 'No bio yet.'}</p>
+                                        {profileLinks(allUsers[profileViewAddress]).length > 0 && (
+                                            <div className="flex flex-wrap justify-center md:justify-start gap-x-4 gap-y-1 text-sm mb-3">
+                                                {profileLinks(allUsers[profileViewAddress]).map(link => (
+                                                    <a key={link.id} href={link.href} target="_blank" rel="noopener noreferrer nofollow" className="text-green-600 hover:underline">{link.label}</a>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {(allUsers[profileViewAddress]?.nft_avatar || profileBadges.holdsGor || profileBadges.ticketSubjects.length > 0) && (
+                                            <div className="flex flex-wrap justify-center md:justify-start gap-2 mb-3 text-xs">
+                                                {allUsers[profileViewAddress]?.nft_avatar && (
+                                                    <span
+                                                        className="px-2 py-1 rounded-full bg-purple-100 text-purple-700"
+                                                        title={`Mint ${allUsers[profileViewAddress].nft_avatar.mint}, verified ${new Date(allUsers[profileViewAddress].nft_avatar.verified_at).toLocaleDateString()}`}
+                                                    >
+                                                        ✓ NFT avatar{allUsers[profileViewAddress].nft_avatar.name ? `: ${allUsers[profileViewAddress].nft_avatar.name}` : ''}
+                                                    </span>
+                                                )}
+                                                {profileBadges.holdsGor && (
+                                                    <span className="px-2 py-1 rounded-full bg-green-100 text-green-700">GOR holder</span>
+                                                )}
+                                                {profileBadges.ticketSubjects.slice(0, MAX_TICKET_BADGES).map(subjectAddress => (
+                                                    <button
+                                                        key={subjectAddress}
+                                                        onClick={() => handleProfileClick(subjectAddress)}
+                                                        className="px-2 py-1 rounded-full bg-blue-100 text-blue-700 hover:bg-blue-200"
+                                                    >
+                                                        Ticket holder of {allUsers[subjectAddress]?.username || `${subjectAddress.substring(0, 4)}...`}
+                                                    </button>
+                                                ))}
+                                                {profileBadges.ticketSubjects.length > MAX_TICKET_BADGES && (
+                                                    <span className="px-2 py-1 rounded-full bg-blue-50 text-blue-600">
+                                                        +{profileBadges.ticketSubjects.length - MAX_TICKET_BADGES} more tickets
+                                                    </span>
+                                                )}
+                                            </div>
+                                        )}
+                                        <p className="text-sm text-gray-500 mb-4">Wallet Address: <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded inline-block">{profileViewAddress?.substring(0, 7)}...{profileViewAddress?.substring(profileViewAddress.length - 4)}</span></p>
+
+                                        <div className="flex flex-wrap justify-center md:justify-start space-x-6 text-lg mb-4">
+                                            <button onClick={() => openFollowList('followers')} className="text-gray-700 hover:underline">Followers: <span className="font-semibold text-green-600">{allUsers[profileViewAddress]?.followers?.length || 0}</span></button>
+                                            <button onClick={() => openFollowList('following')} className="text-gray-700 hover:underline">Following: <span className="font-semibold text-blue-600">{allUsers[profileViewAddress]?.following?.length || 0}</span></button>
+                                            <p className="text-gray-700">Tickets: <span className="font-semibold text-purple-600">{ticketSupply[profileViewAddress] || 0}</span></p>
+                                        </div>
+                                        {profileViewAddress !== currentWalletAddress && currentUserProfile?.followers?.includes(profileViewAddress) && (
+                                            <p className="text-sm text-gray-500 mb-2">
+                                                <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                                                    {currentUserProfile.following?.includes(profileViewAddress) ? 'You follow each other' : 'Follows you'}
+                                                </span>
+                                            </p>
+                                        )}
+                                        {knownFollowers.length > 0 && (
+                                            <button onClick={() => openFollowList('known')} className="text-sm text-gray-500 mb-2 hover:underline text-left">
+                                                Followed by {knownFollowers.slice(0, 2).map(address => allUsers[address]?.username || 'Anonymous').join(', ')}
+                                                {knownFollowers.length > 2 && ` and ${knownFollowers.length - 2} other${knownFollowers.length - 2 !== 1 ? 's' : ''} you follow`}
+                                            </button>
+                                        )}
+
+                                        <div className="flex flex-wrap justify-center md:justify-start space-x-3 mt-4 gap-2">
+                                            {profileViewAddress === currentWalletAddress ? (
+                                                <button
+                                                    onClick={() => setShowProfileEditModal(true)}
+                                                    className="bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-colors duration-200 shadow-md"
+                                                >
+                                                    Edit Profile
+                                                </button>
+                                            ) : (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleFollowToggle(profileViewAddress)}
+                                                        className={`py-2 px-4 rounded-md transition-colors duration-200 shadow-md ${currentUserProfile?.following?.includes(profileViewAddress) ? 'bg-gray-300 text-gray-800 hover:bg-gray-400' : 'bg-green-500 text-white hover:bg-green-600'}`}
+                                                        disabled={!connected}
+                                                    >
+                                                        {currentUserProfile?.following?.includes(profileViewAddress) ? 'Unfollow' : 'Follow'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => (mutedAddresses.includes(profileViewAddress) ? handleUnmute(profileViewAddress) : handleMute(profileViewAddress))}
+                                                        className="bg-gray-200 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-300 transition-colors duration-200 shadow-md"
+                                                        disabled={!connected}
+                                                    >
+                                                        {mutedAddresses.includes(profileViewAddress) ? 'Unmute' : 'Mute'}
+                                                    </button>
+                                                    {blockedAddresses.includes(profileViewAddress) ? (
+                                                        <button
+                                                            onClick={() => handleUnblock(profileViewAddress)}
+                                                            className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200 shadow-md"
+                                                            disabled={!connected}
+                                                        >
+                                                            Unblock
+                                                        </button>
+                                                    ) : (
+                                                        <button
+                                                            onClick={() => handleBlock(profileViewAddress)}
+                                                            className="bg-red-500 text-white py-2 px-4 rounded-md hover:bg-red-600 transition-colors duration-200 shadow-md"
+                                                            disabled={!connected}
+                                                        >
+                                                            Block
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setShowBuyTicketModal(true)}
+                                                        className="bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                                                        disabled={!connected || isTransactionInFlight}
+                                                    >
+                                                        Buy Ticket
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setShowProfileTipModal(true)}
+                                                        className="bg-yellow-500 text-white py-2 px-4 rounded-md hover:bg-yellow-600 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                                                        disabled={!connected || isTransactionInFlight}
+                                                    >
+                                                        Tip 10 GOR
+                                                    </button>
+                                                </>
+                                            )}
+                                        </div>
                                     </div>
-                                    <div className="flex justify-end space-x-3">
+                                </div>
+                            </div>
+
+                            <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <div className="flex border-b border-gray-200 mb-4">
+                                    {PROFILE_TABS.map(tab => (
                                         <button
-                                            onClick={() => setShowProfileEditModal(false)}
-                                            className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                                            key={tab.id}
+                                            onClick={() => setProfileActiveTab(tab.id)}
+                                            className={`flex-1 py-3 text-lg font-semibold transition-colors duration-200 ${activeProfileTab.id === tab.id ? 'text-green-700 border-b-2 border-green-700' : 'text-gray-500 hover:text-gray-700'}`}
                                         >
-                                            Cancel
+                                            {tab.label}
                                         </button>
+                                    ))}
+                                </div>
+
+                                {visibleProfileItems.length > 0 ? (
+                                    <>
+                                        {visibleProfileItems.map(item => (
+                                            <Post
+                                                key={item.key}
+                                                post={item.post}
+                                                onLike={handleLike}
+                                                onComment={handleComment}
+                                                onEditComment={handleEditComment}
+                                                onDeleteComment={handleDeleteComment}
+                                                onEditPost={handleEditPost}
+                                                onDeletePost={handleDeletePost}
+                                                onRepost={handleRepost}
+                                                onQuotePost={handleQuotePost}
+                                                onProfileClick={handleProfileClick}
+                                                currentWalletAddress={currentWalletAddress}
+                                                onTipPost={handleTip}
+                                                onPreviewTip={previewGorTransfer}
+                                                gorDecimals={gorDecimals}
+                                                isHiddenPost={isHiddenPost}
+                                                isHiddenComment={isHiddenComment}
+                                                isRepostedByCurrentUser={!!item.repostedBy && item.repostedBy === currentWalletAddress}
+                                                repostedByName={item.repostedBy ? allUsers[item.repostedBy]?.username || 'Someone' : null}
+                                            />
+                                        ))}
+                                        <InfiniteScrollSentinel
+                                            onVisible={profileFeed.loadMore}
+                                            hasMore={profileFeed.hasMore}
+                                            isLoading={profileFeed.isLoading}
+                                            endLabel={null}
+                                        />
+                                    </>
+                                ) : (
+                                    <p className="text-center text-gray-500 py-4">
+                                        {profileFeed.isLoading ? 'Loading posts...' : activeProfileTab.emptyLabel}
+                                    </p>
+                                )}
+                            </div>
+                            <TipModal
+                                isOpen={showProfileTipModal}
+                                onClose={() => setShowProfileTipModal(false)}
+                                onTipConfirm={(amount) => {
+                                    handleTip(profileViewAddress, amount);
+                                    setShowProfileTipModal(false);
+                                }}
+                                onPreview={handleProfileTipPreview}
+                                username={allUsers[profileViewAddress]?.username || 'this user'}
+                                decimals={gorDecimals}
+                                defaultAmount="10"
+                            />
+                            <BuyTicketModal
+                                isOpen={showBuyTicketModal}
+                                onClose={() => setShowBuyTicketModal(false)}
+                                onConfirm={(ticketPrice) => {
+                                    handleBuyTicket(profileViewAddress, ticketPrice);
+                                    setShowBuyTicketModal(false);
+                                }}
+                                onPreview={handleBuyTicketPreview}
+                                username={allUsers[profileViewAddress]?.username || 'this user'}
+                            />
+                            {showProfileEditModal && (
+                                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+                                    <div className="bg-white p-6 rounded-lg shadow-lg w-96 max-h-[90vh] overflow-y-auto">
+                                        <h3 className="text-xl font-bold mb-4">Edit Profile</h3>
+                                        <div className="mb-4">
+                                            <label htmlFor="username" className="block text-gray-700 text-sm font-bold mb-2">Username:</label>
+                                            <input
+                                                type="text"
+                                                id="username"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:ring-2 focus:ring-green-400"
+                                                value={profileEditData.username}
+                                                onChange={(e) => setProfileEditData({ ...profileEditData, username: e.target.value })}
+                                                maxLength={20}
+                                            />
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                3-20 letters, numbers or underscores. Your profile link is {profileHash(profileEditData.username || 'handle')}.
+                                                {nextUsernameChangeAt(currentUserProfile) && ` You can change it again on ${nextUsernameChangeAt(currentUserProfile).toLocaleDateString()}.`}
+                                            </p>
+                                        </div>
+                                        <div className="mb-4">
+                                            <label htmlFor="bio" className="block text-gray-700 text-sm font-bold mb-2">Bio:</label>
+                                            <textarea
+                                                id="bio"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:ring-2 focus:ring-green-400 resize-none"
+                                                rows="3"
+                                                value={profileEditData.bio}
+                                                onChange={(e) => setProfileEditData({ ...profileEditData, bio: e.target.value })}
+                                            ></textarea>
+                                        </div>
+                                        {PROFILE_LINK_FIELDS.map(field => (
+                                            <div key={field.id} className="mb-4">
+                                                <label htmlFor={field.id} className="block text-gray-700 text-sm font-bold mb-2">{field.label}:</label>
+                                                <input
+                                                    type="text"
+                                                    id={field.id}
+                                                    placeholder={field.placeholder}
+                                                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:ring-2 focus:ring-green-400"
+                                                    value={profileEditData[field.id]}
+                                                    onChange={(e) => setProfileEditData({ ...profileEditData, [field.id]: e.target.value })}
+                                                />
+                                            </div>
+                                        ))}
+                                        {['avatar', 'banner'].map(kind => (
+                                            <div key={kind} className="mb-4">
+                                                <label htmlFor={`${kind}-image`} className="block text-gray-700 text-sm font-bold mb-2">{kind === 'avatar' ? 'Avatar' : 'Banner'} image:</label>
+                                                <input
+                                                    type="file"
+                                                    id={`${kind}-image`}
+                                                    accept={IMAGE_TYPES.join(',')}
+                                                    onChange={(e) => setProfileImageFiles(prev => ({ ...prev, [kind]: e.target.files[0] || null }))}
+                                                    className="w-full text-sm"
+                                                />
+                                            </div>
+                                        ))}
+                                        <div className="mb-4">
+                                            <p className="block text-gray-700 text-sm font-bold mb-2">NFT avatar:</p>
+                                            {currentUserProfile?.nft_avatar ? (
+                                                <div className="flex items-center justify-between text-sm">
+                                                    <span className="text-gray-600 truncate">{currentUserProfile.nft_avatar.name || currentUserProfile.nft_avatar.mint}</span>
+                                                    <button onClick={() => handleSetNftAvatar(null)} className="text-red-500 hover:underline ml-2" disabled={isUpdatingNftAvatar}>Remove</button>
+                                                </div>
+                                            ) : walletNftMints === null ? (
+                                                <button onClick={handleLoadWalletNfts} className="text-green-600 text-sm hover:underline" disabled={!publicKey}>
+                                                    Choose an NFT from your wallet
+                                                </button>
+                                            ) : walletNftMints.length === 0 ? (
+                                                <p className="text-sm text-gray-500">No NFTs found in your wallet on {cluster.label}.</p>
+                                            ) : (
+                                                <ul className="max-h-32 overflow-y-auto text-sm space-y-1">
+                                                    {walletNftMints.map(mint => (
+                                                        <li key={mint} className="flex items-center justify-between">
+                                                            <span className="font-mono text-xs text-gray-600">{mint.substring(0, 6)}...{mint.substring(mint.length - 6)}</span>
+                                                            <button onClick={() => handleSetNftAvatar(mint)} className="text-green-600 hover:underline disabled:opacity-50" disabled={isUpdatingNftAvatar}>
+                                                                {isUpdatingNftAvatar ? 'Verifying...' : 'Use'}
+                                                            </button>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </div>
+                                        <div className="flex justify-end space-x-3">
+                                            <button
+                                                onClick={() => {
+                                                    setProfileImageFiles({ avatar: null, banner: null });
+                                                    setShowProfileEditModal(false);
+                                                }}
+                                                className="bg-gray-300 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                                            >
+                                                Cancel
+                                            </button>
+                                            <button
+                                                onClick={handleSaveProfile}
+                                                className="bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                disabled={isSavingProfile}
+                                            >
+                                                {isSavingProfile ? 'Saving...' : 'Save Changes'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {currentPage === 'follows' && (
+                        <div className="p-6">
+                            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
+                                <div className="flex items-center mb-4">
+                                    <button onClick={() => setCurrentPage('profile')} className="text-green-600 hover:underline mr-3">← Back</button>
+                                    <h2 className="text-2xl font-bold text-gray-800">{allUsers[profileViewAddress]?.username || 'Anonymous'}</h2>
+                                </div>
+                                <div className="flex border-b border-gray-200 mb-2">
+                                    {FOLLOW_LISTS.filter(list => list.id !== 'known' || (currentWalletAddress && profileViewAddress !== currentWalletAddress)).map(list => (
                                         <button
-                                            onClick={handleSaveProfile}
-                                            className="bg-green-500 text-white py-2 px-4 rounded-md hover:bg-green-600 transition-colors duration-200"
+                                            key={list.id}
+                                            onClick={() => setFollowListTab(list.id)}
+                                            className={`flex-1 py-3 text-lg font-semibold transition-colors duration-200 ${activeFollowList.id === list.id ? 'text-green-700 border-b-2 border-green-700' : 'text-gray-500 hover:text-gray-700'}`}
                                         >
-                                            Save Changes
+                                            {list.label}
                                         </button>
-                                    </div>
+                                    ))}
                                 </div>
+                                {followListFeed.items.length > 0 ? (
+                                    <>
+                                        <ul>
+                                            {followListFeed.items.filter(item => !isBlockedAddress(item.address)).map(item => (
+                                                <FollowListItem
+                                                    key={item.key}
+                                                    address={item.address}
+                                                    profile={allUsers[item.address]}
+                                                    currentWalletAddress={currentWalletAddress}
+                                                    currentUserProfile={currentUserProfile}
+                                                    onProfileClick={handleProfileClick}
+                                                    onFollowToggle={handleFollowToggle}
+                                                />
+                                            ))}
+                                        </ul>
+                                        <InfiniteScrollSentinel
+                                            onVisible={followListFeed.loadMore}
+                                            hasMore={followListFeed.hasMore}
+                                            isLoading={followListFeed.isLoading}
+                                            loadingLabel="Loading more..."
+                                            endLabel={null}
+                                        />
+                                    </>
+                                ) : (
+                                    <p className="text-center text-gray-500 py-4">
+                                        {followListFeed.isLoading ? 'Loading...' : activeFollowList.emptyLabel}
+                                    </p>
+                                )}
                             </div>
-                        )}
-                    </div>
-                )}
-                {currentPage === 'wallet' && (
-                    <div className="min-h-screen bg-gray-100 font-sans text-gray-900">
-                        <header className="flex justify-between items-center px-6 py-4 bg-white shadow-md">
-                            <div>
-                                <h1 className="text-xl font-bold text-[#0A7740]">GOR Wallet</h1>
-                                <p className="text-sm text-gray-500">Connected: GOR Chain ✅</p>
-                            </div>
-                            <div className="flex items-center space-x-4">
-                                {connected && publicKey ? (
-                                     <span className="bg-green-600 text-white px-3 py-1 rounded-full truncate max-w-[100px] sm:max-w-none">
-                                         {publicKey.toBase58().substring(0, 7)}...{publicKey.toBase58().substring(publicKey.toBase58().length - 4)}
-                                     </span>
+                        </div>
+                    )}
+                    {currentPage === 'tag' && activeHashtag && (
+                        <div className="p-6">
+                            <h2 className="text-2xl font-bold text-gray-800 mb-4">#{activeHashtag}</h2>
+                            {visibleTagItems.length > 0 ? (
+                                <>
+                                    {visibleTagItems.map(item => (
+                                        <Post
+                                            key={item.key}
+                                            post={item.post}
+                                            onLike={handleLike}
+                                            onComment={handleComment}
+                                            onEditComment={handleEditComment}
+                                            onDeleteComment={handleDeleteComment}
+                                            onEditPost={handleEditPost}
+                                            onDeletePost={handleDeletePost}
+                                            onRepost={handleRepost}
+                                            onQuotePost={handleQuotePost}
+                                            onProfileClick={handleProfileClick}
+                                            currentWalletAddress={currentWalletAddress}
+                                            onTipPost={handleTip}
+                                            onPreviewTip={previewGorTransfer}
+                                            gorDecimals={gorDecimals}
+                                            isHiddenPost={isHiddenPost}
+                                            isHiddenComment={isHiddenComment}
+                                        />
+                                    ))}
+                                    <InfiniteScrollSentinel
+                                        onVisible={tagFeed.loadMore}
+                                        hasMore={tagFeed.hasMore}
+                                        isLoading={tagFeed.isLoading}
+                                    />
+                                </>
+                            ) : (
+                                <p className="text-center text-gray-500">
+                                    {tagFeed.isLoading ? 'Loading posts...' : `No posts tagged #${activeHashtag} yet.`}
+                                </p>
+                            )}
+                        </div>
+                    )}
+                    {currentPage === 'wallet' && (
+                        <div className="min-h-screen bg-gray-100 font-sans text-gray-900">
+                            <header className="flex justify-between items-center px-6 py-4 bg-white shadow-md">
+                                <div>
+                                    <h1 className="text-xl font-bold text-[#0A7740]">GOR Wallet</h1>
+                                    <p className="text-sm text-gray-500">
+                                        {cluster.label} · <span className={CLUSTER_HEALTH_LABELS[clusterHealth.status].className}>{CLUSTER_HEALTH_LABELS[clusterHealth.status].text}</span>
+                                    </p>
+                                </div>
+                                <div className="flex items-center space-x-4">
+                                    {connected && publicKey ? (
+                                         <span className="bg-green-600 text-white px-3 py-1 rounded-full truncate max-w-[100px] sm:max-w-none">
+                                             {publicKey.toBase58().substring(0, 7)}...{publicKey.toBase58().substring(publicKey.toBase58().length - 4)}
+                                         </span>
+                                    ) : (
+                                        <WalletMultiButton />
+                                    )}
+                                    <button
+                                        onClick={() => setCurrentPage('notifications')}
+                                        className="relative text-xl text-gray-700 hover:text-green-700 transition-colors duration-200"
+                                    >
+                                        🔔
+                                        {visibleNotifications.filter(n => !n.read).length > 0 && (
+                                            <span className="absolute -top-1 -right-1 w-4 h-4 bg-green-500 rounded-full flex items-center justify-center text-white text-xs animate-ping-once">
+                                                {visibleNotifications.filter(n => !n.read).length}
+                                            </span>
+                                        )}
+                                    </button>
+                                </div>
+                            </header>
+
+                            <section className="max-w-4xl mx-auto mt-6 px-6">
+                                <div className="bg-white p-6 rounded-lg shadow-lg mb-6 border border-green-300">
+                                    <h2 className="text-lg font-semibold text-[#0A7740] mb-2">Main Balance</h2>
+                                    <p className="text-4xl font-bold text-[#1C1C1E]">{gorBalance === null ? '—' : gorBalance.toFixed(3)} GOR</p>
+                                    <p className="text-sm text-gray-500">Approx. ${((gorBalance || 0) * 0.8).toFixed(2)}</p>
+                                    <p className="text-xs text-gray-400 mt-1">Read live from your GOR token account on-chain.</p>
+                                    <div className="mt-4 space-x-2">
+                                        <button onClick={() => setShowDepositModal(true)} className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected}>+ Add GOR</button>
+                                        <button onClick={() => setShowWithdrawModal(true)} className="bg-white border border-green-600 text-green-600 px-4 py-2 rounded-md hover:bg-green-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected || isTransactionInFlight}>Withdraw</button>
+                                    </div>
+                                </div>
+                                <DepositModal
+                                    isOpen={showDepositModal && !!gorTokenAccount}
+                                    onClose={() => setShowDepositModal(false)}
+                                    walletAddress={currentWalletAddress}
+                                    tokenAccountAddress={gorTokenAccount?.toBase58()}
+                                    rawBalance={rawGorBalance}
+                                    decimals={gorDecimals}
+                                    onDepositDetected={handleDepositDetected}
+                                />
+                                <WithdrawModal
+                                    isOpen={showWithdrawModal}
+                                    onClose={() => setShowWithdrawModal(false)}
+                                    onConfirm={(recipientAddress, amount) => {
+                                        handleWithdraw(recipientAddress, amount);
+                                        setShowWithdrawModal(false);
+                                    }}
+                                    onPreview={previewGorTransfer}
+                                    ownAddress={currentWalletAddress}
+                                    rawBalance={rawGorBalance}
+                                    decimals={gorDecimals}
+                                />
+
+                                <div className="bg-white p-6 rounded-lg shadow-lg mb-6 border border-green-300">
+                                    <h2 className="text-lg font-semibold text-[#0A7740] mb-4">🎟️ Tickets You Hold</h2>
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        {ticketHoldings.length > 0 ? (
+                                            ticketHoldings.map(({ subject_address: subjectAddress, count }) => {
+                                                const username = allUsers[subjectAddress]?.username;
+                                                return (
+                                                    <div key={subjectAddress} className="p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow duration-200">
+                                                        <div className="flex items-center space-x-3">
+                                                            <Avatar profile={allUsers[subjectAddress]} className="w-10 h-10 text-lg" />
+                                                            <div>
+                                                                <p className="font-medium text-gray-800">@{username || 'Unknown User'}</p>
+                                                                <p className="text-sm text-gray-500">{count} Ticket{count !== 1 ? 's' : ''}</p>
+                                                            </div>
+                                                        </div>
+                                                        <div className="mt-2 flex space-x-2">
+                                                            <button onClick={() => handleProfileClick(subjectAddress)} className="text-green-600 text-sm hover:underline">👀 View Profile</button>
+                                                            <button onClick={() => handleSellTicket(subjectAddress)} className="text-red-500 text-sm hover:underline disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected}>🗑 Sell</button>
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })
+                                        ) : (
+                                            <p className="col-span-full text-center text-gray-500">You don't hold any tickets yet.</p>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {currentWalletAddress ? (
+                                    <TransactionHistory
+                                        walletAddress={currentWalletAddress}
+                                        decimals={gorDecimals}
+                                        allUsers={allUsers}
+                                        onProfileClick={handleProfileClick}
+                                    />
                                 ) : (
-                                    <WalletMultiButton />
+                                    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-300 text-center text-gray-500">
+                                        Connect your wallet to see your transaction history.
+                                    </div>
                                 )}
+                            </section>
+                        </div>
+                    )}
+                    {currentPage === 'notifications' && (
+                        <div className="p-6">
+                            <h2 className="text-2xl font-bold text-gray-800 mb-4">Notifications</h2>
+                            {visibleNotifications.length > 0 ? (
+                                visibleNotifications.map(notification => (
+                                    <div
+                                        key={notification.id}
+                                        className={`bg-white p-4 rounded-lg shadow-md mb-3 border border-gray-200 cursor-pointer transition-all duration-200 ${notification.read ? 'opacity-70' : 'bg-green-50 hover:bg-green-100'}`}
+                                        onClick={() => handleMarkNotificationRead(notification.id)}
+                                    >
+                                        <p className="text-gray-800">{notification.message}</p>
+                                        <p className="text-sm text-gray-500">{new Date(notification.created_at).toLocaleString()}</p>
+                                    </div>
+                                ))
+                            ) : (
+                                <p className="text-center text-gray-500">No new notifications.</p>
+                            )}
+                        </div>
+                    )}
+                    {currentPage === 'search' && (
+                        <div className="p-6">
+                            <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200 flex">
+                                <input
+                                    type="text"
+                                    placeholder="Search posts or users..."
+                                    className="flex-grow p-3 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    onKeyPress={(e) => { if (e.key === 'Enter') handleSearch(); }}
+                                />
                                 <button
-                                    onClick={() => setCurrentPage('notifications')}
-                                    className="relative text-xl text-gray-700 hover:text-green-700 transition-colors duration-200"
+                                    onClick={() => {
+                                        if (searchTerm.trim() === '') {
+                                            // No specific search function needed here as filtering is client-side
+                                        } else {
+                                            // Trigger re-render of filtered posts
+                                            setSearchTerm(searchTerm.trim());
+                                        }
+                                    }}
+                                    className="bg-green-500 text-white px-6 py-3 rounded-r-md hover:bg-green-600 transition-colors duration-200"
                                 >
-                                    🔔
-                                    {notifications.filter(n => !n.read).length > 0 && (
-                                        <span className="absolute -top-1 -right-1 w-4 h-4 bg-green-500 rounded-full flex items-center justify-center text-white text-xs animate-ping-once">
-                                            {notifications.filter(n => !n.read).length}
-                                        </span>
-                                    )}
+                                    Search
                                 </button>
                             </div>
-                        </header>
-
-                        <section className="max-w-4xl mx-auto mt-6 px-6">
-                            <div className="bg-white p-6 rounded-lg shadow-lg mb-6 border border-green-300">
-                                <h2 className="text-lg font-semibold text-[#0A7740] mb-2">Main Balance</h2>
-                                <p className="text-4xl font-bold text-[#1C1C1E]">{walletData.gor_balance.toFixed(3)} GOR</p>
-                                <p className="text-sm text-gray-500">Approx. ${(walletData.gor_balance * 0.8).toFixed(2)}</p>
-                                <div className="mt-4 space-x-2">
-                                    <button className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected}>+ Add GOR</button>
-                                    <button className="bg-white border border-green-600 text-green-600 px-4 py-2 rounded-md hover:bg-green-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected}>Withdraw</button>
-                                </div>
-                            </div>
 
-                            <div className="bg-white p-6 rounded-lg shadow-lg mb-6 border border-green-300">
-                                <h2 className="text-lg font-semibold text-[#0A7740] mb-4">🎟️ Tickets You Hold</h2>
-                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                    {walletData.tickets_holding.length > 0 ? (
-                                        walletData.tickets_holding.map((ticket, index) => (
-                                            <div key={index} className="p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow duration-200">
-                                                <div className="flex items-center space-x-3">
-                                                    <div className="w-10 h-10 bg-blue-200 rounded-full flex items-center justify-center text-blue-800 font-bold text-lg">
-                                                        {ticket.username ? ticket.username[0].toUpperCase() : 'U'}
-                                                    </div>
+                            {searchTerm.trim() === '' ? (
+                                <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
+                                    <h3 className="text-xl font-bold text-gray-800 mb-4">🔥 Trending Users</h3>
+                                    {getTrendingUsers().length > 0 ? (
+                                        <ul className="space-y-3">
+                                            {getTrendingUsers().map(user => (
+                                                <li key={user.wallet_address} className="flex items-center space-x-3 p-2 rounded-md hover:bg-gray-50 cursor-pointer transition-colors duration-200"
+                                                    onClick={() => handleProfileClick(user.wallet_address)}>
+                                                    <Avatar profile={user} className="w-10 h-10" />
                                                     <div>
-                                                        <p className="font-medium text-gray-800">@{ticket.username || 'Unknown User'}</p>
-                                                        <p className="text-sm text-gray-500">{ticket.count} Ticket{ticket.count !== 1 ? 's' : ''}</p>
+                                                        <p className="font-semibold text-gray-800">{user.username}</p>
+                                                        <p className="text-sm text-gray-500">
+                                                            {user.followers?.length || 0} Followers • {ticketSupply[user.wallet_address] || 0} Tickets
+                                                        </p>
                                                     </div>
-                                                </div>
-                                                <div className="mt-2 flex space-x-2">
-                                                    <button onClick={() => handleProfileClick(ticket.wallet_address)} className="text-green-600 text-sm hover:underline">👀 View Profile</button>
-                                                    <button onClick={() => handleSellTicket(ticket.wallet_address)} className="text-red-500 text-sm hover:underline disabled:opacity-50 disabled:cursor-not-allowed" disabled={!connected}>🗑 Sell</button>
-                                                </div>
-                                            </div>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    ) : (
+                                        <p className="text-center text-gray-500">No trending users yet.</p>
+                                    )}
+                                </div>
+                            ) : (
+                                <>
+                                    <h3 className="text-xl font-bold text-gray-800 mb-4">Search Results</h3>
+                                    {filteredPosts.length > 0 ? (
+                                        filteredPosts.map(post => (
+                                            <Post
+                                                key={post.id}
+                                                post={post}
+                                                onLike={handleLike}
+                                                onComment={handleComment}
+                                                onEditComment={handleEditComment}
+                                                onDeleteComment={handleDeleteComment}
+                                                onEditPost={handleEditPost}
+                                                onDeletePost={handleDeletePost}
+                                                onRepost={handleRepost}
+                                                onQuotePost={handleQuotePost}
+                                                onProfileClick={handleProfileClick}
+                                                currentWalletAddress={currentWalletAddress}
+                                                onTipPost={handleTip}
+                                                onPreviewTip={previewGorTransfer}
+                                                gorDecimals={gorDecimals}
+                                                isHiddenPost={isHiddenPost}
+                                                isHiddenComment={isHiddenComment}
+                                            />
                                         ))
                                     ) : (
-                                        <p className="col-span-full text-center text-gray-500">You don't hold any tickets yet.</p>
+                                        <p className="text-center text-gray-500">No results found for "{searchTerm}".</p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                    {currentPage === 'settings' && (
+                        <div className="p-6">
+                            <h2 className="text-2xl font-bold text-gray-800 mb-6">Settings</h2>
+
+                            <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">General</h3>
+                                <div className="mb-4">
+                                    <label className="block text-gray-700 text-sm font-bold mb-2">App Version:</label>
+                                    <p className="text-gray-600">1.0.0</p>
+                                </div>
+                                <div className="mb-4">
+                                    <label className="block text-gray-700 text-sm font-bold mb-2">Connected Wallet Address:</label>
+                                    {connected && publicKey ? (
+                                        <p className="text-gray-600 font-mono text-sm bg-gray-100 px-2 py-1 rounded inline-block">{publicKey.toBase58()}</p>
+                                    ) : (
+                                        <p className="text-red-500">No wallet connected.</p>
                                     )}
                                 </div>
+                                <div className="mb-4">
+                                    <label className="block text-gray-700 text-sm font-bold mb-2">Theme:</label>
+                                    <div className="flex items-center space-x-4">
+                                        <button className="bg-green-500 text-white px-4 py-2 rounded-md">Green & White (Default)</button>
+                                        <button className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md cursor-not-allowed opacity-70">Dark Mode (Coming Soon)</button>
+                                    </div>
+                                </div>
                             </div>
 
-                            <div className="bg-white p-6 rounded-lg shadow-lg border border-green-300">
-                                <h2 className="text-lg font-semibold text-[#0A7740] mb-4">🧾 Recent Activity</h2>
-                                <ul className="space-y-2 text-sm text-gray-700">
-                                    <li>✅ Wallet connected <span className="text-gray-400">(just now)</span></li>
-                                    {walletData.gor_balance !== 0 && <li>✅ Balance updated <span className="text-gray-400">(recent)</span></li>}
-                                    {walletData.tickets_holding.length > 0 && <li>✅ Tickets held updated <span className="text-gray-400">(recent)</span></li>}
-                                </ul>
+                            <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">Network</h3>
+                                <p className="text-sm text-gray-500 mb-4">Balances, tickets, tips and transaction history are kept separately for each cluster.</p>
+                                <div className="mb-4">
+                                    <label htmlFor="clusterSelect" className="block text-gray-700 text-sm font-bold mb-2">Cluster:</label>
+                                    <select
+                                        id="clusterSelect"
+                                        value={cluster.id}
+                                        onChange={(e) => selectCluster(e.target.value)}
+                                        className="p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                                    >
+                                        {clusters.map(option => (
+                                            <option key={option.id} value={option.id}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="mb-4">
+                                    <label className="block text-gray-700 text-sm font-bold mb-2">RPC Endpoint:</label>
+                                    <p className="text-gray-600 font-mono text-sm bg-gray-100 px-2 py-1 rounded inline-block break-all">{clusterHealth.endpoint}</p>
+                                    {cluster.rpcUrls.length > 1 && (
+                                        <p className="text-sm text-gray-500 mt-1">{cluster.rpcUrls.length - 1} fallback endpoint{cluster.rpcUrls.length > 2 ? 's' : ''} configured.</p>
+                                    )}
+                                </div>
+                                <div className="flex items-center space-x-4">
+                                    <p className="text-gray-700">
+                                        Status: <span className={`font-semibold ${CLUSTER_HEALTH_LABELS[clusterHealth.status].className}`}>{CLUSTER_HEALTH_LABELS[clusterHealth.status].text}</span>
+                                        {clusterHealth.checkedAt && <span className="text-sm text-gray-500"> · checked {clusterHealth.checkedAt.toLocaleTimeString()}</span>}
+                                    </p>
+                                    <button
+                                        onClick={recheckHealth}
+                                        className="bg-gray-200 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-300 transition-colors duration-200 disabled:opacity-50"
+                                        disabled={clusterHealth.status === 'checking'}
+                                    >
+                                        Check again
+                                    </button>
+                                </div>
                             </div>
-                        </section>
-                    </div>
-                )}
-                {currentPage === 'notifications' && (
-                    <div className="p-6">
-                        <h2 className="text-2xl font-bold text-gray-800 mb-4">Notifications</h2>
-                        {notifications.length > 0 ? (
-                            notifications.map(notification => (
-                                <div
-                                    key={notification.id}
-                                    className={`bg-white p-4 rounded-lg shadow-md mb-3 border border-gray-200 cursor-pointer transition-all duration-200 ${notification.read ? 'opacity-70' : 'bg-green-50 hover:bg-green-100'}`}
-                                    onClick={() => handleMarkNotificationRead(notification.id)}
-                                >
-                                    <p className="text-gray-800">{notification.message}</p>
-                                    <p className="text-sm text-gray-500">{new Date(notification.created_at).toLocaleString()}</p>
+
+                            <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">Notifications</h3>
+                                <div className="flex items-center justify-between mb-3">
+                                    <label htmlFor="pushNotifications" className="text-gray-700">Enable Push Notifications</label>
+                                    <input type="checkbox" id="pushNotifications" className="form-checkbox h-5 w-5 text-green-600 rounded focus:ring-green-400" defaultChecked />
                                 </div>
-                            ))
-                        ) : (
-                            <p className="text-center text-gray-500">No new notifications.</p>
-                        )}
-                    </div>
-                )}
-                {currentPage === 'search' && (
-                    <div className="p-6">
-                        <div className="bg-white p-4 rounded-lg shadow-md mb-6 border border-gray-200 flex">
-                            <input
-                                type="text"
-                                placeholder="Search posts or users..."
-                                className="flex-grow p-3 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
-                                onKeyPress={(e) => { if (e.key === 'Enter') handleSearch(); }}
-                            />
-                            <button
-                                onClick={() => {
-                                    if (searchTerm.trim() === '') {
-                                        // No specific search function needed here as filtering is client-side
-                                    } else {
-                                        // Trigger re-render of filtered posts
-                                        setSearchTerm(searchTerm.trim());
-                                    }
-                                }}
-                                className="bg-green-500 text-white px-6 py-3 rounded-r-md hover:bg-green-600 transition-colors duration-200"
-                            >
-                                Search
-                            </button>
-                        </div>
+                                <div className="flex items-center justify-between">
+                                    <label htmlFor="emailNotifications" className="text-gray-700">Email Notifications</label>
+                                    <input type="checkbox" id="emailNotifications" className="form-checkbox h-5 w-5 text-green-600 rounded focus:ring-green-400" />
+                                </div>
+                                <p className="text-sm text-gray-500 mt-2">Note: These are placeholder settings for demonstration.</p>
+                            </div>
 
-                        {searchTerm.trim() === '' ? (
-                            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200">
-                                <h3 className="text-xl font-bold text-gray-800 mb-4">🔥 Trending Users</h3>
-                                {getTrendingUsers().length > 0 ? (
+                            <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">Muted</h3>
+                                <p className="text-sm text-gray-500 mb-4">Muted accounts and words are hidden from your timeline, search results, comments and notifications. Nobody is told, and they can still see your posts.</p>
+                                <form
+                                    onSubmit={async (e) => {
+                                        e.preventDefault();
+                                        if (await handleAddMutedKeyword(newMutedKeyword)) setNewMutedKeyword('');
+                                    }}
+                                    className="flex mb-4"
+                                >
+                                    <input
+                                        type="text"
+                                        value={newMutedKeyword}
+                                        onChange={(e) => setNewMutedKeyword(e.target.value)}
+                                        placeholder="Word, phrase, or /regex/i"
+                                        className="flex-grow p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-green-400"
+                                        disabled={!connected}
+                                    />
+                                    <button
+                                        type="submit"
+                                        className="bg-green-500 text-white px-4 py-2 rounded-r-md hover:bg-green-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        disabled={!connected}
+                                    >
+                                        Mute
+                                    </button>
+                                </form>
+                                {mutedKeywords.length > 0 && (
+                                    <div className="flex flex-wrap gap-2 mb-4">
+                                        {mutedKeywords.map(keyword => (
+                                            <span key={keyword} className="flex items-center bg-gray-100 text-gray-700 text-sm px-3 py-1 rounded-full">
+                                                <span className="font-mono">{keyword}</span>
+                                                <button onClick={() => handleRemoveMutedKeyword(keyword)} className="ml-2 text-gray-500 hover:text-red-500 font-bold">&times;</button>
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
+                                {mutedAddresses.length > 0 ? (
                                     <ul className="space-y-3">
-                                        {getTrendingUsers().map(user => (
-                                            <li key={user.wallet_address} className="flex items-center space-x-3 p-2 rounded-md hover:bg-gray-50 cursor-pointer transition-colors duration-200"
-                                                onClick={() => handleProfileClick(user.wallet_address)}>
-                                                <div className="w-10 h-10 bg-green-100 rounded-full flex items-center justify-center text-green-700 font-bold">
-                                                    {user.username ? user.username[0].toUpperCase() : 'U'}
-                                                </div>
-                                                <div>
-                                                    <p className="font-semibold text-gray-800">{user.username}</p>
-                                                    <p className="text-sm text-gray-500">
-                                                        {user.followers?.length || 0} Followers • {user.tickets_earned || 0} Tickets
-                                                    </p>
-                                                </div>
+                                        {mutedAddresses.map(address => (
+                                            <li key={address} className="flex items-center justify-between">
+                                                <p className="font-semibold text-gray-800 cursor-pointer" onClick={() => handleProfileClick(address)}>
+                                                    {allUsers[address]?.username || `${address.substring(0, 7)}...${address.substring(address.length - 4)}`}
+                                                </p>
+                                                <button
+                                                    onClick={() => handleUnmute(address)}
+                                                    className="bg-gray-300 text-gray-800 py-1 px-3 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                                                >
+                                                    Unmute
+                                                </button>
                                             </li>
                                         ))}
                                     </ul>
                                 ) : (
-                                    <p className="text-center text-gray-500">No trending users yet.</p>
-                                )}
-                            </div>
-                        ) : (
-                            <>
-                                <h3 className="text-xl font-bold text-gray-800 mb-4">Search Results</h3>
-                                {filteredPosts.length > 0 ? (
-                                    filteredPosts.map(post => (
-                                        <Post
-                                            key={post.id}
-                                            post={post}
-                                            onLike={handleLike}
-                                            onComment={handleComment}
-                                            onRepost={handleRepost}
-                                            onProfileClick={handleProfileClick}
-                                            currentWalletAddress={currentWalletAddress}
-                                            onTipPost={handleTip}
-                                        />
-                                    ))
-                                ) : (
-                                    <p className="text-center text-gray-500">No results found for "{searchTerm}".</p>
+                                    <p className="text-gray-500">You haven't muted any accounts.</p>
                                 )}
-                            </>
-                        )}
-                    </div>
-                )}
-                {currentPage === 'settings' && (
-                    <div className="p-6">
-                        <h2 className="text-2xl font-bold text-gray-800 mb-6">Settings</h2>
-
-                        <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
-                            <h3 className="text-xl font-semibold text-gray-800 mb-4">General</h3>
-                            <div className="mb-4">
-                                <label className="block text-gray-700 text-sm font-bold mb-2">App Version:</label>
-                                <p className="text-gray-600">1.0.0</p>
                             </div>
-                            <div className="mb-4">
-                                <label className="block text-gray-700 text-sm font-bold mb-2">Connected Wallet Address:</label>
-                                {connected && publicKey ? (
-                                    <p className="text-gray-600 font-mono text-sm bg-gray-100 px-2 py-1 rounded inline-block">{publicKey.toBase58()}</p>
+
+                            <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">Blocked Accounts</h3>
+                                {blockedAddresses.length > 0 ? (
+                                    <ul className="space-y-3">
+                                        {blockedAddresses.map(address => (
+                                            <li key={address} className="flex items-center justify-between">
+                                                <div className="flex items-center space-x-3">
+                                                    <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center text-gray-600 font-bold">
+                                                        {allUsers[address]?.username ? allUsers[address].username[0].toUpperCase() : 'U'}
+                                                    </div>
+                                                    <div>
+                                                        <p className="font-semibold text-gray-800">{allUsers[address]?.username || 'Unknown User'}</p>
+                                                        <p className="text-xs text-gray-500 font-mono">{address.substring(0, 7)}...{address.substring(address.length - 4)}</p>
+                                                    </div>
+                                                </div>
+                                                <button
+                                                    onClick={() => handleUnblock(address)}
+                                                    className="bg-gray-300 text-gray-800 py-1 px-3 rounded-md hover:bg-gray-400 transition-colors duration-200"
+                                                >
+                                                    Unblock
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
                                 ) : (
-                                    <p className="text-red-500">No wallet connected.</p>
+                                    <p className="text-gray-500">You haven't blocked anyone.</p>
                                 )}
                             </div>
-                            <div className="mb-4">
-                                <label className="block text-gray-700 text-sm font-bold mb-2">Theme:</label>
-                                <div className="flex items-center space-x-4">
-                                    <button className="bg-green-500 text-white px-4 py-2 rounded-md">Green & White (Default)</button>
-                                    <button className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md cursor-not-allowed opacity-70">Dark Mode (Coming Soon)</button>
-                                </div>
-                            </div>
-                        </div>
 
-                        <div className="bg-white p-6 rounded-lg shadow-md mb-6 border border-gray-200">
-                            <h3 className="text-xl font-semibold text-gray-800 mb-4">Notifications</h3>
-                            <div className="flex items-center justify-between mb-3">
-                                <label htmlFor="pushNotifications" className="text-gray-700">Enable Push Notifications</label>
-                                <input type="checkbox" id="pushNotifications" className="form-checkbox h-5 w-5 text-green-600 rounded focus:ring-green-400" defaultChecked />
+                            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+                                <h3 className="text-xl font-semibold text-gray-800 mb-4">About</h3>
+                                <p className="text-gray-700">This is a Web3-aligned social application, inspired by Twitter, built to demonstrate decentralized interaction concepts.</p>
+                                <p className="text-gray-700 mt-2">Developed using React and Firebase Firestore for real-time data.</p>
                             </div>
-                            <div className="flex items-center justify-between">
-                                <label htmlFor="emailNotifications" className="text-gray-700">Email Notifications</label>
-                                <input type="checkbox" id="emailNotifications" className="form-checkbox h-5 w-5 text-green-600 rounded focus:ring-green-400" />
-                            </div>
-                            <p className="text-sm text-gray-500 mt-2">Note: These are placeholder settings for demonstration.</p>
-                        </div>
-
-                        <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
-                            <h3 className="text-xl font-semibold text-gray-800 mb-4">About</h3>
-                            <p className="text-gray-700">This is a Web3-aligned social application, inspired by Twitter, built to demonstrate decentralized interaction concepts.</p>
-                            <p className="text-gray-700 mt-2">Developed using React and Firebase Firestore for real-time data.</p>
                         </div>
-                    </div>
-                )}
-            </main>
+                    )}
+                </main>
 
-            <MessageBox message={message} type={messageType} onClose={() => setMessage('')} />
-        </div>
+                <MessageBox message={message} type={messageType} onClose={() => setMessage('')} />
+                <TransactionStatusPanel transaction={trackedTransaction} onDismiss={dismissTrackedTransaction} />
+            </div>
+        </ProfilesContext.Provider>
     );
 };
 
-// Root component for the Supabase Provider and Solana Wallet Provider
-const Root = () => {
+const CONNECTION_CONFIG = { commitment: 'confirmed' };
+
+// Connects to the selected cluster. App is keyed by the cluster so switching starts it over with
+// none of the previous cluster's balances, tickets or history in its state.
+const ClusterConnection = () => {
+    const { cluster, health } = useCluster();
+    // WalletProvider discovers every installed Wallet Standard wallet (Backpack, and current Phantom and
+    // Solflare) by itself. These adapters only cover older Phantom extensions and Solflare's web
+    // wallet; whenever a standard version of the same wallet is installed, that one is used instead.
     const wallets = useMemo(() => [
-        new BackpackWalletAdapter(),
         new PhantomWalletAdapter(),
         new SolflareWalletAdapter(),
     ], []);
 
+    const handleWalletError = useCallback((error, adapter) => {
+        console.error(`Wallet error${adapter ? ` (${adapter.name})` : ''}:`, error);
+    }, []);
+
     return (
-        <ConnectionProvider endpoint={GORBAGANA_RPC_URL}>
-            <WalletProvider wallets={wallets} autoConnect>
+        <ConnectionProvider endpoint={health.endpoint} config={CONNECTION_CONFIG}>
+            <WalletProvider wallets={wallets} onError={handleWalletError} autoConnect>
                 <WalletModalProvider>
                     <SupabaseProvider>
-                        <App />
+                        <App key={cluster.id} />
                     </SupabaseProvider>
                 </WalletModalProvider>
             </WalletProvider>
@@ -1748,4 +5691,11 @@ const Root = () => {
     );
 };
 
+// Root component for the Cluster, Supabase and Solana Wallet Providers
+const Root = () => (
+    <ClusterProvider>
+        <ClusterConnection />
+    </ClusterProvider>
+);
+
 export default Root;
@@ -0,0 +1,20 @@
+import { jwtVerify } from 'npm:jose@5';
+import { HttpError } from './cors.ts';
+
+// The wallet behind a request, read from the JWT that wallet-auth issued. supabase.functions.invoke
+// sends it in the Authorization header once the user has signed in.
+export const requireWalletAddress = async (request: Request) => {
+    const jwtSecret = Deno.env.get('WALLET_AUTH_JWT_SECRET');
+    if (!jwtSecret) throw new Error('WALLET_AUTH_JWT_SECRET is not set');
+
+    const token = request.headers.get('authorization')?.match(/^Bearer (.+)$/i)?.[1];
+    if (!token) throw new HttpError(401, 'Sign in with your wallet first.');
+
+    try {
+        const { payload } = await jwtVerify(token, new TextEncoder().encode(jwtSecret), { audience: 'authenticated' });
+        if (!payload.sub) throw new Error('Token has no subject');
+        return payload.sub;
+    } catch {
+        throw new HttpError(401, 'Your session has expired. Please sign in again.');
+    }
+};
@@ -0,0 +1,26 @@
+// The app calls edge functions from the browser through supabase.functions.invoke.
+export const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+export const jsonResponse = (body: unknown, status = 200) =>
+    new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+
+// Errors whose message is safe to show to the user; anything else is reported as a generic failure.
+export class HttpError extends Error {
+    constructor(public status: number, message: string) {
+        super(message);
+    }
+}
+
+export const errorResponse = (error: unknown) => {
+    if (error instanceof HttpError) {
+        return jsonResponse({ error: error.message }, error.status);
+    }
+    console.error(error);
+    return jsonResponse({ error: 'Something went wrong. Please try again.' }, 500);
+};
@@ -0,0 +1,226 @@
+import {
+    Connection,
+    Keypair,
+    PublicKey,
+    Transaction,
+    TransactionExpiredBlockheightExceededError,
+    type ParsedInstruction,
+    type ParsedTransactionWithMeta,
+} from 'npm:@solana/web3.js@1.98';
+import {
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction,
+    getAssociatedTokenAddressSync,
+    getMint,
+} from 'npm:@solana/spl-token@0.4';
+import { HttpError } from './cors.ts';
+
+// Requests name the cluster they were made on ('gorbagana', 'mainnet-beta', 'devnet', 'localnet').
+// Each cluster's settings are read from secrets suffixed with its name, e.g. GOR_RPC_URL_DEVNET.
+// The default cluster also accepts the unsuffixed names.
+export const DEFAULT_CLUSTER = Deno.env.get('DEFAULT_CLUSTER') ?? 'gorbagana';
+
+const clusterEnv = (name: string, cluster: string) =>
+    Deno.env.get(`${name}_${cluster.toUpperCase().replace(/-/g, '_')}`)
+    ?? (cluster === DEFAULT_CLUSTER ? Deno.env.get(name) : undefined);
+
+export interface GorTransfer {
+    source: string;
+    destination: string;
+    authority: string;
+    amount: bigint;
+}
+
+export class TreasuryTransferFailed extends Error {
+    constructor(public signature: string, reason: string) {
+        super(`Treasury transfer ${signature} failed: ${reason}`);
+    }
+}
+
+// Same formatting as the app: whole GOR with trailing zeros trimmed.
+export const formatGorAmount = (baseUnits: bigint, decimals: number) => {
+    const scale = 10n ** BigInt(decimals);
+    const whole = baseUnits / scale;
+    const fraction = (baseUnits % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+};
+
+export const parsePublicKey = (value: unknown, label: string) => {
+    try {
+        return new PublicKey(String(value));
+    } catch {
+        throw new HttpError(400, `${label} is not a valid address.`);
+    }
+};
+
+const tokenInstructions = (transaction: ParsedTransactionWithMeta) =>
+    [
+        ...transaction.transaction.message.instructions,
+        ...(transaction.meta?.innerInstructions ?? []).flatMap(inner => inner.instructions),
+    ].filter((instruction): instruction is ParsedInstruction => 'parsed' in instruction && instruction.program === 'spl-token');
+
+// The text of every memo instruction in the transaction.
+export const findMemos = (transaction: ParsedTransactionWithMeta) =>
+    transaction.transaction.message.instructions
+        .filter((instruction): instruction is ParsedInstruction => 'parsed' in instruction && instruction.program === 'spl-memo')
+        .map(instruction => String(instruction.parsed));
+
+const toGorTransfer = (info: Record<string, any>): GorTransfer => ({
+    source: info.source,
+    destination: info.destination,
+    authority: info.authority ?? info.multisigAuthority,
+    amount: BigInt(info.tokenAmount?.amount ?? info.amount),
+});
+
+export class Cluster {
+    readonly connection: Connection;
+    readonly gorMint: PublicKey;
+    private gorDecimals: number | null = null;
+    private treasury: Keypair | null = null;
+
+    constructor(readonly name: string, rpcUrl: string, gorMint: string) {
+        this.connection = new Connection(rpcUrl, 'confirmed');
+        this.gorMint = new PublicKey(gorMint);
+    }
+
+    async getGorDecimals() {
+        if (this.gorDecimals === null) {
+            this.gorDecimals = (await getMint(this.connection, this.gorMint, 'confirmed')).decimals;
+        }
+        return this.gorDecimals;
+    }
+
+    // The treasury keypair is stored as the JSON byte array that `solana-keygen` writes.
+    getTreasury() {
+        if (this.treasury === null) {
+            const secretKey = clusterEnv('TICKET_TREASURY_SECRET_KEY', this.name);
+            if (!secretKey) throw new HttpError(400, `Tickets aren't available on ${this.name}.`);
+            this.treasury = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(secretKey)));
+        }
+        return this.treasury;
+    }
+
+    gorTokenAccount(owner: PublicKey) {
+        return getAssociatedTokenAddressSync(this.gorMint, owner);
+    }
+
+    // Treats a mint with no decimals and a supply of one as an NFT, and checks `owner` holds it.
+    async ownsNft(owner: PublicKey, mint: PublicKey) {
+        const mintInfo = await getMint(this.connection, mint, 'confirmed').catch(() => null);
+        if (!mintInfo || mintInfo.decimals !== 0 || mintInfo.supply !== 1n) return false;
+
+        const { value: accounts } = await this.connection.getParsedTokenAccountsByOwner(owner, { mint }, 'confirmed');
+        return accounts.some(account => account.account.data.parsed.info.tokenAmount.amount === '1');
+    }
+
+    async getParsedTransaction(signature: string) {
+        const transaction = await this.connection.getParsedTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0,
+        });
+        if (!transaction || !transaction.meta) {
+            throw new HttpError(404, 'Transaction not found. Wait for it to confirm and try again.');
+        }
+        return transaction;
+    }
+
+    // Same as getParsedTransaction, but refuses transactions that failed on-chain.
+    async getSuccessfulTransaction(signature: string) {
+        const transaction = await this.getParsedTransaction(signature);
+        if (transaction.meta!.err) {
+            throw new HttpError(422, 'Transaction failed on-chain.');
+        }
+        return transaction;
+    }
+
+    // Every GOR transferChecked in the transaction, including ones made through other programs.
+    // Plain `transfer` instructions don't name the mint, so they never count as GOR.
+    findGorTransfers(transaction: ParsedTransactionWithMeta): GorTransfer[] {
+        return tokenInstructions(transaction)
+            .filter(instruction => instruction.parsed?.type === 'transferChecked' && instruction.parsed.info.mint === this.gorMint.toBase58())
+            .map(instruction => toGorTransfer(instruction.parsed.info));
+    }
+
+    // Transfers into a known GOR token account. Here plain `transfer` instructions count too: the token
+    // program only lets them move tokens of the account's own mint. Exchanges often send those.
+    findTransfersIntoGorAccount(transaction: ParsedTransactionWithMeta, account: string): GorTransfer[] {
+        return tokenInstructions(transaction)
+            .filter(instruction => ['transfer', 'transferChecked'].includes(instruction.parsed?.type) && instruction.parsed.info.destination === account)
+            .filter(instruction => instruction.parsed.type === 'transfer' || instruction.parsed.info.mint === this.gorMint.toBase58())
+            .map(instruction => toGorTransfer(instruction.parsed.info));
+    }
+
+    // Sends GOR from the treasury, creating the recipient's token account if needed. Sending and
+    // confirming are separate steps so callers can tell "never sent" apart from "sent, outcome unknown".
+    async sendGorFromTreasury(recipient: PublicKey, amount: bigint) {
+        const treasuryKeypair = this.getTreasury();
+        const decimals = await this.getGorDecimals();
+        const destination = this.gorTokenAccount(recipient);
+
+        const transaction = new Transaction().add(
+            createAssociatedTokenAccountIdempotentInstruction(
+                treasuryKeypair.publicKey,
+                destination,
+                recipient,
+                this.gorMint,
+                TOKEN_PROGRAM_ID,
+                ASSOCIATED_TOKEN_PROGRAM_ID,
+            ),
+            createTransferCheckedInstruction(
+                this.gorTokenAccount(treasuryKeypair.publicKey),
+                this.gorMint,
+                destination,
+                treasuryKeypair.publicKey,
+                amount,
+                decimals,
+                [],
+                TOKEN_PROGRAM_ID,
+            ),
+        );
+
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = treasuryKeypair.publicKey;
+        transaction.sign(treasuryKeypair);
+
+        const signature = await this.connection.sendRawTransaction(transaction.serialize());
+
+        // Resolves once confirmed. Rejects with TreasuryTransferFailed only when the transfer definitely
+        // did not happen; any other rejection means its outcome is unknown.
+        const confirm = async () => {
+            try {
+                const { value } = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+                if (value.err) {
+                    throw new TreasuryTransferFailed(signature, JSON.stringify(value.err));
+                }
+            } catch (error) {
+                if (error instanceof TransactionExpiredBlockheightExceededError) {
+                    throw new TreasuryTransferFailed(signature, 'blockhash expired');
+                }
+                throw error;
+            }
+        };
+
+        return { signature, confirm };
+    }
+}
+
+const clusters = new Map<string, Cluster>();
+
+// The cluster a request was made on; requests that don't say are for the default cluster.
+export const getCluster = (name: unknown = DEFAULT_CLUSTER) => {
+    const clusterName = typeof name === 'string' && name ? name : DEFAULT_CLUSTER;
+    let cluster = clusters.get(clusterName);
+    if (!cluster) {
+        const rpcUrl = clusterEnv('GOR_RPC_URL', clusterName);
+        const gorMint = clusterEnv('GOR_TOKEN_MINT_ADDRESS', clusterName);
+        if (!rpcUrl || !gorMint) {
+            throw new HttpError(400, `The ${clusterName} cluster isn't supported.`);
+        }
+        cluster = new Cluster(clusterName, rpcUrl, gorMint);
+        clusters.set(clusterName, cluster);
+    }
+    return cluster;
+};
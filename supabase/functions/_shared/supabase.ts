@@ -0,0 +1,19 @@
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { HttpError } from './cors.ts';
+
+// Service-role client: bypasses RLS, so only ever use it after the request has been verified.
+export const supabaseAdmin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+export const UNIQUE_VIOLATION = '23505';
+export const INVALID_PARAMETER = '22023';
+
+export const getUsername = async (walletAddress: string) => {
+    const { data } = await supabaseAdmin.from('profiles').select('username').eq('wallet_address', walletAddress).maybeSingle();
+    return data?.username || 'Someone';
+};
+
+export const rejectIfBlocked = async (a: string, b: string) => {
+    const { data: isBlocked, error } = await supabaseAdmin.rpc('is_blocked_between', { p_a: a, p_b: b });
+    if (error) throw error;
+    if (isBlocked) throw new HttpError(403, "You can't interact with this user.");
+};
@@ -0,0 +1,54 @@
+import nacl from 'npm:tweetnacl@1.0.3';
+import { HttpError } from './cors.ts';
+import { parsePublicKey } from './solana.ts';
+
+const MAX_MESSAGE_AGE_MS = 5 * 60 * 1000;
+
+export const decodeBase64 = (value: string) => Uint8Array.from(atob(value), character => character.charCodeAt(0));
+
+// Reads the "Key: value" lines of a message the wallet signed.
+const parseMessageFields = (message: string) =>
+    Object.fromEntries(
+        message
+            .split('\n')
+            .map(line => line.match(/^([A-Za-z ]+): (.+)$/))
+            .filter((match): match is RegExpMatchArray => match !== null)
+            .map(([, key, value]) => [key, value]),
+    );
+
+// Confirms that `address` signed `message` in the last few minutes and that the message says what
+// the request claims. Callers store the signature to stop the same message being replayed.
+export const verifyWalletMessage = (
+    { message, signature, address }: { message: unknown; signature: unknown; address: string },
+    expectedFields: Record<string, string>,
+) => {
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+        throw new HttpError(400, 'A signed request is required.');
+    }
+
+    let isValid = false;
+    try {
+        isValid = nacl.sign.detached.verify(
+            new TextEncoder().encode(message),
+            decodeBase64(signature),
+            parsePublicKey(address, 'Wallet').toBytes(),
+        );
+    } catch {
+        isValid = false;
+    }
+    if (!isValid) {
+        throw new HttpError(401, 'The wallet signature is not valid.');
+    }
+
+    const fields = parseMessageFields(message);
+    for (const [key, value] of Object.entries(expectedFields)) {
+        if (fields[key] !== value) {
+            throw new HttpError(400, `The signed request doesn't match (${key}).`);
+        }
+    }
+
+    const issuedAt = Date.parse(fields['Issued At'] ?? '');
+    if (Number.isNaN(issuedAt) || Math.abs(Date.now() - issuedAt) > MAX_MESSAGE_AGE_MS) {
+        throw new HttpError(401, 'The signed request has expired. Please try again.');
+    }
+};
@@ -0,0 +1,149 @@
+// Sets a profile's avatar to an NFT the signed-in wallet holds. Ownership is checked on-chain, and the
+// image comes from the NFT's own Metaplex metadata rather than from the browser, so an NFT avatar on a
+// profile always shows that NFT.
+//
+// POST { action: 'set', cluster, mint }
+// POST { action: 'clear' }
+
+import { PublicKey } from 'npm:@solana/web3.js@1.98';
+import { requireWalletAddress } from '../_shared/auth.ts';
+import { HttpError, corsHeaders, errorResponse, jsonResponse } from '../_shared/cors.ts';
+import { type Cluster, getCluster, parsePublicKey } from '../_shared/solana.ts';
+import { supabaseAdmin as supabase } from '../_shared/supabase.ts';
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+const METADATA_FETCH_TIMEOUT_MS = 5000;
+const MAX_METADATA_REDIRECTS = 3;
+
+// Borsh strings are a little-endian u32 length followed by that many bytes; Metaplex pads them with NULs.
+const readString = (data: Uint8Array, offset: number): [string, number] => {
+    if (offset + 4 > data.length) throw new HttpError(422, "This NFT's metadata couldn't be read.");
+    const length = new DataView(data.buffer, data.byteOffset).getUint32(offset, true);
+    const end = offset + 4 + length;
+    if (end > data.length) throw new HttpError(422, "This NFT's metadata couldn't be read.");
+    return [new TextDecoder().decode(data.subarray(offset + 4, end)).replace(/\0+$/, ''), end];
+};
+
+const PRIVATE_IPV4_RANGES: [number, number][] = [
+    [0x00000000, 8], // "this" network
+    [0x0a000000, 8], // private
+    [0x64400000, 10], // carrier-grade NAT
+    [0x7f000000, 8], // loopback
+    [0xa9fe0000, 16], // link-local, including cloud metadata services
+    [0xac100000, 12], // private
+    [0xc0a80000, 16], // private
+    [0xe0000000, 3], // multicast and reserved
+];
+
+const isPrivateIpv4 = (host: string) => {
+    const octets = host.split('.').map(Number);
+    const address = ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+    return PRIVATE_IPV4_RANGES.some(([network, bits]) => (address >>> (32 - bits)) === (network >>> (32 - bits)));
+};
+
+// URL hostnames are already normalized: IPv4 in dotted form, IPv6 in brackets. IPv6 literals have too
+// many ways of spelling a local address (mapped, compatible, NAT64), and no real metadata host uses
+// one, so they are all refused.
+const isPrivateHost = (hostname: string) => {
+    const host = hostname.toLowerCase();
+    if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) return isPrivateIpv4(host);
+    return host.startsWith('[');
+};
+
+// The metadata uri is chosen by whoever minted the NFT, so it (and every redirect it leads to) must be a
+// public https address before the function will request it.
+const fetchMetadataJson = async (uri: string) => {
+    let url = uri;
+    for (let redirects = 0; redirects <= MAX_METADATA_REDIRECTS; redirects++) {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' || isPrivateHost(parsed.hostname)) {
+            throw new Error(`Refusing to fetch NFT metadata from ${parsed.origin}`);
+        }
+        const response = await fetch(parsed, { redirect: 'manual', signal: AbortSignal.timeout(METADATA_FETCH_TIMEOUT_MS) });
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            url = new URL(location, parsed).toString();
+            continue;
+        }
+        return await response.json();
+    }
+    throw new Error('Too many redirects fetching NFT metadata');
+};
+
+// The metadata account starts with a key byte, the update authority and the mint, then name, symbol
+// and uri. The uri points at JSON whose `image` is the picture.
+const readNftMetadata = async (cluster: Cluster, mint: PublicKey) => {
+    const [metadataAddress] = PublicKey.findProgramAddressSync(
+        [new TextEncoder().encode('metadata'), METADATA_PROGRAM_ID.toBytes(), mint.toBytes()],
+        METADATA_PROGRAM_ID,
+    );
+    const account = await cluster.connection.getAccountInfo(metadataAddress, 'confirmed');
+    if (!account) throw new HttpError(422, "This NFT doesn't have any metadata.");
+
+    const [name, afterName] = readString(account.data, 1 + 32 + 32);
+    const [, afterSymbol] = readString(account.data, afterName);
+    const [uri] = readString(account.data, afterSymbol);
+
+    let image: unknown;
+    try {
+        ({ image } = await fetchMetadataJson(uri));
+    } catch {
+        throw new HttpError(422, "This NFT's metadata couldn't be loaded.");
+    }
+    if (typeof image !== 'string' || !/^https:\/\//.test(image)) {
+        throw new HttpError(422, "This NFT doesn't have an image that can be shown.");
+    }
+    return { name, imageUrl: image };
+};
+
+const setNftAvatar = async (walletAddress: string, { cluster: clusterName, mint }: Record<string, unknown>) => {
+    const cluster = getCluster(clusterName);
+    const mintKey = parsePublicKey(mint, 'NFT');
+
+    if (!(await cluster.ownsNft(new PublicKey(walletAddress), mintKey))) {
+        throw new HttpError(403, "Your wallet doesn't hold this NFT.");
+    }
+    const { name, imageUrl } = await readNftMetadata(cluster, mintKey);
+
+    const nftAvatar = {
+        cluster: cluster.name,
+        mint: mintKey.toBase58(),
+        name,
+        image_url: imageUrl,
+        verified_at: new Date().toISOString(),
+    };
+    const { error } = await supabase.from('profiles').update({ nft_avatar: nftAvatar }).eq('wallet_address', walletAddress);
+    if (error) throw error;
+
+    return jsonResponse({ nftAvatar });
+};
+
+const clearNftAvatar = async (walletAddress: string) => {
+    const { error } = await supabase.from('profiles').update({ nft_avatar: null }).eq('wallet_address', walletAddress);
+    if (error) throw error;
+    return jsonResponse({ nftAvatar: null });
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const walletAddress = await requireWalletAddress(request);
+        const body = await request.json().catch(() => {
+            throw new HttpError(400, 'Expected a JSON body.');
+        });
+        switch (body.action) {
+            case 'set':
+                return await setNftAvatar(walletAddress, body);
+            case 'clear':
+                return await clearNftAvatar(walletAddress);
+            default:
+                throw new HttpError(400, 'Unknown action.');
+        }
+    } catch (error) {
+        return errorResponse(error);
+    }
+});
@@ -0,0 +1,100 @@
+// Adds deposits and withdrawals to the transactions ledger. The browser only supplies the signature;
+// amounts and counterparties are read from the transaction itself. Withdrawals that failed on-chain
+// are recorded as failed so they still show up in the history.
+//
+// POST { kind: 'deposit', cluster, signature, walletAddress }
+// POST { kind: 'withdrawal', cluster, signature, walletAddress, recipientAddress }
+
+import { HttpError, corsHeaders, errorResponse, jsonResponse } from '../_shared/cors.ts';
+import { type Cluster, getCluster, parsePublicKey } from '../_shared/solana.ts';
+import { UNIQUE_VIOLATION, supabaseAdmin as supabase } from '../_shared/supabase.ts';
+
+// Tips and ticket trades already have ledger rows of their own.
+const rejectIfAlreadyLedgered = async (cluster: Cluster, signature: string) => {
+    const results = await Promise.all([
+        supabase.from('tips').select('id').eq('cluster', cluster.name).eq('signature', signature).maybeSingle(),
+        supabase.from('ticket_trades').select('id').eq('cluster', cluster.name).eq('signature', signature).maybeSingle(),
+        supabase.from('ticket_trades').select('id').eq('cluster', cluster.name).eq('refund_signature', signature).maybeSingle(),
+    ]);
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+    if (results.some(result => result.data)) {
+        throw new HttpError(409, 'This transaction is already in your history.');
+    }
+};
+
+const describeDeposit = async (cluster: Cluster, signature: string, walletAddress: string) => {
+    const transaction = await cluster.getSuccessfulTransaction(signature);
+
+    const transfers = cluster.findTransfersIntoGorAccount(transaction, cluster.gorTokenAccount(parsePublicKey(walletAddress, 'Wallet')).toBase58())
+        .filter(transfer => transfer.authority !== walletAddress);
+    if (transfers.length === 0) {
+        throw new HttpError(422, "This transaction doesn't deposit GOR into your wallet.");
+    }
+    return {
+        status: 'confirmed',
+        counterparty_address: transfers[0].authority,
+        amount_base_units: transfers.reduce((sum, transfer) => sum + transfer.amount, 0n).toString(),
+    };
+};
+
+const describeWithdrawal = async (cluster: Cluster, signature: string, walletAddress: string, recipientAddress: unknown) => {
+    const wallet = parsePublicKey(walletAddress, 'Wallet');
+    const recipient = parsePublicKey(recipientAddress, 'Recipient');
+    const transaction = await cluster.getParsedTransaction(signature);
+
+    // A failed transaction's instructions are still there to read, so failures are described the same way.
+    const transfers = cluster.findGorTransfers(transaction).filter(transfer =>
+        transfer.authority === wallet.toBase58()
+        && transfer.source === cluster.gorTokenAccount(wallet).toBase58()
+        && transfer.destination === cluster.gorTokenAccount(recipient).toBase58());
+    if (transfers.length === 0) {
+        throw new HttpError(422, "This transaction doesn't withdraw GOR from your wallet to that address.");
+    }
+    return {
+        status: transaction.meta!.err ? 'failed' : 'confirmed',
+        counterparty_address: recipient.toBase58(),
+        amount_base_units: transfers.reduce((sum, transfer) => sum + transfer.amount, 0n).toString(),
+    };
+};
+
+const recordTransfer = async ({ kind, cluster: clusterName, signature, walletAddress, recipientAddress }: Record<string, unknown>) => {
+    if (typeof signature !== 'string' || !signature) throw new HttpError(400, 'A transaction signature is required.');
+    const cluster = getCluster(clusterName);
+    const wallet = parsePublicKey(walletAddress, 'Wallet').toBase58();
+    await rejectIfAlreadyLedgered(cluster, signature);
+
+    let details;
+    if (kind === 'deposit') {
+        details = await describeDeposit(cluster, signature, wallet);
+    } else if (kind === 'withdrawal') {
+        details = await describeWithdrawal(cluster, signature, wallet, recipientAddress);
+    } else {
+        throw new HttpError(400, 'Unknown transfer kind.');
+    }
+
+    const { data, error } = await supabase
+        .from('transactions')
+        .insert({ cluster: cluster.name, wallet_address: wallet, kind, signature, ...details })
+        .select('id, status')
+        .single();
+    if (error?.code === UNIQUE_VIOLATION) throw new HttpError(409, 'This transaction is already in your history.');
+    if (error) throw error;
+
+    return jsonResponse({ transactionId: data.id, status: data.status });
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const body = await request.json().catch(() => {
+            throw new HttpError(400, 'Expected a JSON body.');
+        });
+        return await recordTransfer(body);
+    } catch (error) {
+        return errorResponse(error);
+    }
+});
@@ -0,0 +1,179 @@
+// Settles ticket trades against the chain. Buys are recorded only after the buyer's payment to the
+// ticket treasury is found in a successful transaction; sells are paid out from the treasury and
+// recorded only once that payout confirms. Prices come from the ticket_* SQL functions so the
+// client's quote and the settled price can't disagree.
+//
+// POST { action: 'buy', cluster, signature, subjectAddress }   the payment carries a ticketBuyMemo memo
+// POST { action: 'sell', cluster, subjectAddress, sellerAddress, message, messageSignature }
+
+import { HttpError, corsHeaders, errorResponse, jsonResponse } from '../_shared/cors.ts';
+import { type Cluster, TreasuryTransferFailed, findMemos, getCluster, parsePublicKey } from '../_shared/solana.ts';
+import { INVALID_PARAMETER, UNIQUE_VIOLATION, getUsername, rejectIfBlocked, supabaseAdmin as supabase } from '../_shared/supabase.ts';
+import { verifyWalletMessage } from '../_shared/walletMessage.ts';
+
+// The buyer names the subject in a memo signed with the payment, so a payment someone else spots on
+// the treasury account can't be claimed for a different profile. Must match ticketBuyMemo in the app.
+const ticketBuyMemo = (subject: string) => `Ticket buy: ${subject}`;
+
+// Gives an underpaid buy's payment back. The trade is claimed first so concurrent requests can't both
+// refund it; if the refund definitely wasn't sent the claim is released, and resubmitting the buy's
+// signature tries again. A refund whose outcome is unknown stays claimed until it is reconciled.
+const refundUnderpaidBuy = async (cluster: Cluster, tradeId: string) => {
+    const { data, error } = await supabase.rpc('begin_ticket_refund', { p_trade_id: tradeId });
+    if (error) throw error;
+    const claim = data[0];
+    if (!claim) return jsonResponse({ status: 'pending', tradeId }, 202);
+
+    let refundSignature: string | undefined;
+    try {
+        const refund = await cluster.sendGorFromTreasury(parsePublicKey(claim.trader_address, 'Trader'), BigInt(claim.refund_base_units));
+        refundSignature = refund.signature;
+        await refund.confirm();
+    } catch (error) {
+        if (error instanceof TreasuryTransferFailed || refundSignature === undefined) {
+            await supabase.rpc('fail_ticket_refund', { p_trade_id: tradeId });
+            throw error;
+        }
+        console.error(`Ticket buy ${tradeId} refund ${refundSignature} unconfirmed:`, error);
+        return jsonResponse({ status: 'pending', tradeId, refundSignature }, 202);
+    }
+
+    const { error: refundError } = await supabase.rpc('record_ticket_refund', {
+        p_trade_id: tradeId,
+        p_refund_signature: refundSignature,
+    });
+    if (refundError) throw refundError;
+    return jsonResponse({ status: 'refunded', tradeId, refundSignature });
+};
+
+const handleBuy = async ({ cluster: clusterName, signature, subjectAddress }: Record<string, unknown>) => {
+    if (typeof signature !== 'string' || !signature) throw new HttpError(400, 'A transaction signature is required.');
+    const cluster = getCluster(clusterName);
+    const subject = parsePublicKey(subjectAddress, 'Subject').toBase58();
+
+    const { data: existing, error: existingError } = await supabase
+        .from('ticket_trades')
+        .select('id, status')
+        .eq('cluster', cluster.name)
+        .eq('signature', signature)
+        .maybeSingle();
+    if (existingError) throw existingError;
+    // A buy whose refund didn't go through can be resubmitted to retry it
+    if (existing?.status === 'underpaid' || existing?.status === 'refunding') return await refundUnderpaidBuy(cluster, existing.id);
+    if (existing) throw new HttpError(409, 'This transaction has already been used for a ticket.');
+
+    const transaction = await cluster.getSuccessfulTransaction(signature);
+    const treasuryAccount = cluster.gorTokenAccount(cluster.getTreasury().publicKey).toBase58();
+    const payments = cluster.findGorTransfers(transaction).filter(transfer => transfer.destination === treasuryAccount);
+    if (payments.length === 0) {
+        throw new HttpError(422, "This transaction doesn't pay the ticket treasury.");
+    }
+
+    const trader = payments[0].authority;
+    if (payments.some(payment => payment.authority !== trader)) {
+        throw new HttpError(422, 'The ticket payment must come from a single wallet.');
+    }
+    if (!findMemos(transaction).includes(ticketBuyMemo(subject))) {
+        throw new HttpError(422, "This payment isn't for a ticket on this profile.");
+    }
+    if (trader === subject) throw new HttpError(400, 'You cannot buy a ticket for yourself.');
+    await rejectIfBlocked(trader, subject);
+
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0n);
+    const decimals = await cluster.getGorDecimals();
+
+    const { data, error } = await supabase.rpc('record_ticket_buy', {
+        p_signature: signature,
+        p_trader_address: trader,
+        p_subject_address: subject,
+        p_paid_base_units: paid.toString(),
+        p_decimals: decimals,
+        p_cluster: cluster.name,
+    });
+    if (error?.code === UNIQUE_VIOLATION) throw new HttpError(409, 'This transaction has already been used for a ticket.');
+    if (error) throw error;
+    const trade = data[0];
+
+    if (trade.status === 'underpaid') {
+        // Someone else bought first and the price moved; give the payment back rather than keep it.
+        return await refundUnderpaidBuy(cluster, trade.trade_id);
+    }
+
+    await supabase.from('notifications').insert({
+        recipient_address: subject,
+        type: 'ticket_buy',
+        message: `${await getUsername(trader)} bought a ticket for you!`,
+        sender_address: trader,
+        read: false,
+    });
+
+    return jsonResponse({ status: 'confirmed', tradeId: trade.trade_id, priceBaseUnits: String(trade.price_base_units) });
+};
+
+const handleSell = async ({ cluster: clusterName, subjectAddress, sellerAddress, message, messageSignature }: Record<string, unknown>) => {
+    const cluster = getCluster(clusterName);
+    const subject = parsePublicKey(subjectAddress, 'Subject').toBase58();
+    const seller = parsePublicKey(sellerAddress, 'Seller');
+
+    verifyWalletMessage(
+        { message, signature: messageSignature, address: seller.toBase58() },
+        { Action: 'Sell ticket', Cluster: cluster.name, Seller: seller.toBase58(), Subject: subject },
+    );
+
+    const decimals = await cluster.getGorDecimals();
+    const { data, error } = await supabase.rpc('begin_ticket_sale', {
+        p_trader_address: seller.toBase58(),
+        p_subject_address: subject,
+        p_request_signature: messageSignature,
+        p_decimals: decimals,
+        p_cluster: cluster.name,
+    });
+    if (error?.code === UNIQUE_VIOLATION) throw new HttpError(409, 'This sell request has already been used.');
+    if (error?.code === INVALID_PARAMETER) throw new HttpError(400, error.message);
+    if (error) throw error;
+    const { trade_id: tradeId, payout_base_units: payout } = data[0];
+
+    let payoutSignature: string | undefined;
+    try {
+        const payoutTransfer = await cluster.sendGorFromTreasury(seller, BigInt(payout));
+        payoutSignature = payoutTransfer.signature;
+        await payoutTransfer.confirm();
+    } catch (error) {
+        if (error instanceof TreasuryTransferFailed || payoutSignature === undefined) {
+            // Nothing was paid, so release the ticket for another attempt.
+            await supabase.rpc('fail_ticket_sale', { p_trade_id: tradeId });
+            throw error;
+        }
+        // The payout was sent but its outcome is unknown. The sale stays pending, which keeps the
+        // ticket reserved, until someone reconciles it against the chain.
+        console.error(`Ticket sale ${tradeId} payout ${payoutSignature} unconfirmed:`, error);
+        return jsonResponse({ status: 'pending', tradeId, signature: payoutSignature }, 202);
+    }
+
+    const { error: settleError } = await supabase.rpc('settle_ticket_sale', { p_trade_id: tradeId, p_signature: payoutSignature });
+    if (settleError) throw settleError;
+
+    return jsonResponse({ status: 'confirmed', tradeId, signature: payoutSignature, payoutBaseUnits: String(payout) });
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const body = await request.json().catch(() => {
+            throw new HttpError(400, 'Expected a JSON body.');
+        });
+        switch (body.action) {
+            case 'buy':
+                return await handleBuy(body);
+            case 'sell':
+                return await handleSell(body);
+            default:
+                throw new HttpError(400, 'Unknown action.');
+        }
+    } catch (error) {
+        return errorResponse(error);
+    }
+});
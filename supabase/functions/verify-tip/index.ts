@@ -0,0 +1,89 @@
+// Records a tip only after finding it on-chain. The browser sends the signature of the transfer it
+// just confirmed; this function reads the parsed transaction itself and checks the mint, the source
+// and destination token accounts and the amount before writing the tips row and the notification.
+//
+// POST { cluster, signature, recipientAddress, amountBaseUnits }
+
+import { HttpError, corsHeaders, errorResponse, jsonResponse } from '../_shared/cors.ts';
+import { formatGorAmount, getCluster, parsePublicKey } from '../_shared/solana.ts';
+import { UNIQUE_VIOLATION, getUsername, rejectIfBlocked, supabaseAdmin as supabase } from '../_shared/supabase.ts';
+
+const verifyTip = async ({ cluster: clusterName, signature, recipientAddress, amountBaseUnits }: Record<string, unknown>) => {
+    if (typeof signature !== 'string' || !signature) throw new HttpError(400, 'A transaction signature is required.');
+    const cluster = getCluster(clusterName);
+    const recipient = parsePublicKey(recipientAddress, 'Recipient');
+
+    let expectedAmount: bigint;
+    try {
+        expectedAmount = BigInt(String(amountBaseUnits));
+    } catch {
+        throw new HttpError(400, 'The tip amount is not valid.');
+    }
+
+    const { data: existing, error: existingError } = await supabase
+        .from('tips')
+        .select('id')
+        .eq('cluster', cluster.name)
+        .eq('signature', signature)
+        .maybeSingle();
+    if (existingError) throw existingError;
+    if (existing) throw new HttpError(409, 'This tip has already been recorded.');
+
+    const transaction = await cluster.getSuccessfulTransaction(signature);
+    const recipientAccount = cluster.gorTokenAccount(recipient).toBase58();
+    const transfers = cluster.findGorTransfers(transaction).filter(transfer => transfer.destination === recipientAccount);
+    if (transfers.length !== 1) {
+        throw new HttpError(422, "This transaction doesn't contain exactly one GOR transfer to the recipient.");
+    }
+
+    const [transfer] = transfers;
+    const sender = transfer.authority;
+    if (transfer.source !== cluster.gorTokenAccount(parsePublicKey(sender, 'Sender')).toBase58()) {
+        throw new HttpError(422, "The tip wasn't sent from the sender's GOR account.");
+    }
+    if (transfer.amount !== expectedAmount) {
+        throw new HttpError(422, "The transferred amount doesn't match the tip.");
+    }
+    if (sender === recipient.toBase58()) throw new HttpError(400, 'You cannot tip yourself.');
+    await rejectIfBlocked(sender, recipient.toBase58());
+
+    const { data: tip, error } = await supabase
+        .from('tips')
+        .insert({
+            cluster: cluster.name,
+            signature,
+            sender_address: sender,
+            recipient_address: recipient.toBase58(),
+            amount_base_units: transfer.amount.toString(),
+        })
+        .select('id')
+        .single();
+    if (error?.code === UNIQUE_VIOLATION) throw new HttpError(409, 'This tip has already been recorded.');
+    if (error) throw error;
+
+    const amount = formatGorAmount(transfer.amount, await cluster.getGorDecimals());
+    await supabase.from('notifications').insert({
+        recipient_address: recipient.toBase58(),
+        type: 'tip',
+        message: `${await getUsername(sender)} tipped you ${amount} GOR!`,
+        sender_address: sender,
+        read: false,
+    });
+
+    return jsonResponse({ status: 'confirmed', tipId: tip.id });
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const body = await request.json().catch(() => {
+            throw new HttpError(400, 'Expected a JSON body.');
+        });
+        return await verifyTip(body);
+    } catch (error) {
+        return errorResponse(error);
+    }
+});
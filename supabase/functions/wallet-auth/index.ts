@@ -0,0 +1,111 @@
+// Sign-In With Solana. The browser asks for a nonce, has the wallet sign a SIWS message containing it,
+// and sends the message back. Once the signature, domain and nonce check out this function issues a
+// Supabase JWT whose `sub` is the wallet address; row-level security keys everything off that.
+//
+// POST { action: 'nonce', address }
+// POST { action: 'verify', address, nonce, message, signature }
+
+import { SignJWT } from 'npm:jose@5';
+import { HttpError, corsHeaders, errorResponse, jsonResponse } from '../_shared/cors.ts';
+import { parsePublicKey } from '../_shared/solana.ts';
+import { supabaseAdmin as supabase } from '../_shared/supabase.ts';
+import { verifyWalletMessage } from '../_shared/walletMessage.ts';
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+const createNonce = async ({ address }: Record<string, unknown>) => {
+    const walletAddress = parsePublicKey(address, 'Wallet').toBase58();
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    const { error } = await supabase.from('wallet_auth_nonces').insert({
+        nonce,
+        wallet_address: walletAddress,
+        expires_at: new Date(Date.now() + NONCE_TTL_MS).toISOString(),
+    });
+    if (error) throw error;
+
+    return jsonResponse({ nonce });
+};
+
+// Origins the app is served from, e.g. "https://app.example.com,http://localhost:5173". Sign-in messages
+// are checked against these and never against the request, which any non-browser client can forge.
+const getAppOrigins = () => {
+    const origins = (Deno.env.get('WALLET_AUTH_APP_ORIGINS') ?? '').split(',').map(origin => origin.trim()).filter(Boolean);
+    if (origins.length === 0) throw new Error('WALLET_AUTH_APP_ORIGINS is not set');
+    return origins.map(origin => new URL(origin).origin);
+};
+
+// The first two lines of a SIWS message name the site asking and the account signing in. Requiring
+// one of the app's own origins stops a message signed for another site being used here.
+const checkMessageHeader = (message: string, walletAddress: string) => {
+    const [header, addressLine] = message.split('\n');
+    const domain = header?.match(/^(\S+) wants you to sign in with your Solana account:$/)?.[1];
+    if (!domain || addressLine !== walletAddress) {
+        throw new HttpError(400, 'This is not a sign-in message for your wallet.');
+    }
+    const appOrigin = getAppOrigins().find(origin => new URL(origin).host === domain);
+    if (!appOrigin) {
+        throw new HttpError(400, 'This sign-in message was made for a different site.');
+    }
+    return { appOrigin };
+};
+
+const verifySignIn = async ({ address, nonce, message, signature }: Record<string, unknown>) => {
+    const walletAddress = parsePublicKey(address, 'Wallet').toBase58();
+    if (typeof nonce !== 'string' || !nonce) throw new HttpError(400, 'A sign-in nonce is required.');
+    if (typeof message !== 'string') throw new HttpError(400, 'A signed request is required.');
+
+    const { appOrigin } = checkMessageHeader(message, walletAddress);
+    verifyWalletMessage({ message, signature, address: walletAddress }, { Nonce: nonce, URI: appOrigin });
+
+    // Each nonce signs in once: claiming it is what makes a replayed message useless.
+    const { data: claimed, error } = await supabase
+        .from('wallet_auth_nonces')
+        .update({ used_at: new Date().toISOString() })
+        .eq('nonce', nonce)
+        .eq('wallet_address', walletAddress)
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select('nonce');
+    if (error) throw error;
+    if (claimed.length === 0) {
+        throw new HttpError(401, 'This sign-in request has expired or was already used. Please try again.');
+    }
+
+    const jwtSecret = Deno.env.get('WALLET_AUTH_JWT_SECRET');
+    if (!jwtSecret) throw new Error('WALLET_AUTH_JWT_SECRET is not set');
+
+    const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+    const accessToken = await new SignJWT({ role: 'authenticated' })
+        .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+        .setSubject(walletAddress)
+        .setAudience('authenticated')
+        .setIssuedAt()
+        .setExpirationTime(expiresAt)
+        .sign(new TextEncoder().encode(jwtSecret));
+
+    return jsonResponse({ accessToken, walletAddress, expiresAt: new Date(expiresAt * 1000).toISOString() });
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const body = await request.json().catch(() => {
+            throw new HttpError(400, 'Expected a JSON body.');
+        });
+        switch (body.action) {
+            case 'nonce':
+                return await createNonce(body);
+            case 'verify':
+                return await verifySignIn(body);
+            default:
+                throw new HttpError(400, 'Unknown action.');
+        }
+    } catch (error) {
+        return errorResponse(error);
+    }
+});
@@ -0,0 +1,49 @@
+-- Threaded comments: replies point at their parent comment and authors can edit their own.
+alter table public.comments
+    add column if not exists parent_comment_id uuid references public.comments (id) on delete cascade,
+    add column if not exists updated_at timestamptz;
+
+create index if not exists comments_post_id_created_at_idx
+    on public.comments (post_id, created_at)
+    where parent_comment_id is null;
+
+create index if not exists comments_parent_comment_id_idx
+    on public.comments (parent_comment_id);
+
+-- DELETE events only carry the primary key unless the whole old row is replicated.
+alter table public.comments replica identity full;
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'comments'
+    ) then
+        alter publication supabase_realtime add table public.comments;
+    end if;
+end $$;
+
+-- Keep posts.comments_count in step with the rows that actually exist. Deleting a comment
+-- cascades to its replies, and each cascaded row decrements the count as well.
+create or replace function public.sync_post_comments_count()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT' then
+        update public.posts set comments_count = coalesce(comments_count, 0) + 1 where id = new.post_id;
+        return new;
+    end if;
+
+    update public.posts set comments_count = greatest(coalesce(comments_count, 0) - 1, 0) where id = old.post_id;
+    return old;
+end;
+$$;
+
+drop trigger if exists comments_sync_post_count on public.comments;
+create trigger comments_sync_post_count
+    after insert or delete on public.comments
+    for each row execute function public.sync_post_comments_count();
+
+update public.posts p
+set comments_count = (select count(*) from public.comments c where c.post_id = p.id);
@@ -0,0 +1,194 @@
+-- Likes, reposts and follows move from client-maintained arrays to join tables. Each toggle runs in
+-- a single function call so concurrent clicks can no longer overwrite one another. The legacy
+-- posts.likes / posts.reposts / profiles.followers / profiles.following arrays and the *_count
+-- columns are still updated inside the same transaction so existing readers keep working.
+
+create table if not exists public.post_likes (
+    post_id uuid not null references public.posts (id) on delete cascade,
+    wallet_address text not null,
+    created_at timestamptz not null default now(),
+    primary key (post_id, wallet_address)
+);
+
+create index if not exists post_likes_wallet_address_idx on public.post_likes (wallet_address, created_at desc);
+
+create table if not exists public.post_reposts (
+    post_id uuid not null references public.posts (id) on delete cascade,
+    wallet_address text not null,
+    created_at timestamptz not null default now(),
+    primary key (post_id, wallet_address)
+);
+
+create index if not exists post_reposts_wallet_address_idx on public.post_reposts (wallet_address, created_at desc);
+
+create table if not exists public.follows (
+    follower_address text not null references public.profiles (wallet_address) on delete cascade,
+    followed_address text not null references public.profiles (wallet_address) on delete cascade,
+    created_at timestamptz not null default now(),
+    primary key (follower_address, followed_address),
+    check (follower_address <> followed_address)
+);
+
+create index if not exists follows_followed_address_idx on public.follows (followed_address, created_at desc);
+
+-- --- Backfill from the array columns ---
+
+insert into public.post_likes (post_id, wallet_address)
+select p.id, liker
+from public.posts p, unnest(coalesce(p.likes, '{}')) as liker
+on conflict do nothing;
+
+insert into public.post_reposts (post_id, wallet_address)
+select p.id, reposter
+from public.posts p, unnest(coalesce(p.reposts, '{}')) as reposter
+on conflict do nothing;
+
+insert into public.follows (follower_address, followed_address)
+select p.wallet_address, followed
+from public.profiles p, unnest(coalesce(p.following, '{}')) as followed
+where followed <> p.wallet_address
+  and exists (select 1 from public.profiles target where target.wallet_address = followed)
+on conflict do nothing;
+
+-- Rows can drift apart in either direction under the old read-modify-write code, so take the
+-- union of both sides above and rebuild every cached column from the join tables.
+insert into public.follows (follower_address, followed_address)
+select follower, p.wallet_address
+from public.profiles p, unnest(coalesce(p.followers, '{}')) as follower
+where follower <> p.wallet_address
+  and exists (select 1 from public.profiles source where source.wallet_address = follower)
+on conflict do nothing;
+
+update public.posts p
+set likes = coalesce((select array_agg(l.wallet_address order by l.created_at) from public.post_likes l where l.post_id = p.id), '{}'),
+    likes_count = (select count(*) from public.post_likes l where l.post_id = p.id),
+    reposts = coalesce((select array_agg(r.wallet_address order by r.created_at) from public.post_reposts r where r.post_id = p.id), '{}'),
+    reposts_count = (select count(*) from public.post_reposts r where r.post_id = p.id);
+
+update public.profiles p
+set following = coalesce((select array_agg(f.followed_address order by f.created_at) from public.follows f where f.follower_address = p.wallet_address), '{}'),
+    followers = coalesce((select array_agg(f.follower_address order by f.created_at) from public.follows f where f.followed_address = p.wallet_address), '{}');
+
+-- --- Toggle functions ---
+
+create or replace function public.toggle_post_like(p_post_id uuid, p_wallet_address text)
+returns table (liked boolean, likes_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_changed integer;
+begin
+    -- Lock the post first so concurrent toggles on it run one after another.
+    perform 1 from posts where id = p_post_id for update;
+    if not found then
+        raise exception 'Post % does not exist', p_post_id using errcode = 'P0002';
+    end if;
+
+    delete from post_likes where post_id = p_post_id and wallet_address = p_wallet_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        liked := false;
+        update posts
+        set likes = array_remove(coalesce(posts.likes, '{}'), p_wallet_address),
+            likes_count = greatest(coalesce(posts.likes_count, 0) - 1, 0)
+        where id = p_post_id
+        returning posts.likes_count into likes_count;
+    else
+        insert into post_likes (post_id, wallet_address) values (p_post_id, p_wallet_address);
+        liked := true;
+        update posts
+        set likes = array_append(array_remove(coalesce(posts.likes, '{}'), p_wallet_address), p_wallet_address),
+            likes_count = coalesce(posts.likes_count, 0) + 1
+        where id = p_post_id
+        returning posts.likes_count into likes_count;
+    end if;
+
+    return next;
+end;
+$$;
+
+create or replace function public.toggle_post_repost(p_post_id uuid, p_wallet_address text)
+returns table (reposted boolean, reposts_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_changed integer;
+begin
+    perform 1 from posts where id = p_post_id for update;
+    if not found then
+        raise exception 'Post % does not exist', p_post_id using errcode = 'P0002';
+    end if;
+
+    delete from post_reposts where post_id = p_post_id and wallet_address = p_wallet_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        reposted := false;
+        update posts
+        set reposts = array_remove(coalesce(posts.reposts, '{}'), p_wallet_address),
+            reposts_count = greatest(coalesce(posts.reposts_count, 0) - 1, 0)
+        where id = p_post_id
+        returning posts.reposts_count into reposts_count;
+    else
+        insert into post_reposts (post_id, wallet_address) values (p_post_id, p_wallet_address);
+        reposted := true;
+        update posts
+        set reposts = array_append(array_remove(coalesce(posts.reposts, '{}'), p_wallet_address), p_wallet_address),
+            reposts_count = coalesce(posts.reposts_count, 0) + 1
+        where id = p_post_id
+        returning posts.reposts_count into reposts_count;
+    end if;
+
+    return next;
+end;
+$$;
+
+create or replace function public.toggle_follow(p_follower_address text, p_followed_address text)
+returns table (following boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_changed integer;
+begin
+    if p_follower_address = p_followed_address then
+        raise exception 'You cannot follow yourself' using errcode = '22023';
+    end if;
+
+    -- Lock both profiles in a fixed order so two users following each other can't deadlock.
+    perform 1 from profiles
+    where wallet_address in (p_follower_address, p_followed_address)
+    order by wallet_address
+    for update;
+
+    delete from follows where follower_address = p_follower_address and followed_address = p_followed_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        following := false;
+        update profiles set following = array_remove(coalesce(profiles.following, '{}'), p_followed_address)
+        where wallet_address = p_follower_address;
+        update profiles set followers = array_remove(coalesce(profiles.followers, '{}'), p_follower_address)
+        where wallet_address = p_followed_address;
+    else
+        insert into follows (follower_address, followed_address) values (p_follower_address, p_followed_address);
+        following := true;
+        update profiles set following = array_append(array_remove(coalesce(profiles.following, '{}'), p_followed_address), p_followed_address)
+        where wallet_address = p_follower_address;
+        update profiles set followers = array_append(array_remove(coalesce(profiles.followers, '{}'), p_follower_address), p_follower_address)
+        where wallet_address = p_followed_address;
+    end if;
+
+    return next;
+end;
+$$;
+
+grant execute on function public.toggle_post_like(uuid, text) to anon, authenticated;
+grant execute on function public.toggle_post_repost(uuid, text) to anon, authenticated;
+grant execute on function public.toggle_follow(text, text) to anon, authenticated;
@@ -0,0 +1,42 @@
+-- Home timelines are read newest-first with keyset pagination on (created_at, id) / (activity_at, item_id).
+
+create index if not exists posts_created_at_id_idx on public.posts (created_at desc, id desc);
+create index if not exists posts_author_address_created_at_idx on public.posts (author_address, created_at desc);
+
+-- One row per thing that can show up in someone's "Following" timeline: an original post, attributed to
+-- its author, or a repost, attributed to the reposter. The post itself travels along as JSON so the client
+-- renders feed rows exactly like rows from the posts table.
+create or replace view public.feed_items
+with (security_invoker = true)
+as
+select
+    p.id::text as item_id,
+    p.id as post_id,
+    p.author_address as actor_address,
+    null::text as reposted_by,
+    p.created_at as activity_at,
+    to_jsonb(p) as post
+from public.posts p
+union all
+select
+    r.post_id::text || ':' || r.wallet_address as item_id,
+    r.post_id,
+    r.wallet_address as actor_address,
+    r.wallet_address as reposted_by,
+    r.created_at as activity_at,
+    to_jsonb(p) as post
+from public.post_reposts r
+join public.posts p on p.id = r.post_id;
+
+grant select on public.feed_items to anon, authenticated;
+
+-- Reposts change what the Following timeline shows, so clients listen for them too.
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'post_reposts'
+    ) then
+        alter publication supabase_realtime add table public.post_reposts;
+    end if;
+end $$;
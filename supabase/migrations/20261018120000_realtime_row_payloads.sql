@@ -0,0 +1,22 @@
+-- Clients now apply realtime payloads directly instead of refetching, so DELETE events need the whole
+-- old row (for example post_reposts.wallet_address and notifications.recipient_address) and every table
+-- the app listens to has to be in the realtime publication.
+alter table public.posts replica identity full;
+alter table public.post_reposts replica identity full;
+alter table public.profiles replica identity full;
+alter table public.wallets replica identity full;
+alter table public.notifications replica identity full;
+
+do $$
+declare
+    v_table text;
+begin
+    foreach v_table in array array['posts', 'profiles', 'wallets', 'notifications'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = v_table
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', v_table);
+        end if;
+    end loop;
+end $$;
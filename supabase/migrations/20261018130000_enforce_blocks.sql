@@ -0,0 +1,161 @@
+-- profiles.blocked_users has existed for a while, but nothing read it. Blocks now apply in both
+-- directions: neither side can comment on, like, repost or follow the other, and notifications
+-- from a blocked sender are dropped before they are stored.
+
+create or replace function public.is_blocked_between(p_a text, p_b text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from profiles
+        where (wallet_address = p_a and p_b = any(coalesce(blocked_users, '{}')))
+           or (wallet_address = p_b and p_a = any(coalesce(blocked_users, '{}')))
+    );
+$$;
+
+grant execute on function public.is_blocked_between(text, text) to anon, authenticated;
+
+create or replace function public.reject_blocked_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if exists (
+        select 1 from posts p
+        where p.id = new.post_id and public.is_blocked_between(p.author_address, new.author_address)
+    ) or exists (
+        select 1 from comments c
+        where c.id = new.parent_comment_id and public.is_blocked_between(c.author_address, new.author_address)
+    ) then
+        raise exception 'You can''t interact with this user.' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists comments_reject_blocked on public.comments;
+create trigger comments_reject_blocked
+    before insert on public.comments
+    for each row execute function public.reject_blocked_comment();
+
+create or replace function public.reject_blocked_post_reaction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if exists (
+        select 1 from posts p
+        where p.id = new.post_id and public.is_blocked_between(p.author_address, new.wallet_address)
+    ) then
+        raise exception 'You can''t interact with this user.' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists post_likes_reject_blocked on public.post_likes;
+create trigger post_likes_reject_blocked
+    before insert on public.post_likes
+    for each row execute function public.reject_blocked_post_reaction();
+
+drop trigger if exists post_reposts_reject_blocked on public.post_reposts;
+create trigger post_reposts_reject_blocked
+    before insert on public.post_reposts
+    for each row execute function public.reject_blocked_post_reaction();
+
+create or replace function public.reject_blocked_follow()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if public.is_blocked_between(new.follower_address, new.followed_address) then
+        raise exception 'You can''t interact with this user.' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists follows_reject_blocked on public.follows;
+create trigger follows_reject_blocked
+    before insert on public.follows
+    for each row execute function public.reject_blocked_follow();
+
+-- Notifications are side effects of some other action, so they are dropped quietly rather than
+-- failing the action that produced them.
+create or replace function public.drop_blocked_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.sender_address is not null and public.is_blocked_between(new.recipient_address, new.sender_address) then
+        return null;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists notifications_drop_blocked on public.notifications;
+create trigger notifications_drop_blocked
+    before insert on public.notifications
+    for each row execute function public.drop_blocked_notification();
+
+-- --- Block / unblock ---
+
+-- Adds the block and removes any follow in either direction, all in one transaction.
+create or replace function public.block_user(p_blocker_address text, p_blocked_address text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if p_blocker_address = p_blocked_address then
+        raise exception 'You cannot block yourself' using errcode = '22023';
+    end if;
+
+    perform 1 from profiles
+    where wallet_address in (p_blocker_address, p_blocked_address)
+    order by wallet_address
+    for update;
+
+    update profiles
+    set blocked_users = array_append(array_remove(coalesce(blocked_users, '{}'), p_blocked_address), p_blocked_address),
+        following = array_remove(coalesce(following, '{}'), p_blocked_address),
+        followers = array_remove(coalesce(followers, '{}'), p_blocked_address)
+    where wallet_address = p_blocker_address;
+
+    update profiles
+    set following = array_remove(coalesce(following, '{}'), p_blocker_address),
+        followers = array_remove(coalesce(followers, '{}'), p_blocker_address)
+    where wallet_address = p_blocked_address;
+
+    delete from follows
+    where (follower_address = p_blocker_address and followed_address = p_blocked_address)
+       or (follower_address = p_blocked_address and followed_address = p_blocker_address);
+end;
+$$;
+
+create or replace function public.unblock_user(p_blocker_address text, p_blocked_address text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update profiles
+    set blocked_users = array_remove(coalesce(blocked_users, '{}'), p_blocked_address)
+    where wallet_address = p_blocker_address;
+$$;
+
+grant execute on function public.block_user(text, text) to anon, authenticated;
+grant execute on function public.unblock_user(text, text) to anon, authenticated;
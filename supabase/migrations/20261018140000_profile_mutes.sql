@@ -0,0 +1,5 @@
+-- Mutes are private to the person muting: they only hide content on that person's own screens, so they
+-- live on their profile and are never checked on the server.
+alter table public.profiles
+    add column if not exists muted_addresses text[] not null default '{}',
+    add column if not exists muted_keywords text[] not null default '{}';
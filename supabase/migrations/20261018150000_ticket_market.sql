@@ -0,0 +1,275 @@
+-- Ticket market with real settlement. Tickets are priced on a bonding curve over the subject's
+-- supply (profiles.tickets_earned): buying pays the current price into the ticket treasury wallet,
+-- and selling has the treasury pay back the price of the last ticket sold. Because a sell always pays
+-- back exactly what the matching buy paid in, the treasury stays solvent.
+--
+-- Every trade is recorded in ticket_trades with its transaction signature. Only the ticket-trade
+-- edge function (service role) can write trades, and it only does so after verifying the
+-- transaction on-chain. ticket_holdings is the source of truth for who holds what;
+-- wallets.tickets_holding is rebuilt from it as a cache for existing readers.
+
+create table if not exists public.ticket_holdings (
+    holder_address text not null,
+    subject_address text not null references public.profiles (wallet_address) on delete cascade,
+    count integer not null check (count >= 0),
+    primary key (holder_address, subject_address)
+);
+
+create table if not exists public.ticket_trades (
+    id uuid primary key default gen_random_uuid(),
+    side text not null check (side in ('buy', 'sell')),
+    status text not null check (status in ('pending', 'confirmed', 'failed', 'underpaid', 'refunded')),
+    trader_address text not null,
+    subject_address text not null references public.profiles (wallet_address) on delete cascade,
+    price_base_units numeric(39, 0) not null,
+    supply_before integer not null,
+    -- The buyer's payment for buys, the treasury's payout for sells
+    signature text unique,
+    -- Treasury refund for buys whose payment no longer covered the price when they were verified
+    refund_signature text unique,
+    -- Signature over the seller's signed sell request, kept so a request can't be replayed
+    request_signature text unique,
+    created_at timestamptz not null default now(),
+    settled_at timestamptz
+);
+
+create index if not exists ticket_trades_trader_idx on public.ticket_trades (trader_address, created_at desc);
+create index if not exists ticket_trades_subject_idx on public.ticket_trades (subject_address, created_at desc);
+
+alter table public.ticket_trades enable row level security;
+drop policy if exists "Ticket trades are public" on public.ticket_trades;
+create policy "Ticket trades are public" on public.ticket_trades for select using (true);
+
+alter table public.ticket_holdings enable row level security;
+drop policy if exists "Ticket holdings are public" on public.ticket_holdings;
+create policy "Ticket holdings are public" on public.ticket_holdings for select using (true);
+
+-- Backfill holdings from the old client-maintained array.
+insert into public.ticket_holdings (holder_address, subject_address, count)
+select w.wallet_address, h ->> 'wallet_address', sum((h ->> 'count')::integer)
+from public.wallets w, jsonb_array_elements(coalesce(w.tickets_holding, '[]'::jsonb)) as h
+where (h ->> 'count')::integer > 0
+  and exists (select 1 from public.profiles p where p.wallet_address = h ->> 'wallet_address')
+group by w.wallet_address, h ->> 'wallet_address'
+on conflict do nothing;
+
+-- --- Pricing ---
+
+-- Price of the next ticket when `p_supply` are outstanding, in whole GOR: 1 + supply² / 100.
+create or replace function public.ticket_price(p_supply integer)
+returns numeric
+language sql
+immutable
+as $$
+    select 1 + (p_supply::numeric * p_supply) / 100;
+$$;
+
+create or replace function public.ticket_price_base_units(p_supply integer, p_decimals integer)
+returns numeric
+language sql
+immutable
+as $$
+    select floor(public.ticket_price(p_supply) * power(10::numeric, p_decimals));
+$$;
+
+-- Supply that new trades are priced against: sells still waiting on their payout already count.
+create or replace function public.ticket_effective_supply(p_subject_address text)
+returns integer
+language sql
+stable
+as $$
+    select coalesce((select tickets_earned from profiles where wallet_address = p_subject_address), 0)
+         - (select count(*)::integer from ticket_trades
+            where subject_address = p_subject_address and side = 'sell' and status = 'pending');
+$$;
+
+-- Base-unit amounts are returned as text: JSON numbers would lose precision in the browser.
+create or replace function public.ticket_quote(p_subject_address text, p_decimals integer)
+returns table (supply integer, buy_price_base_units text, sell_price_base_units text)
+language sql
+stable
+as $$
+    select s.supply,
+           public.ticket_price_base_units(s.supply, p_decimals)::text,
+           case when s.supply > 0 then public.ticket_price_base_units(s.supply - 1, p_decimals)::text end
+    from (select public.ticket_effective_supply(p_subject_address) as supply) s;
+$$;
+
+grant execute on function public.ticket_quote(text, integer) to anon, authenticated;
+
+-- --- Settlement (service role only) ---
+
+create or replace function public.refresh_wallet_tickets_holding(p_holder_address text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    insert into wallets (wallet_address, tickets_holding)
+    values (p_holder_address, '[]'::jsonb)
+    on conflict (wallet_address) do nothing;
+
+    update wallets w
+    set tickets_holding = coalesce((
+        select jsonb_agg(jsonb_build_object('wallet_address', h.subject_address, 'count', h.count, 'username', p.username) order by p.username)
+        from ticket_holdings h
+        join profiles p on p.wallet_address = h.subject_address
+        where h.holder_address = p_holder_address and h.count > 0
+    ), '[]'::jsonb)
+    where w.wallet_address = p_holder_address;
+$$;
+
+-- Records a verified buy. If the payment no longer covers the price (someone else bought first),
+-- the trade is stored as 'underpaid' and the caller refunds it.
+create or replace function public.record_ticket_buy(
+    p_signature text,
+    p_trader_address text,
+    p_subject_address text,
+    p_paid_base_units numeric,
+    p_decimals integer
+)
+returns table (trade_id uuid, status text, price_base_units text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_supply integer;
+    v_price numeric;
+begin
+    perform 1 from profiles where wallet_address = p_subject_address for update;
+    if not found then
+        raise exception 'Profile % does not exist', p_subject_address using errcode = 'P0002';
+    end if;
+
+    v_supply := public.ticket_effective_supply(p_subject_address);
+    v_price := public.ticket_price_base_units(v_supply, p_decimals);
+    price_base_units := v_price::text;
+
+    if p_paid_base_units < v_price then
+        status := 'underpaid';
+    else
+        status := 'confirmed';
+        insert into ticket_holdings (holder_address, subject_address, count)
+        values (p_trader_address, p_subject_address, 1)
+        on conflict (holder_address, subject_address) do update set count = ticket_holdings.count + 1;
+
+        update profiles set tickets_earned = coalesce(tickets_earned, 0) + 1 where wallet_address = p_subject_address;
+        perform public.refresh_wallet_tickets_holding(p_trader_address);
+    end if;
+
+    insert into ticket_trades (side, status, trader_address, subject_address, price_base_units, supply_before, signature, settled_at)
+    values ('buy', status, p_trader_address, p_subject_address, p_paid_base_units, v_supply, p_signature, now())
+    returning id into trade_id;
+
+    return next;
+end;
+$$;
+
+create or replace function public.record_ticket_refund(p_trade_id uuid, p_refund_signature text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update ticket_trades set status = 'refunded', refund_signature = p_refund_signature
+    where id = p_trade_id and status = 'underpaid';
+$$;
+
+-- Reserves a sell before the treasury pays out. Holdings only change once the payout is confirmed,
+-- but the pending row stops the same ticket from being sold twice in the meantime.
+create or replace function public.begin_ticket_sale(
+    p_trader_address text,
+    p_subject_address text,
+    p_request_signature text,
+    p_decimals integer
+)
+returns table (trade_id uuid, payout_base_units text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_held integer;
+    v_pending integer;
+    v_supply integer;
+begin
+    perform 1 from profiles where wallet_address = p_subject_address for update;
+
+    select coalesce(max(count), 0) into v_held
+    from ticket_holdings where holder_address = p_trader_address and subject_address = p_subject_address;
+
+    select count(*) into v_pending
+    from ticket_trades
+    where trader_address = p_trader_address and subject_address = p_subject_address and side = 'sell' and status = 'pending';
+
+    if v_held - v_pending < 1 then
+        raise exception 'You don''t hold any tickets for this user.' using errcode = '22023';
+    end if;
+
+    v_supply := public.ticket_effective_supply(p_subject_address);
+    payout_base_units := public.ticket_price_base_units(v_supply - 1, p_decimals)::text;
+
+    insert into ticket_trades (side, status, trader_address, subject_address, price_base_units, supply_before, request_signature)
+    values ('sell', 'pending', p_trader_address, p_subject_address, payout_base_units::numeric, v_supply, p_request_signature)
+    returning id into trade_id;
+
+    return next;
+end;
+$$;
+
+create or replace function public.settle_ticket_sale(p_trade_id uuid, p_signature text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_trade ticket_trades;
+begin
+    update ticket_trades set status = 'confirmed', signature = p_signature, settled_at = now()
+    where id = p_trade_id and status = 'pending'
+    returning * into v_trade;
+
+    if not found then
+        raise exception 'Ticket sale % is not pending', p_trade_id using errcode = 'P0002';
+    end if;
+
+    update ticket_holdings set count = count - 1
+    where holder_address = v_trade.trader_address and subject_address = v_trade.subject_address;
+    delete from ticket_holdings
+    where holder_address = v_trade.trader_address and subject_address = v_trade.subject_address and count = 0;
+
+    update profiles set tickets_earned = greatest(coalesce(tickets_earned, 0) - 1, 0)
+    where wallet_address = v_trade.subject_address;
+
+    perform public.refresh_wallet_tickets_holding(v_trade.trader_address);
+end;
+$$;
+
+create or replace function public.fail_ticket_sale(p_trade_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update ticket_trades set status = 'failed', settled_at = now()
+    where id = p_trade_id and status = 'pending';
+$$;
+
+revoke execute on function public.refresh_wallet_tickets_holding(text) from public, anon, authenticated;
+revoke execute on function public.record_ticket_buy(text, text, text, numeric, integer) from public, anon, authenticated;
+revoke execute on function public.record_ticket_refund(uuid, text) from public, anon, authenticated;
+revoke execute on function public.begin_ticket_sale(text, text, text, integer) from public, anon, authenticated;
+revoke execute on function public.settle_ticket_sale(uuid, text) from public, anon, authenticated;
+revoke execute on function public.fail_ticket_sale(uuid) from public, anon, authenticated;
+
+grant execute on function public.refresh_wallet_tickets_holding(text) to service_role;
+grant execute on function public.record_ticket_buy(text, text, text, numeric, integer) to service_role;
+grant execute on function public.record_ticket_refund(uuid, text) to service_role;
+grant execute on function public.begin_ticket_sale(text, text, text, integer) to service_role;
+grant execute on function public.settle_ticket_sale(uuid, text) to service_role;
+grant execute on function public.fail_ticket_sale(uuid) to service_role;
+
+-- Bring the cached arrays in line with the backfilled table.
+select public.refresh_wallet_tickets_holding(holder_address) from (select distinct holder_address from public.ticket_holdings) holders;
@@ -0,0 +1,20 @@
+-- Tips used to be credited straight from the browser. They are now recorded only by the verify-tip
+-- edge function after it has found the transfer in a successful on-chain transaction, and each
+-- transaction signature can be recorded once.
+
+create table if not exists public.tips (
+    id uuid primary key default gen_random_uuid(),
+    signature text not null unique,
+    sender_address text not null,
+    recipient_address text not null,
+    amount_base_units numeric(39, 0) not null check (amount_base_units > 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists tips_sender_address_idx on public.tips (sender_address, created_at desc);
+create index if not exists tips_recipient_address_idx on public.tips (recipient_address, created_at desc);
+
+-- Readable by everyone; there is deliberately no insert policy, so only the service role can write.
+alter table public.tips enable row level security;
+drop policy if exists "Tips are public" on public.tips;
+create policy "Tips are public" on public.tips for select using (true);
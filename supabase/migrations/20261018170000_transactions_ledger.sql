@@ -0,0 +1,112 @@
+-- One row per GOR movement as seen from one wallet: tips sent and received, ticket buys and sells,
+-- deposits and withdrawals. Tips and ticket trades are mirrored in by triggers so the ledger can't
+-- drift from them. Deposits and withdrawals are inserted by the service role once verified on-chain.
+
+create table if not exists public.transactions (
+    id uuid primary key default gen_random_uuid(),
+    wallet_address text not null,
+    kind text not null check (kind in ('tip_sent', 'tip_received', 'ticket_buy', 'ticket_sell', 'deposit', 'withdrawal')),
+    status text not null check (status in ('pending', 'confirmed', 'failed', 'refunded')),
+    signature text,
+    counterparty_address text,
+    amount_base_units numeric(39, 0) not null,
+    tip_id uuid references public.tips (id) on delete cascade,
+    ticket_trade_id uuid references public.ticket_trades (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (wallet_address, tip_id),
+    unique (ticket_trade_id)
+);
+
+create index if not exists transactions_wallet_address_created_at_idx on public.transactions (wallet_address, created_at desc, id desc);
+-- Deposits and withdrawals are keyed by their signature
+create unique index if not exists transactions_transfer_signature_idx on public.transactions (wallet_address, kind, signature)
+    where kind in ('deposit', 'withdrawal');
+
+alter table public.transactions enable row level security;
+drop policy if exists "Transactions are public" on public.transactions;
+create policy "Transactions are public" on public.transactions for select using (true);
+
+-- --- Mirrors ---
+
+create or replace function public.ledger_record_tip()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into transactions (wallet_address, kind, status, signature, counterparty_address, amount_base_units, tip_id, created_at)
+    values
+        (new.sender_address, 'tip_sent', 'confirmed', new.signature, new.recipient_address, new.amount_base_units, new.id, new.created_at),
+        (new.recipient_address, 'tip_received', 'confirmed', new.signature, new.sender_address, new.amount_base_units, new.id, new.created_at)
+    on conflict do nothing;
+    return new;
+end;
+$$;
+
+drop trigger if exists tips_ledger on public.tips;
+create trigger tips_ledger
+    after insert on public.tips
+    for each row execute function public.ledger_record_tip();
+
+-- A buy that arrived underpaid is still waiting on its refund, so it shows as pending.
+create or replace function public.ledger_record_ticket_trade()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into transactions (wallet_address, kind, status, signature, counterparty_address, amount_base_units, ticket_trade_id, created_at)
+    values (
+        new.trader_address,
+        case new.side when 'buy' then 'ticket_buy' else 'ticket_sell' end,
+        case new.status when 'underpaid' then 'pending' else new.status end,
+        new.signature,
+        new.subject_address,
+        new.price_base_units,
+        new.id,
+        new.created_at
+    )
+    on conflict (ticket_trade_id) do update
+    set status = excluded.status,
+        signature = excluded.signature,
+        updated_at = now();
+    return new;
+end;
+$$;
+
+drop trigger if exists ticket_trades_ledger on public.ticket_trades;
+create trigger ticket_trades_ledger
+    after insert or update on public.ticket_trades
+    for each row execute function public.ledger_record_ticket_trade();
+
+-- --- Backfill ---
+
+insert into public.transactions (wallet_address, kind, status, signature, counterparty_address, amount_base_units, tip_id, created_at)
+select sender_address, 'tip_sent', 'confirmed', signature, recipient_address, amount_base_units, id, created_at from public.tips
+union all
+select recipient_address, 'tip_received', 'confirmed', signature, sender_address, amount_base_units, id, created_at from public.tips
+on conflict do nothing;
+
+insert into public.transactions (wallet_address, kind, status, signature, counterparty_address, amount_base_units, ticket_trade_id, created_at)
+select trader_address,
+       case side when 'buy' then 'ticket_buy' else 'ticket_sell' end,
+       case status when 'underpaid' then 'pending' else status end,
+       signature, subject_address, price_base_units, id, created_at
+from public.ticket_trades
+on conflict do nothing;
+
+-- The wallet page shows new rows and status changes as they happen.
+alter table public.transactions replica identity full;
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'transactions'
+    ) then
+        alter publication supabase_realtime add table public.transactions;
+    end if;
+end $$;
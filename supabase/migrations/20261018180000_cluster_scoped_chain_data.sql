@@ -0,0 +1,256 @@
+-- The app can now run against different clusters (Gorbagana, mainnet, devnet, a local test
+-- validator). Everything derived from the chain records which cluster it came from, so a devnet tip or
+-- a localnet ticket never shows up, or gets priced, on another cluster. Existing rows all came from
+-- Gorbagana.
+--
+-- Ticket supply is now counted per cluster from ticket_holdings. profiles.tickets_earned and
+-- wallets.tickets_holding can't express that and are no longer maintained; the app reads
+-- ticket_holdings and the ticket_supply view instead.
+
+alter table public.tips add column if not exists cluster text not null default 'gorbagana';
+alter table public.ticket_trades add column if not exists cluster text not null default 'gorbagana';
+alter table public.ticket_holdings add column if not exists cluster text not null default 'gorbagana';
+alter table public.transactions add column if not exists cluster text not null default 'gorbagana';
+
+-- Signatures are only unique within a cluster.
+alter table public.tips drop constraint if exists tips_signature_key;
+alter table public.tips add constraint tips_cluster_signature_key unique (cluster, signature);
+
+alter table public.ticket_trades drop constraint if exists ticket_trades_signature_key;
+alter table public.ticket_trades drop constraint if exists ticket_trades_refund_signature_key;
+alter table public.ticket_trades drop constraint if exists ticket_trades_request_signature_key;
+alter table public.ticket_trades add constraint ticket_trades_cluster_signature_key unique (cluster, signature);
+alter table public.ticket_trades add constraint ticket_trades_cluster_refund_signature_key unique (cluster, refund_signature);
+alter table public.ticket_trades add constraint ticket_trades_cluster_request_signature_key unique (cluster, request_signature);
+
+alter table public.ticket_holdings drop constraint if exists ticket_holdings_pkey;
+alter table public.ticket_holdings add primary key (cluster, holder_address, subject_address);
+
+drop index if exists public.transactions_wallet_address_created_at_idx;
+create index if not exists transactions_cluster_wallet_address_created_at_idx
+    on public.transactions (cluster, wallet_address, created_at desc, id desc);
+drop index if exists public.transactions_transfer_signature_idx;
+create unique index if not exists transactions_transfer_signature_idx on public.transactions (cluster, wallet_address, kind, signature)
+    where kind in ('deposit', 'withdrawal');
+
+-- Holdings changes drive the ticket counts shown on profiles and the wallet page.
+alter table public.ticket_holdings replica identity full;
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'ticket_holdings'
+    ) then
+        alter publication supabase_realtime add table public.ticket_holdings;
+    end if;
+end $$;
+
+create or replace view public.ticket_supply
+with (security_invoker = true)
+as
+select cluster, subject_address, sum(count)::integer as supply
+from public.ticket_holdings
+group by cluster, subject_address;
+
+grant select on public.ticket_supply to anon, authenticated;
+
+-- --- Pricing, per cluster ---
+
+drop function if exists public.ticket_quote(text, integer);
+drop function if exists public.ticket_effective_supply(text);
+
+create or replace function public.ticket_effective_supply(p_subject_address text, p_cluster text)
+returns integer
+language sql
+stable
+as $$
+    select coalesce((select sum(count)::integer from ticket_holdings
+                     where cluster = p_cluster and subject_address = p_subject_address), 0)
+         - (select count(*)::integer from ticket_trades
+            where cluster = p_cluster and subject_address = p_subject_address and side = 'sell' and status = 'pending');
+$$;
+
+-- Base-unit amounts are returned as text: JSON numbers would lose precision in the browser.
+create or replace function public.ticket_quote(p_subject_address text, p_decimals integer, p_cluster text)
+returns table (supply integer, buy_price_base_units text, sell_price_base_units text)
+language sql
+stable
+as $$
+    select s.supply,
+           public.ticket_price_base_units(s.supply, p_decimals)::text,
+           case when s.supply > 0 then public.ticket_price_base_units(s.supply - 1, p_decimals)::text end
+    from (select public.ticket_effective_supply(p_subject_address, p_cluster) as supply) s;
+$$;
+
+grant execute on function public.ticket_quote(text, integer, text) to anon, authenticated;
+
+-- --- Settlement, per cluster (service role only) ---
+
+drop function if exists public.record_ticket_buy(text, text, text, numeric, integer);
+drop function if exists public.begin_ticket_sale(text, text, text, integer);
+drop function if exists public.refresh_wallet_tickets_holding(text);
+
+create or replace function public.record_ticket_buy(
+    p_signature text,
+    p_trader_address text,
+    p_subject_address text,
+    p_paid_base_units numeric,
+    p_decimals integer,
+    p_cluster text
+)
+returns table (trade_id uuid, status text, price_base_units text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_supply integer;
+    v_price numeric;
+begin
+    perform 1 from profiles where wallet_address = p_subject_address for update;
+    if not found then
+        raise exception 'Profile % does not exist', p_subject_address using errcode = 'P0002';
+    end if;
+
+    v_supply := public.ticket_effective_supply(p_subject_address, p_cluster);
+    v_price := public.ticket_price_base_units(v_supply, p_decimals);
+    price_base_units := v_price::text;
+
+    if p_paid_base_units < v_price then
+        status := 'underpaid';
+    else
+        status := 'confirmed';
+        insert into ticket_holdings (cluster, holder_address, subject_address, count)
+        values (p_cluster, p_trader_address, p_subject_address, 1)
+        on conflict (cluster, holder_address, subject_address) do update set count = ticket_holdings.count + 1;
+    end if;
+
+    insert into ticket_trades (cluster, side, status, trader_address, subject_address, price_base_units, supply_before, signature, settled_at)
+    values (p_cluster, 'buy', status, p_trader_address, p_subject_address, p_paid_base_units, v_supply, p_signature, now())
+    returning id into trade_id;
+
+    return next;
+end;
+$$;
+
+create or replace function public.begin_ticket_sale(
+    p_trader_address text,
+    p_subject_address text,
+    p_request_signature text,
+    p_decimals integer,
+    p_cluster text
+)
+returns table (trade_id uuid, payout_base_units text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_held integer;
+    v_pending integer;
+    v_supply integer;
+begin
+    perform 1 from profiles where wallet_address = p_subject_address for update;
+
+    select coalesce(max(count), 0) into v_held
+    from ticket_holdings
+    where cluster = p_cluster and holder_address = p_trader_address and subject_address = p_subject_address;
+
+    select count(*) into v_pending
+    from ticket_trades
+    where cluster = p_cluster and trader_address = p_trader_address and subject_address = p_subject_address
+      and side = 'sell' and status = 'pending';
+
+    if v_held - v_pending < 1 then
+        raise exception 'You don''t hold any tickets for this user.' using errcode = '22023';
+    end if;
+
+    v_supply := public.ticket_effective_supply(p_subject_address, p_cluster);
+    payout_base_units := public.ticket_price_base_units(v_supply - 1, p_decimals)::text;
+
+    insert into ticket_trades (cluster, side, status, trader_address, subject_address, price_base_units, supply_before, request_signature)
+    values (p_cluster, 'sell', 'pending', p_trader_address, p_subject_address, payout_base_units::numeric, v_supply, p_request_signature)
+    returning id into trade_id;
+
+    return next;
+end;
+$$;
+
+create or replace function public.settle_ticket_sale(p_trade_id uuid, p_signature text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_trade ticket_trades;
+begin
+    update ticket_trades set status = 'confirmed', signature = p_signature, settled_at = now()
+    where id = p_trade_id and status = 'pending'
+    returning * into v_trade;
+
+    if not found then
+        raise exception 'Ticket sale % is not pending', p_trade_id using errcode = 'P0002';
+    end if;
+
+    update ticket_holdings set count = count - 1
+    where cluster = v_trade.cluster and holder_address = v_trade.trader_address and subject_address = v_trade.subject_address;
+    delete from ticket_holdings
+    where cluster = v_trade.cluster and holder_address = v_trade.trader_address and subject_address = v_trade.subject_address
+      and count = 0;
+end;
+$$;
+
+revoke execute on function public.record_ticket_buy(text, text, text, numeric, integer, text) from public, anon, authenticated;
+revoke execute on function public.begin_ticket_sale(text, text, text, integer, text) from public, anon, authenticated;
+revoke execute on function public.settle_ticket_sale(uuid, text) from public, anon, authenticated;
+
+grant execute on function public.record_ticket_buy(text, text, text, numeric, integer, text) to service_role;
+grant execute on function public.begin_ticket_sale(text, text, text, integer, text) to service_role;
+grant execute on function public.settle_ticket_sale(uuid, text) to service_role;
+
+-- --- Ledger mirrors carry the cluster along ---
+
+create or replace function public.ledger_record_tip()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into transactions (cluster, wallet_address, kind, status, signature, counterparty_address, amount_base_units, tip_id, created_at)
+    values
+        (new.cluster, new.sender_address, 'tip_sent', 'confirmed', new.signature, new.recipient_address, new.amount_base_units, new.id, new.created_at),
+        (new.cluster, new.recipient_address, 'tip_received', 'confirmed', new.signature, new.sender_address, new.amount_base_units, new.id, new.created_at)
+    on conflict do nothing;
+    return new;
+end;
+$$;
+
+create or replace function public.ledger_record_ticket_trade()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into transactions (cluster, wallet_address, kind, status, signature, counterparty_address, amount_base_units, ticket_trade_id, created_at)
+    values (
+        new.cluster,
+        new.trader_address,
+        case new.side when 'buy' then 'ticket_buy' else 'ticket_sell' end,
+        case new.status when 'underpaid' then 'pending' else new.status end,
+        new.signature,
+        new.subject_address,
+        new.price_base_units,
+        new.id,
+        new.created_at
+    )
+    on conflict (ticket_trade_id) do update
+    set status = excluded.status,
+        signature = excluded.signature,
+        updated_at = now();
+    return new;
+end;
+$$;
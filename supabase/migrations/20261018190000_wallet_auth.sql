@@ -0,0 +1,341 @@
+-- Users now sign in with their wallet (Sign-In With Solana). The wallet-auth edge function checks the
+-- signed message and issues a Supabase JWT whose `sub` is the wallet address, and row-level security
+-- only lets that address change its own rows. The social RPCs take the caller from the JWT instead of
+-- trusting an address argument.
+--
+-- Columns that other actions maintain (followers, blocked_users, likes, *_count, ...) can't be
+-- updated directly any more; only the columns listed in the grants below can.
+
+create table if not exists public.wallet_auth_nonces (
+    nonce text primary key,
+    wallet_address text not null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz
+);
+
+create index if not exists wallet_auth_nonces_expires_at_idx on public.wallet_auth_nonces (expires_at);
+
+-- Only the edge function (service role) reads and writes nonces.
+alter table public.wallet_auth_nonces enable row level security;
+
+create or replace function public.requesting_wallet_address()
+returns text
+language sql
+stable
+as $$
+    select nullif(auth.jwt() ->> 'sub', '');
+$$;
+
+create or replace function public.require_wallet_address()
+returns text
+language plpgsql
+stable
+as $$
+declare
+    v_wallet_address text := public.requesting_wallet_address();
+begin
+    if v_wallet_address is null then
+        raise exception 'Sign in with your wallet first.' using errcode = '42501';
+    end if;
+    return v_wallet_address;
+end;
+$$;
+
+-- --- Row-level security ---
+
+-- Start from a clean slate: any older permissive policy would otherwise still let anyone write.
+do $$
+declare
+    v_policy record;
+begin
+    for v_policy in
+        select policyname, tablename from pg_policies
+        where schemaname = 'public'
+          and tablename in ('profiles', 'posts', 'comments', 'wallets', 'notifications', 'post_likes', 'post_reposts', 'follows')
+    loop
+        execute format('drop policy %I on public.%I', v_policy.policyname, v_policy.tablename);
+    end loop;
+end $$;
+
+alter table public.profiles enable row level security;
+alter table public.posts enable row level security;
+alter table public.comments enable row level security;
+alter table public.wallets enable row level security;
+alter table public.notifications enable row level security;
+alter table public.post_likes enable row level security;
+alter table public.post_reposts enable row level security;
+alter table public.follows enable row level security;
+
+create policy "Profiles are public" on public.profiles for select using (true);
+create policy "Users create their own profile" on public.profiles for insert to authenticated
+    with check (wallet_address = public.requesting_wallet_address());
+create policy "Users update their own profile" on public.profiles for update to authenticated
+    using (wallet_address = public.requesting_wallet_address())
+    with check (wallet_address = public.requesting_wallet_address());
+
+create policy "Posts are public" on public.posts for select using (true);
+create policy "Users create their own posts" on public.posts for insert to authenticated
+    with check (author_address = public.requesting_wallet_address());
+create policy "Users update their own posts" on public.posts for update to authenticated
+    using (author_address = public.requesting_wallet_address())
+    with check (author_address = public.requesting_wallet_address());
+create policy "Users delete their own posts" on public.posts for delete to authenticated
+    using (author_address = public.requesting_wallet_address());
+
+create policy "Comments are public" on public.comments for select using (true);
+create policy "Users create their own comments" on public.comments for insert to authenticated
+    with check (author_address = public.requesting_wallet_address());
+create policy "Users update their own comments" on public.comments for update to authenticated
+    using (author_address = public.requesting_wallet_address())
+    with check (author_address = public.requesting_wallet_address());
+create policy "Users delete their own comments" on public.comments for delete to authenticated
+    using (author_address = public.requesting_wallet_address());
+
+create policy "Wallets are public" on public.wallets for select using (true);
+create policy "Users create their own wallet" on public.wallets for insert to authenticated
+    with check (wallet_address = public.requesting_wallet_address());
+
+-- Notifications are private to their recipient. Anyone signed in can notify someone else, but only
+-- in their own name.
+create policy "Users read their own notifications" on public.notifications for select to authenticated
+    using (recipient_address = public.requesting_wallet_address());
+create policy "Users send notifications as themselves" on public.notifications for insert to authenticated
+    with check (sender_address = public.requesting_wallet_address());
+create policy "Users update their own notifications" on public.notifications for update to authenticated
+    using (recipient_address = public.requesting_wallet_address())
+    with check (recipient_address = public.requesting_wallet_address());
+create policy "Users delete their own notifications" on public.notifications for delete to authenticated
+    using (recipient_address = public.requesting_wallet_address());
+
+-- Likes, reposts and follows are only written through the toggle functions below.
+create policy "Likes are public" on public.post_likes for select using (true);
+create policy "Reposts are public" on public.post_reposts for select using (true);
+create policy "Follows are public" on public.follows for select using (true);
+
+revoke update on public.profiles from anon, authenticated;
+revoke update on public.posts from anon, authenticated;
+revoke update on public.comments from anon, authenticated;
+revoke update on public.notifications from anon, authenticated;
+revoke update on public.wallets from anon, authenticated;
+
+grant update (username, bio, muted_addresses, muted_keywords) on public.profiles to authenticated;
+grant update (username) on public.posts to authenticated;
+grant update (username, content, updated_at) on public.comments to authenticated;
+grant update (read) on public.notifications to authenticated;
+
+-- Commenting on someone else's post bumps their post's comments_count, which the commenter can't
+-- update themselves.
+create or replace function public.sync_post_comments_count()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'INSERT' then
+        update posts set comments_count = coalesce(comments_count, 0) + 1 where id = new.post_id;
+        return new;
+    end if;
+
+    update posts set comments_count = greatest(coalesce(comments_count, 0) - 1, 0) where id = old.post_id;
+    return old;
+end;
+$$;
+
+-- Post images are uploaded to post_images/<wallet address>/.
+drop policy if exists "Post images are uploaded by their author" on storage.objects;
+create policy "Post images are uploaded by their author" on storage.objects for insert to authenticated
+    with check (
+        bucket_id = 'web3-social-bucket'
+        and (storage.foldername(name))[1] = 'post_images'
+        and (storage.foldername(name))[2] = public.requesting_wallet_address()
+    );
+
+-- --- RPCs act as the signed-in wallet ---
+
+drop function if exists public.toggle_post_like(uuid, text);
+drop function if exists public.toggle_post_repost(uuid, text);
+drop function if exists public.toggle_follow(text, text);
+drop function if exists public.block_user(text, text);
+drop function if exists public.unblock_user(text, text);
+
+create or replace function public.toggle_post_like(p_post_id uuid)
+returns table (liked boolean, likes_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_wallet_address text := public.require_wallet_address();
+    v_changed integer;
+begin
+    -- Lock the post first so concurrent toggles on it run one after another.
+    perform 1 from posts where id = p_post_id for update;
+    if not found then
+        raise exception 'Post % does not exist', p_post_id using errcode = 'P0002';
+    end if;
+
+    delete from post_likes where post_id = p_post_id and wallet_address = v_wallet_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        liked := false;
+        update posts
+        set likes = array_remove(coalesce(posts.likes, '{}'), v_wallet_address),
+            likes_count = greatest(coalesce(posts.likes_count, 0) - 1, 0)
+        where id = p_post_id
+        returning posts.likes_count into likes_count;
+    else
+        insert into post_likes (post_id, wallet_address) values (p_post_id, v_wallet_address);
+        liked := true;
+        update posts
+        set likes = array_append(array_remove(coalesce(posts.likes, '{}'), v_wallet_address), v_wallet_address),
+            likes_count = coalesce(posts.likes_count, 0) + 1
+        where id = p_post_id
+        returning posts.likes_count into likes_count;
+    end if;
+
+    return next;
+end;
+$$;
+
+create or replace function public.toggle_post_repost(p_post_id uuid)
+returns table (reposted boolean, reposts_count integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_wallet_address text := public.require_wallet_address();
+    v_changed integer;
+begin
+    perform 1 from posts where id = p_post_id for update;
+    if not found then
+        raise exception 'Post % does not exist', p_post_id using errcode = 'P0002';
+    end if;
+
+    delete from post_reposts where post_id = p_post_id and wallet_address = v_wallet_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        reposted := false;
+        update posts
+        set reposts = array_remove(coalesce(posts.reposts, '{}'), v_wallet_address),
+            reposts_count = greatest(coalesce(posts.reposts_count, 0) - 1, 0)
+        where id = p_post_id
+        returning posts.reposts_count into reposts_count;
+    else
+        insert into post_reposts (post_id, wallet_address) values (p_post_id, v_wallet_address);
+        reposted := true;
+        update posts
+        set reposts = array_append(array_remove(coalesce(posts.reposts, '{}'), v_wallet_address), v_wallet_address),
+            reposts_count = coalesce(posts.reposts_count, 0) + 1
+        where id = p_post_id
+        returning posts.reposts_count into reposts_count;
+    end if;
+
+    return next;
+end;
+$$;
+
+create or replace function public.toggle_follow(p_followed_address text)
+returns table (following boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_follower_address text := public.require_wallet_address();
+    v_changed integer;
+begin
+    if v_follower_address = p_followed_address then
+        raise exception 'You cannot follow yourself' using errcode = '22023';
+    end if;
+
+    -- Lock both profiles in a fixed order so two users following each other can't deadlock.
+    perform 1 from profiles
+    where wallet_address in (v_follower_address, p_followed_address)
+    order by wallet_address
+    for update;
+
+    delete from follows where follower_address = v_follower_address and followed_address = p_followed_address;
+    get diagnostics v_changed = row_count;
+
+    if v_changed > 0 then
+        following := false;
+        update profiles set following = array_remove(coalesce(profiles.following, '{}'), p_followed_address)
+        where wallet_address = v_follower_address;
+        update profiles set followers = array_remove(coalesce(profiles.followers, '{}'), v_follower_address)
+        where wallet_address = p_followed_address;
+    else
+        insert into follows (follower_address, followed_address) values (v_follower_address, p_followed_address);
+        following := true;
+        update profiles set following = array_append(array_remove(coalesce(profiles.following, '{}'), p_followed_address), p_followed_address)
+        where wallet_address = v_follower_address;
+        update profiles set followers = array_append(array_remove(coalesce(profiles.followers, '{}'), v_follower_address), v_follower_address)
+        where wallet_address = p_followed_address;
+    end if;
+
+    return next;
+end;
+$$;
+
+-- Adds the block and removes any follow in either direction, all in one transaction.
+create or replace function public.block_user(p_blocked_address text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_blocker_address text := public.require_wallet_address();
+begin
+    if v_blocker_address = p_blocked_address then
+        raise exception 'You cannot block yourself' using errcode = '22023';
+    end if;
+
+    perform 1 from profiles
+    where wallet_address in (v_blocker_address, p_blocked_address)
+    order by wallet_address
+    for update;
+
+    update profiles
+    set blocked_users = array_append(array_remove(coalesce(blocked_users, '{}'), p_blocked_address), p_blocked_address),
+        following = array_remove(coalesce(following, '{}'), p_blocked_address),
+        followers = array_remove(coalesce(followers, '{}'), p_blocked_address)
+    where wallet_address = v_blocker_address;
+
+    update profiles
+    set following = array_remove(coalesce(following, '{}'), v_blocker_address),
+        followers = array_remove(coalesce(followers, '{}'), v_blocker_address)
+    where wallet_address = p_blocked_address;
+
+    delete from follows
+    where (follower_address = v_blocker_address and followed_address = p_blocked_address)
+       or (follower_address = p_blocked_address and followed_address = v_blocker_address);
+end;
+$$;
+
+create or replace function public.unblock_user(p_blocked_address text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update profiles
+    set blocked_users = array_remove(coalesce(blocked_users, '{}'), p_blocked_address)
+    where wallet_address = public.require_wallet_address();
+$$;
+
+revoke execute on function public.toggle_post_like(uuid) from public, anon;
+revoke execute on function public.toggle_post_repost(uuid) from public, anon;
+revoke execute on function public.toggle_follow(text) from public, anon;
+revoke execute on function public.block_user(text) from public, anon;
+revoke execute on function public.unblock_user(text) from public, anon;
+
+grant execute on function public.toggle_post_like(uuid) to authenticated;
+grant execute on function public.toggle_post_repost(uuid) to authenticated;
+grant execute on function public.toggle_follow(text) to authenticated;
+grant execute on function public.block_user(text) to authenticated;
+grant execute on function public.unblock_user(text) to authenticated;
@@ -0,0 +1,57 @@
+-- Posts can carry up to four images or a single video. The browser compresses images (which also
+-- strips their EXIF data) and checks video length before uploading to post_media/<wallet address>/,
+-- then stores what it uploaded in posts.attachments:
+--
+--   [{ "type": "image" | "video", "url", "path", "mimeType", "size", "width", "height", "durationSeconds"? }]
+--
+-- posts.image_url is kept for older clients but is no longer written.
+
+create or replace function public.valid_post_attachments(p_attachments jsonb)
+returns boolean
+language sql
+immutable
+as $$
+    select jsonb_typeof(p_attachments) = 'array'
+        and not exists (
+            select 1 from jsonb_array_elements(p_attachments) as item
+            where jsonb_typeof(item) <> 'object'
+               or item ->> 'type' not in ('image', 'video')
+               or coalesce(item ->> 'url', '') = ''
+        )
+        and (
+            -- Up to four images...
+            (jsonb_array_length(p_attachments) <= 4
+                and not jsonb_path_exists(p_attachments, '$[*] ? (@.type == "video")'))
+            -- ...or exactly one video.
+            or (jsonb_array_length(p_attachments) = 1
+                and p_attachments -> 0 ->> 'type' = 'video')
+        );
+$$;
+
+alter table public.posts add column if not exists attachments jsonb not null default '[]'::jsonb;
+
+update public.posts
+set attachments = jsonb_build_array(jsonb_build_object('type', 'image', 'url', image_url))
+where image_url is not null and image_url <> '' and attachments = '[]'::jsonb;
+
+alter table public.posts drop constraint if exists posts_attachments_valid;
+alter table public.posts add constraint posts_attachments_valid check (public.valid_post_attachments(attachments));
+
+-- The bucket enforces the same limits as the composer: videos are the largest uploads, and only the
+-- types the app can display are accepted.
+update storage.buckets
+set file_size_limit = 50 * 1024 * 1024,
+    allowed_mime_types = array[
+        'image/jpeg', 'image/png', 'image/webp', 'image/gif',
+        'video/mp4', 'video/webm', 'video/quicktime'
+    ]
+where id = 'web3-social-bucket';
+
+drop policy if exists "Post images are uploaded by their author" on storage.objects;
+drop policy if exists "Post media is uploaded by its author" on storage.objects;
+create policy "Post media is uploaded by its author" on storage.objects for insert to authenticated
+    with check (
+        bucket_id = 'web3-social-bucket'
+        and (storage.foldername(name))[1] = 'post_media'
+        and (storage.foldername(name))[2] = public.requesting_wallet_address()
+    );
@@ -0,0 +1,99 @@
+-- Authors can edit and delete their posts. Editing only changes the text; the version it replaces is
+-- kept in post_revisions so anyone can see what a post said before, and posts.edited_at marks it as
+-- edited. Deleting goes through delete_post, which also removes the post's comments and notifications
+-- and hands back the storage paths of its attachments so the author's client can remove the files.
+
+alter table public.posts add column if not exists edited_at timestamptz;
+
+create table if not exists public.post_revisions (
+    id uuid primary key default gen_random_uuid(),
+    post_id uuid not null references public.posts (id) on delete cascade,
+    content text,
+    attachments jsonb not null default '[]'::jsonb,
+    -- When this version was posted or last edited, and when an edit replaced it.
+    written_at timestamptz not null,
+    replaced_at timestamptz not null default now()
+);
+
+create index if not exists post_revisions_post_id_replaced_at_idx on public.post_revisions (post_id, replaced_at desc);
+
+-- Revisions are written by the trigger below and are as public as the posts they belong to.
+alter table public.post_revisions enable row level security;
+create policy "Post revisions are public" on public.post_revisions for select using (true);
+
+create or replace function public.record_post_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.content is distinct from old.content then
+        insert into post_revisions (post_id, content, attachments, written_at)
+        values (old.id, old.content, old.attachments, coalesce(old.edited_at, old.created_at));
+        new.edited_at := now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists posts_record_revision on public.posts;
+create trigger posts_record_revision
+before update of content on public.posts
+for each row execute function public.record_post_revision();
+
+grant update (username, content) on public.posts to authenticated;
+
+create or replace function public.delete_post(p_post_id uuid)
+returns table (attachment_paths text[])
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_wallet_address text := public.require_wallet_address();
+    v_author_address text;
+    v_attachments jsonb;
+begin
+    select author_address, attachments into v_author_address, v_attachments
+    from posts where id = p_post_id
+    for update;
+    if not found then
+        raise exception 'Post % does not exist', p_post_id using errcode = 'P0002';
+    end if;
+    if v_author_address <> v_wallet_address then
+        raise exception 'Only the author can delete this post' using errcode = '42501';
+    end if;
+
+    delete from notifications where post_id = p_post_id;
+    delete from comments where post_id = p_post_id;
+    delete from posts where id = p_post_id;
+
+    attachment_paths := coalesce(
+        (select array_agg(item ->> 'path') from jsonb_array_elements(v_attachments) as item where item ? 'path'),
+        '{}'
+    );
+    return next;
+end;
+$$;
+
+revoke execute on function public.delete_post(uuid) from public, anon;
+grant execute on function public.delete_post(uuid) to authenticated;
+
+-- Lets authors remove the files of posts they deleted.
+drop policy if exists "Post media is deleted by its author" on storage.objects;
+create policy "Post media is deleted by its author" on storage.objects for delete to authenticated
+    using (
+        bucket_id = 'web3-social-bucket'
+        and (storage.foldername(name))[1] = 'post_media'
+        and (storage.foldername(name))[2] = public.requesting_wallet_address()
+    );
+
+-- Storage returns the rows it deletes, so the author also needs to be able to read them.
+drop policy if exists "Post media is visible to its author" on storage.objects;
+create policy "Post media is visible to its author" on storage.objects for select to authenticated
+    using (
+        bucket_id = 'web3-social-bucket'
+        and (storage.foldername(name))[1] = 'post_media'
+        and (storage.foldername(name))[2] = public.requesting_wallet_address()
+    );
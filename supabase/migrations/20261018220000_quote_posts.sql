@@ -0,0 +1,29 @@
+-- Quote posts are ordinary posts with their own text that embed another post. Deleting the quoted post
+-- leaves the quote in place, showing that the original is gone.
+
+alter table public.posts add column if not exists quoted_post_id uuid references public.posts (id) on delete set null;
+
+create index if not exists posts_quoted_post_id_idx on public.posts (quoted_post_id) where quoted_post_id is not null;
+
+-- Quoting counts as interacting with the quoted author, so blocks apply to it like they do to reposts.
+create or replace function public.reject_blocked_quote()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.quoted_post_id is not null and exists (
+        select 1 from posts p
+        where p.id = new.quoted_post_id and public.is_blocked_between(p.author_address, new.author_address)
+    ) then
+        raise exception 'You can''t interact with this user.' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists posts_reject_blocked_quote on public.posts;
+create trigger posts_reject_blocked_quote
+    before insert on public.posts
+    for each row execute function public.reject_blocked_quote();
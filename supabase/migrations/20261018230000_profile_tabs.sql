@@ -0,0 +1,41 @@
+-- Profile pages list a wallet's posts, reposts, likes and media, each newest-first with keyset
+-- pagination. Reposts come from feed_items; likes get a view of their own shaped the same way, and
+-- media posts are picked out by a generated column so they can be indexed.
+
+alter table public.posts
+    add column if not exists has_media boolean generated always as (jsonb_array_length(attachments) > 0) stored;
+
+create index if not exists posts_author_address_media_created_at_idx
+    on public.posts (author_address, created_at desc, id desc)
+    where has_media;
+
+create index if not exists post_reposts_wallet_address_created_at_idx on public.post_reposts (wallet_address, created_at desc);
+create index if not exists post_likes_wallet_address_created_at_idx on public.post_likes (wallet_address, created_at desc);
+
+-- One row per like, carrying the liked post as JSON like feed_items does.
+create or replace view public.liked_post_items
+with (security_invoker = true)
+as
+select
+    l.post_id::text || ':' || l.wallet_address as item_id,
+    l.post_id,
+    l.wallet_address as liked_by,
+    l.created_at as liked_at,
+    to_jsonb(p) as post
+from public.post_likes l
+join public.posts p on p.id = l.post_id;
+
+grant select on public.liked_post_items to anon, authenticated;
+
+-- The Likes tab follows new and removed likes live.
+alter table public.post_likes replica identity full;
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'post_likes'
+    ) then
+        alter publication supabase_realtime add table public.post_likes;
+    end if;
+end $$;
@@ -0,0 +1,3 @@
+-- Followers and Following lists page through follows newest-first. Followers already have an index
+-- on (followed_address, created_at); this adds the same for the people a wallet follows.
+create index if not exists follows_follower_address_created_at_idx on public.follows (follower_address, created_at desc);
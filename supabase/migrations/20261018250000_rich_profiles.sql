@@ -0,0 +1,35 @@
+-- Profiles get an uploaded avatar and banner, website/GitHub/X links, and optionally an NFT the wallet
+-- holds as the avatar. nft_avatar is only written by the nft-avatar edge function after it has checked
+-- ownership on-chain, so users can't set it themselves:
+--
+--   { "cluster", "mint", "name", "image_url", "verified_at" }
+
+alter table public.profiles
+    add column if not exists avatar_url text,
+    add column if not exists banner_url text,
+    add column if not exists website_url text,
+    add column if not exists github_username text,
+    add column if not exists x_username text,
+    add column if not exists nft_avatar jsonb;
+
+-- Links are stored bare so the app builds the URLs; only the website is a full (http or https) URL.
+alter table public.profiles drop constraint if exists profiles_website_url_valid;
+alter table public.profiles add constraint profiles_website_url_valid
+    check (website_url is null or website_url ~* '^https?://[^\s/]+\.[^\s]+$');
+alter table public.profiles drop constraint if exists profiles_github_username_valid;
+alter table public.profiles add constraint profiles_github_username_valid
+    check (github_username is null or github_username ~ '^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$');
+alter table public.profiles drop constraint if exists profiles_x_username_valid;
+alter table public.profiles add constraint profiles_x_username_valid
+    check (x_username is null or x_username ~ '^[A-Za-z0-9_]{1,15}$');
+
+grant update (avatar_url, banner_url, website_url, github_username, x_username) on public.profiles to authenticated;
+
+-- Avatars and banners are uploaded to profile_media/<wallet address>/.
+drop policy if exists "Profile media is uploaded by its owner" on storage.objects;
+create policy "Profile media is uploaded by its owner" on storage.objects for insert to authenticated
+    with check (
+        bucket_id = 'web3-social-bucket'
+        and (storage.foldername(name))[1] = 'profile_media'
+        and (storage.foldername(name))[2] = public.requesting_wallet_address()
+    );
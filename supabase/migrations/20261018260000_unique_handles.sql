@@ -0,0 +1,89 @@
+-- Usernames are now handles: 3-20 letters, digits or underscores, unique regardless of case, not on
+-- the reserved list, and changeable once every 30 days (changing only the case is always allowed).
+-- Posts and comments stop carrying a copy of the author's username; the app looks it up in profiles
+-- when it renders them, so a rename no longer rewrites every row.
+
+create table if not exists public.reserved_usernames (
+    name text primary key check (name = lower(name))
+);
+
+alter table public.reserved_usernames enable row level security;
+create policy "Reserved usernames are public" on public.reserved_usernames for select using (true);
+
+insert into public.reserved_usernames (name)
+values
+    ('admin'), ('administrator'), ('api'), ('gor'), ('gorbagana'), ('gortrash'), ('gortrashsocial'),
+    ('help'), ('home'), ('mod'), ('moderator'), ('notifications'), ('null'), ('official'), ('phantom'),
+    ('profile'), ('root'), ('search'), ('security'), ('settings'), ('solana'), ('solflare'), ('staff'),
+    ('support'), ('system'), ('team'), ('undefined'), ('wallet')
+on conflict (name) do nothing;
+
+alter table public.profiles add column if not exists username_changed_at timestamptz;
+
+-- --- Bring existing usernames in line ---
+
+-- Strip characters handles can't contain, and fall back to User_<address prefix> when too little is left.
+update public.profiles
+set username = case
+    when length(regexp_replace(coalesce(username, ''), '[^A-Za-z0-9_]', '', 'g')) >= 3
+        then left(regexp_replace(username, '[^A-Za-z0-9_]', '', 'g'), 20)
+    else 'User_' || left(wallet_address, 8)
+end
+where username is null or username !~ '^[A-Za-z0-9_]{3,20}$';
+
+-- Where several profiles share a handle, the most-followed keeps it. The others, and anyone holding a
+-- reserved name, get their address prefix appended.
+with ranked as (
+    select
+        wallet_address,
+        row_number() over (
+            partition by lower(username)
+            order by coalesce(array_length(followers, 1), 0) desc, wallet_address
+        ) as rank
+    from public.profiles
+)
+update public.profiles p
+set username = left(p.username, 11) || '_' || left(p.wallet_address, 8)
+from ranked r
+where r.wallet_address = p.wallet_address
+  and (r.rank > 1 or exists (select 1 from public.reserved_usernames where name = lower(p.username)));
+
+alter table public.profiles alter column username set not null;
+alter table public.profiles drop constraint if exists profiles_username_valid;
+alter table public.profiles add constraint profiles_username_valid check (username ~ '^[A-Za-z0-9_]{3,20}$');
+create unique index if not exists profiles_username_lower_key on public.profiles (lower(username));
+
+create or replace function public.check_username_change()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'UPDATE' and new.username = old.username then
+        return new;
+    end if;
+
+    if exists (select 1 from reserved_usernames where name = lower(new.username)) then
+        raise exception 'That username is reserved.' using errcode = '22023';
+    end if;
+
+    if tg_op = 'UPDATE' and lower(new.username) <> lower(old.username) then
+        if old.username_changed_at > now() - interval '30 days' then
+            raise exception 'You can change your username again on %.',
+                to_char(old.username_changed_at + interval '30 days', 'FMMonth FMDD, YYYY')
+                using errcode = '22023';
+        end if;
+        new.username_changed_at := now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_check_username on public.profiles;
+create trigger profiles_check_username
+    before insert or update of username on public.profiles
+    for each row execute function public.check_username_change();
+
+-- --- Stop denormalizing usernames ---
+
+alter table public.posts drop column if exists username;
+alter table public.comments drop column if exists username;
@@ -0,0 +1,147 @@
+-- @mentions and #hashtags are picked out of post and comment text whenever it's written, so the app
+-- never has to trust the client's parse:
+--
+--   mentions: [{ "handle", "wallet_address" }]   the handle lowercased as written, and who held it then
+--   hashtags: {tag, ...}                         posts only, lowercased; the tag feed filters on it
+--
+-- Storing who a handle pointed at means a later rename doesn't re-point old mentions. Handles nobody
+-- held are left out. Newly mentioned wallets get a 'mention' notification. The patterns here must
+-- match TEXT_ENTITY_PATTERN in the app.
+
+create or replace function public.text_mentions(p_content text)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+    select coalesce(jsonb_agg(jsonb_build_object('handle', h.handle, 'wallet_address', p.wallet_address) order by h.handle), '[]'::jsonb)
+    from (
+        select distinct lower(m[1]) as handle
+        from regexp_matches(coalesce(p_content, ''), '(?<![A-Za-z0-9_])@([A-Za-z0-9_]{3,20})(?![A-Za-z0-9_])', 'g') as m
+    ) h
+    join profiles p on lower(p.username) = h.handle;
+$$;
+
+create or replace function public.text_hashtags(p_content text)
+returns text[]
+language sql
+immutable
+as $$
+    select coalesce(array_agg(distinct lower(m[1])), '{}')
+    from regexp_matches(coalesce(p_content, ''), '(?<![A-Za-z0-9_])#([A-Za-z][A-Za-z0-9_]{0,49})(?![A-Za-z0-9_])', 'g') as m;
+$$;
+
+alter table public.posts
+    add column if not exists mentions jsonb not null default '[]',
+    add column if not exists hashtags text[] not null default '{}';
+alter table public.comments add column if not exists mentions jsonb not null default '[]';
+
+create index if not exists posts_hashtags_idx on public.posts using gin (hashtags);
+
+-- Existing text is parsed once here; setting only the entity columns keeps edit history and
+-- notifications out of it.
+update public.posts set mentions = public.text_mentions(content), hashtags = public.text_hashtags(content);
+update public.comments set mentions = public.text_mentions(content);
+
+-- --- Parse on write ---
+
+create or replace function public.extract_post_entities()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    new.mentions := text_mentions(new.content);
+    new.hashtags := text_hashtags(new.content);
+    return new;
+end;
+$$;
+
+drop trigger if exists posts_extract_entities on public.posts;
+create trigger posts_extract_entities
+    before insert or update of content on public.posts
+    for each row execute function public.extract_post_entities();
+
+create or replace function public.extract_comment_entities()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    new.mentions := text_mentions(new.content);
+    return new;
+end;
+$$;
+
+drop trigger if exists comments_extract_entities on public.comments;
+create trigger comments_extract_entities
+    before insert or update of content on public.comments
+    for each row execute function public.extract_comment_entities();
+
+-- --- Mention notifications ---
+
+-- Edits only notify wallets the previous text didn't already mention. Blocked pairs are dropped by
+-- notifications_drop_blocked like any other notification.
+create or replace function public.notify_mentions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_sender_name text;
+    v_post_id uuid;
+    v_context text;
+begin
+    if tg_table_name = 'posts' then
+        v_post_id := new.id;
+        v_context := 'a post';
+    else
+        v_post_id := new.post_id;
+        v_context := 'a comment';
+    end if;
+    select username into v_sender_name from profiles where wallet_address = new.author_address;
+
+    insert into notifications (recipient_address, type, message, post_id, sender_address, read)
+    select
+        m.wallet_address,
+        'mention',
+        format('%s mentioned you in %s: "%s..."', coalesce(v_sender_name, 'Someone'), v_context, left(new.content, 30)),
+        v_post_id,
+        new.author_address,
+        false
+    from (select distinct value ->> 'wallet_address' as wallet_address from jsonb_array_elements(new.mentions)) m
+    where m.wallet_address <> new.author_address
+      and (tg_op = 'INSERT' or not old.mentions @> jsonb_build_array(jsonb_build_object('wallet_address', m.wallet_address)));
+    return null;
+end;
+$$;
+
+drop trigger if exists posts_notify_mentions on public.posts;
+create trigger posts_notify_mentions
+    after insert or update of content on public.posts
+    for each row execute function public.notify_mentions();
+
+drop trigger if exists comments_notify_mentions on public.comments;
+create trigger comments_notify_mentions
+    after insert or update of content on public.comments
+    for each row execute function public.notify_mentions();
+
+-- --- Hashtag suggestions ---
+
+-- The composer's #tag autocomplete: the most-used tags starting with what has been typed so far.
+create or replace function public.suggest_hashtags(p_prefix text)
+returns table (tag text, post_count bigint)
+language sql
+stable
+set search_path = public
+as $$
+    select t.tag, count(*) as post_count
+    from posts, unnest(posts.hashtags) as t(tag)
+    where starts_with(t.tag, lower(p_prefix))
+    group by t.tag
+    order by post_count desc, t.tag
+    limit 5;
+$$;
+
+grant execute on function public.suggest_hashtags(text) to anon, authenticated;
@@ -0,0 +1,7 @@
+-- 20261018100000 shipped the toggle functions as security definer functions that act for whatever
+-- wallet they are handed, executable by anon. Wallet sign-in (20261018190000) replaced them with
+-- versions that take the caller from the JWT, but the wallet-parameter versions must not survive on
+-- any database, so they are dropped here as well.
+drop function if exists public.toggle_post_like(uuid, text);
+drop function if exists public.toggle_post_repost(uuid, text);
+drop function if exists public.toggle_follow(text, text);
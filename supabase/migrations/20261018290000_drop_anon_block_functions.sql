@@ -0,0 +1,6 @@
+-- 20261018130000 shipped block_user and unblock_user as security definer functions that act for
+-- whatever wallet they are handed, executable by anon. Wallet sign-in replaced them with versions that
+-- take the blocker from the JWT; the wallet-parameter versions are dropped here too so no database
+-- keeps them.
+drop function if exists public.block_user(text, text);
+drop function if exists public.unblock_user(text, text);
@@ -0,0 +1,42 @@
+-- Mutes started out on the profile (20261018140000), but profiles are readable by everyone and stream
+-- over realtime, so anyone could see who a wallet muted. They move to a table of their own, one row per
+-- muting wallet, that only that wallet can read or write. Mutes still only hide content on the muting
+-- wallet's own screens and are never checked on the server.
+
+create table if not exists public.mutes (
+    wallet_address text primary key references public.profiles (wallet_address) on delete cascade,
+    muted_addresses text[] not null default '{}',
+    muted_keywords text[] not null default '{}'
+);
+
+alter table public.mutes enable row level security;
+
+drop policy if exists "Users read their own mutes" on public.mutes;
+create policy "Users read their own mutes" on public.mutes for select to authenticated
+    using (wallet_address = public.requesting_wallet_address());
+drop policy if exists "Users create their own mutes" on public.mutes;
+create policy "Users create their own mutes" on public.mutes for insert to authenticated
+    with check (wallet_address = public.requesting_wallet_address());
+drop policy if exists "Users update their own mutes" on public.mutes;
+create policy "Users update their own mutes" on public.mutes for update to authenticated
+    using (wallet_address = public.requesting_wallet_address())
+    with check (wallet_address = public.requesting_wallet_address());
+
+do $$
+begin
+    if exists (
+        select 1 from information_schema.columns
+        where table_schema = 'public' and table_name = 'profiles' and column_name = 'muted_addresses'
+    ) then
+        insert into public.mutes (wallet_address, muted_addresses, muted_keywords)
+        select wallet_address, muted_addresses, muted_keywords
+        from public.profiles
+        where cardinality(muted_addresses) > 0 or cardinality(muted_keywords) > 0
+        on conflict (wallet_address) do nothing;
+    end if;
+end $$;
+
+-- Dropping the columns also drops the update grant wallet sign-in gave on them.
+alter table public.profiles
+    drop column if exists muted_addresses,
+    drop column if exists muted_keywords;
@@ -0,0 +1,114 @@
+-- Two fixes to the ticket market.
+--
+-- Holdings: 20261018150000 backfilled ticket_holdings from wallets.tickets_holding, but those tickets
+-- were never paid into the treasury. Selling them paid out GOR nobody had paid in, and they pushed up the
+-- price of everyone's buys. Holdings are rebuilt from settled trades, so only paid-for tickets remain;
+-- payouts already made for legacy tickets can't be taken back.
+--
+-- Refunds: an underpaid buy used to be refunded straight from 'underpaid', so two submissions of the
+-- same signature could both pay it back, and a refund that failed to send left the trade stuck. A
+-- refund is now claimed first ('refunding'), and a claim whose transfer definitely didn't go out is
+-- released back to 'underpaid' so the buy can be resubmitted.
+
+-- --- Holdings from settled trades only ---
+
+with paid as (
+    select cluster, trader_address as holder_address, subject_address,
+           sum(case side when 'buy' then 1 else -1 end)::integer as count
+    from public.ticket_trades
+    where status = 'confirmed'
+    group by cluster, trader_address, subject_address
+)
+delete from public.ticket_holdings h
+where not exists (
+    select 1 from paid
+    where paid.cluster = h.cluster and paid.holder_address = h.holder_address
+      and paid.subject_address = h.subject_address and paid.count > 0
+);
+
+with paid as (
+    select cluster, trader_address as holder_address, subject_address,
+           sum(case side when 'buy' then 1 else -1 end)::integer as count
+    from public.ticket_trades
+    where status = 'confirmed'
+    group by cluster, trader_address, subject_address
+)
+update public.ticket_holdings h
+set count = paid.count
+from paid
+where paid.cluster = h.cluster and paid.holder_address = h.holder_address
+  and paid.subject_address = h.subject_address and h.count <> paid.count;
+
+-- --- Refund claims ---
+
+alter table public.ticket_trades drop constraint if exists ticket_trades_status_check;
+alter table public.ticket_trades add constraint ticket_trades_status_check
+    check (status in ('pending', 'confirmed', 'failed', 'underpaid', 'refunding', 'refunded'));
+
+-- Claims an underpaid buy for refunding, so two requests can't both pay it back. Returns no row if
+-- the trade isn't waiting on a refund (another request already claimed it, or it was refunded).
+create or replace function public.begin_ticket_refund(p_trade_id uuid)
+returns table (trader_address text, refund_base_units text)
+language sql
+security definer
+set search_path = public
+as $$
+    update ticket_trades set status = 'refunding'
+    where id = p_trade_id and status = 'underpaid'
+    returning ticket_trades.trader_address, ticket_trades.price_base_units::text;
+$$;
+
+create or replace function public.record_ticket_refund(p_trade_id uuid, p_refund_signature text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update ticket_trades set status = 'refunded', refund_signature = p_refund_signature
+    where id = p_trade_id and status = 'refunding';
+$$;
+
+-- The refund definitely wasn't sent: back to 'underpaid', so resubmitting the buy's signature retries it.
+create or replace function public.fail_ticket_refund(p_trade_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update ticket_trades set status = 'underpaid'
+    where id = p_trade_id and status = 'refunding';
+$$;
+
+revoke execute on function public.begin_ticket_refund(uuid) from public, anon, authenticated;
+revoke execute on function public.fail_ticket_refund(uuid) from public, anon, authenticated;
+
+grant execute on function public.begin_ticket_refund(uuid) to service_role;
+grant execute on function public.fail_ticket_refund(uuid) to service_role;
+
+-- A buy waiting on its refund, claimed or not, shows as pending until it is refunded.
+create or replace function public.ledger_record_ticket_trade()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into transactions (cluster, wallet_address, kind, status, signature, counterparty_address, amount_base_units, ticket_trade_id, created_at)
+    values (
+        new.cluster,
+        new.trader_address,
+        case new.side when 'buy' then 'ticket_buy' else 'ticket_sell' end,
+        case when new.status in ('underpaid', 'refunding') then 'pending' else new.status end,
+        new.signature,
+        new.subject_address,
+        new.price_base_units,
+        new.id,
+        new.created_at
+    )
+    on conflict (ticket_trade_id) do update
+    set status = excluded.status,
+        signature = excluded.signature,
+        updated_at = now();
+    return new;
+end;
+$$;
@@ -0,0 +1,36 @@
+-- Wallet sign-in (20261018190000) limited which columns clients can update, but inserts could still
+-- set anything: a new post could arrive with likes_count = 1000, or a profile with a made-up follower
+-- list. Clients now insert only the columns they own, and everything the social actions maintain
+-- starts from its default.
+--
+-- Notifications are also limited to the social types the app sends. Tip and ticket notifications are
+-- only written by the edge functions once the transfer is verified on-chain.
+
+alter table public.profiles
+    alter column followers set default '{}',
+    alter column following set default '{}',
+    alter column blocked_users set default '{}',
+    alter column tickets_earned set default 0;
+alter table public.posts
+    alter column likes set default '{}',
+    alter column reposts set default '{}',
+    alter column likes_count set default 0,
+    alter column reposts_count set default 0,
+    alter column comments_count set default 0;
+
+revoke insert on public.profiles from anon, authenticated;
+revoke insert on public.posts from anon, authenticated;
+revoke insert on public.comments from anon, authenticated;
+revoke insert on public.notifications from anon, authenticated;
+
+grant insert (wallet_address, username, bio) on public.profiles to authenticated;
+grant insert (author_address, content, attachments, quoted_post_id) on public.posts to authenticated;
+grant insert (post_id, parent_comment_id, author_address, content) on public.comments to authenticated;
+grant insert (recipient_address, type, message, post_id, sender_address, read) on public.notifications to authenticated;
+
+drop policy if exists "Users send notifications as themselves" on public.notifications;
+create policy "Users send notifications as themselves" on public.notifications for insert to authenticated
+    with check (
+        sender_address = public.requesting_wallet_address()
+        and type in ('comment', 'reply', 'repost', 'follow', 'quote')
+    );
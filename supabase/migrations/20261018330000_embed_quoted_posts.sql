@@ -0,0 +1,39 @@
+-- Timelines read posts with the post they quote embedded as `quoted` (`quoted:quoted_post_id(*)`), so
+-- quote cards don't each fetch it. The views that carry a post as JSON embed it the same way.
+
+create or replace view public.feed_items
+with (security_invoker = true)
+as
+select
+    p.id::text as item_id,
+    p.id as post_id,
+    p.author_address as actor_address,
+    null::text as reposted_by,
+    p.created_at as activity_at,
+    to_jsonb(p) || jsonb_build_object('quoted', to_jsonb(q)) as post
+from public.posts p
+left join public.posts q on q.id = p.quoted_post_id
+union all
+select
+    r.post_id::text || ':' || r.wallet_address as item_id,
+    r.post_id,
+    r.wallet_address as actor_address,
+    r.wallet_address as reposted_by,
+    r.created_at as activity_at,
+    to_jsonb(p) || jsonb_build_object('quoted', to_jsonb(q)) as post
+from public.post_reposts r
+join public.posts p on p.id = r.post_id
+left join public.posts q on q.id = p.quoted_post_id;
+
+create or replace view public.liked_post_items
+with (security_invoker = true)
+as
+select
+    l.post_id::text || ':' || l.wallet_address as item_id,
+    l.post_id,
+    l.wallet_address as liked_by,
+    l.created_at as liked_at,
+    to_jsonb(p) || jsonb_build_object('quoted', to_jsonb(q)) as post
+from public.post_likes l
+join public.posts p on p.id = l.post_id
+left join public.posts q on q.id = p.quoted_post_id;
@@ -0,0 +1,21 @@
+-- nft_avatar is only meant to be written by the nft-avatar edge function after it has checked
+-- ownership on-chain. It was left out of the update grant, but a profile insert could still set it, so
+-- a trigger now rejects any change to it that doesn't come from the service role.
+
+create or replace function public.protect_nft_avatar()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.nft_avatar is distinct from (case when tg_op = 'UPDATE' then old.nft_avatar end)
+       and auth.role() is distinct from 'service_role' then
+        raise exception 'NFT avatars can only be set after checking ownership.' using errcode = '42501';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_nft_avatar on public.profiles;
+create trigger profiles_protect_nft_avatar
+    before insert or update on public.profiles
+    for each row execute function public.protect_nft_avatar();
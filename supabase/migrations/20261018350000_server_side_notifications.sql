@@ -0,0 +1,146 @@
+-- Comment, reply, repost, quote and follow notifications used to be inserted by the client, which
+-- chose the recipient and wrote the message text itself, so anyone signed in could send anyone a
+-- notification saying anything ("X tipped you 1000 GOR!"). They are now written by triggers on the
+-- rows that cause them, with the message built here, and clients can't insert notifications at all.
+-- Tip, ticket and mention notifications were already written server-side. Blocked pairs are still
+-- dropped by notifications_drop_blocked.
+
+drop policy if exists "Users send notifications as themselves" on public.notifications;
+revoke insert on public.notifications from anon, authenticated;
+
+-- Comments notify the post's author; replies also notify the replied-to comment's author, unless that
+-- is the post's author, who already got one.
+create or replace function public.notify_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_sender_name text;
+    v_post_author text;
+    v_parent_author text;
+begin
+    select username into v_sender_name from profiles where wallet_address = new.author_address;
+    v_sender_name := coalesce(v_sender_name, 'Someone');
+    select author_address into v_post_author from posts where id = new.post_id;
+
+    if v_post_author <> new.author_address then
+        insert into notifications (recipient_address, type, message, post_id, sender_address, read)
+        values (
+            v_post_author,
+            'comment',
+            format('%s commented on your post: "%s..."', v_sender_name, left(new.content, 30)),
+            new.post_id,
+            new.author_address,
+            false
+        );
+    end if;
+
+    if new.parent_comment_id is not null then
+        select author_address into v_parent_author from comments where id = new.parent_comment_id;
+        if v_parent_author <> new.author_address and v_parent_author <> v_post_author then
+            insert into notifications (recipient_address, type, message, post_id, sender_address, read)
+            values (
+                v_parent_author,
+                'reply',
+                format('%s replied to your comment: "%s..."', v_sender_name, left(new.content, 30)),
+                new.post_id,
+                new.author_address,
+                false
+            );
+        end if;
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists comments_notify on public.comments;
+create trigger comments_notify
+    after insert on public.comments
+    for each row execute function public.notify_comment();
+
+create or replace function public.notify_repost()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_sender_name text;
+    v_post_author text;
+begin
+    select author_address into v_post_author from posts where id = new.post_id;
+    if v_post_author = new.wallet_address then
+        return null;
+    end if;
+    select username into v_sender_name from profiles where wallet_address = new.wallet_address;
+
+    insert into notifications (recipient_address, type, message, post_id, sender_address, read)
+    values (v_post_author, 'repost', format('%s reposted your post!', coalesce(v_sender_name, 'Someone')), new.post_id, new.wallet_address, false);
+    return null;
+end;
+$$;
+
+drop trigger if exists post_reposts_notify on public.post_reposts;
+create trigger post_reposts_notify
+    after insert on public.post_reposts
+    for each row execute function public.notify_repost();
+
+create or replace function public.notify_quote()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_sender_name text;
+    v_quoted_author text;
+begin
+    select author_address into v_quoted_author from posts where id = new.quoted_post_id;
+    if v_quoted_author is null or v_quoted_author = new.author_address then
+        return null;
+    end if;
+    select username into v_sender_name from profiles where wallet_address = new.author_address;
+
+    insert into notifications (recipient_address, type, message, post_id, sender_address, read)
+    values (
+        v_quoted_author,
+        'quote',
+        format('%s quoted your post: "%s..."', coalesce(v_sender_name, 'Someone'), left(new.content, 30)),
+        new.id,
+        new.author_address,
+        false
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists posts_notify_quote on public.posts;
+create trigger posts_notify_quote
+    after insert on public.posts
+    for each row
+    when (new.quoted_post_id is not null)
+    execute function public.notify_quote();
+
+create or replace function public.notify_follow()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_sender_name text;
+begin
+    select username into v_sender_name from profiles where wallet_address = new.follower_address;
+
+    insert into notifications (recipient_address, type, message, sender_address, read)
+    values (new.followed_address, 'follow', format('%s started following you!', coalesce(v_sender_name, 'Someone')), new.follower_address, false);
+    return null;
+end;
+$$;
+
+drop trigger if exists follows_notify on public.follows;
+create trigger follows_notify
+    after insert on public.follows
+    for each row execute function public.notify_follow();
@@ -0,0 +1,44 @@
+-- The wallet page records recent incoming transfers as deposits, and that can happen before
+-- verify-tip or ticket-trade records the same transaction as a tip, a ticket payout or a refund.
+-- record-transfer already refuses signatures that tips and ticket trades have. This covers the other
+-- order: once a tip or trade carries a signature, any deposit row for it is dropped, so the transfer
+-- isn't listed twice.
+
+create or replace function public.drop_superseded_deposits()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_table_name = 'tips' then
+        delete from transactions
+        where cluster = new.cluster and kind = 'deposit' and signature = new.signature;
+    else
+        delete from transactions
+        where cluster = new.cluster and kind = 'deposit' and signature in (new.signature, new.refund_signature);
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists tips_drop_superseded_deposits on public.tips;
+create trigger tips_drop_superseded_deposits
+    after insert on public.tips
+    for each row execute function public.drop_superseded_deposits();
+
+drop trigger if exists ticket_trades_drop_superseded_deposits on public.ticket_trades;
+create trigger ticket_trades_drop_superseded_deposits
+    after insert or update of signature, refund_signature on public.ticket_trades
+    for each row execute function public.drop_superseded_deposits();
+
+-- Transfers already listed twice.
+delete from public.transactions t
+where t.kind = 'deposit'
+  and (
+      exists (select 1 from public.tips where tips.cluster = t.cluster and tips.signature = t.signature)
+      or exists (
+          select 1 from public.ticket_trades tt
+          where tt.cluster = t.cluster and t.signature in (tt.signature, tt.refund_signature)
+      )
+  );
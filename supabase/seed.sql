@@ -0,0 +1,16 @@
+-- Demo profiles and posts for a fresh local database (`supabase db reset` loads this file). The app
+-- used to insert them itself, but row-level security only lets a signed-in wallet write its own rows.
+
+insert into public.profiles (wallet_address, username, bio, followers, following, tickets_earned, blocked_users)
+values
+    ('68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', 'Alice_W3', 'Exploring the decentralized web!', '{}', '{}', 0, '{}'),
+    ('89LMNjWYz3nfrp4GSM7Zx5uFE8SC5sH5kDCz24PhuzNgQWERTyuiopasdfghjklzxcvbnm', 'Bob_Chain', 'Blockchain enthusiast.', '{}', '{}', 0, '{}'),
+    ('ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkLMNOPQRSTUVWXYZ1234567890', 'CryptoCat', 'Meow! DeFi and NFTs.', '{}', '{}', 0, '{}')
+on conflict (wallet_address) do nothing;
+
+insert into public.posts (author_address, content, likes, reposts, likes_count, reposts_count, comments_count)
+values
+    ('68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', 'Just joined this amazing Web3 social app! Loving the green theme.', '{}', '{}', 0, 0, 0),
+    ('89LMNjWYz3nfrp4GSM7Zx5uFE8SC5sH5kDCz24PhuzNgQWERTyuiopasdfghjklzxcvbnm', 'Decentralization is the future. Excited to connect with fellow builders here!', '{}', '{}', 0, 0, 0),
+    ('ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkLMNOPQRSTUVWXYZ1234567890', 'Anyone building on Layer 2 solutions? Share your projects!', '{}', '{}', 0, 0, 0),
+    ('68KBMSh99Hsg44GxvYmTNfReT8V2v7SPoWGfEfQmsgsEGP7yvRE6jSwBXbBRNrtmfNAZxMR69wPmiXKNgpATWwZn', 'GM Web3 fam! What are your thoughts on soulbound tokens?', '{}', '{}', 0, 0, 0);